@@ -85,6 +85,59 @@ export class DarknessAnalyzer {
         }
     }
 
+    /**
+     * Measure the tone response of threshold halftoning with a pattern
+     * @param {ImageData|import('../patterns/rasterizer.js').FloatPattern} pattern - 8-bit or float pattern
+     * @param {number} [steps=64] - Number of lightness steps
+     * @returns {Promise<Float32Array>} Ink coverage (0-1) for a flat gray of lightness i / steps
+     */
+    measureToneResponse(pattern, steps = 64) {
+        return this.measure({ type: 'tone-response', pattern, steps });
+    }
+
+    /**
+     * Measure ink coverage per patch of a halftoned step wedge
+     * @param {ImageData} imageData - Halftoned wedge (see createStepWedge in step-wedge.js)
+     * @param {number} steps - Number of steps
+     * @param {number} patchSize - Patch size in pixels
+     * @returns {Promise<Float32Array>} Ink coverage (0-1) of the patch with lightness i / steps
+     */
+    measureStepWedge(imageData, steps, patchSize) {
+        return this.measure({ type: 'step-wedge', imageData, steps, patchSize });
+    }
+
+    /**
+     * Run a one-off coverage measurement in its own worker, so it never
+     * collides with a darkness analysis
+     * @param {Object} message - Worker request
+     * @returns {Promise<Float32Array>} Measured coverage
+     */
+    async measure(message) {
+        const worker = new Worker('workers/analysis-worker.js');
+
+        try {
+            return await new Promise((resolve, reject) => {
+                worker.onmessage = (e) => {
+                    const { type, coverage, message } = e.data;
+
+                    if (type === 'complete') {
+                        resolve(coverage);
+                    } else if (type === 'error') {
+                        reject(new Error(message || 'Coverage measurement failed'));
+                    }
+                };
+
+                worker.onerror = (error) => {
+                    reject(new Error('Worker error: ' + error.message));
+                };
+
+                worker.postMessage(message);
+            });
+        } finally {
+            worker.terminate();
+        }
+    }
+
     /**
      * Cancel ongoing analysis
      */
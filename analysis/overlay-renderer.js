@@ -114,3 +114,106 @@ export function formatStats(stats) {
         </div>
     `;
 }
+
+/**
+ * Plot threshold tone response curves
+ * x is input lightness (white on the right), y is ink coverage; the dashed
+ * diagonal is the ideal linear response
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<{coverage: Float32Array, color: string}>} curves - Curves from DarknessAnalyzer.measureToneResponse()
+ */
+export function drawToneResponse(canvas, curves) {
+    const ctx = canvas.getContext('2d');
+    const size = canvas.width;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size, size);
+
+    ctx.strokeStyle = '#9ca3af';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(size, size);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.lineWidth = 2;
+    for (const { coverage, color } of curves) {
+        const steps = coverage.length - 1;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (let i = 0; i <= steps; i++) {
+            const x = (i / steps) * size;
+            const y = (1 - coverage[i]) * size;
+            ctx[i === 0 ? 'moveTo' : 'lineTo'](x, y);
+        }
+        ctx.stroke();
+    }
+}
+
+/**
+ * Largest difference between measured and ideal ink coverage
+ * @param {Float32Array} coverage - Ink coverage at lightness i / steps
+ * @returns {number} Deviation (0-1)
+ */
+export function toneResponseDeviation(coverage) {
+    const steps = coverage.length - 1;
+    let max = 0;
+
+    for (let i = 0; i <= steps; i++) {
+        max = Math.max(max, Math.abs(coverage[i] - (1 - i / steps)));
+    }
+
+    return max;
+}
+
+/**
+ * Format tone response before and after linearization for display
+ * @param {Float32Array} before - Coverage of the raw pattern
+ * @param {Float32Array} after - Coverage of the linearized pattern
+ * @returns {string} Formatted HTML string
+ */
+export function formatToneResponse(before, after) {
+    return `
+        <div class="stat-item">
+            <span class="stat-label">Max Deviation Before:</span>
+            <span class="stat-value">${(toneResponseDeviation(before) * 100).toFixed(1)}%</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">Max Deviation After:</span>
+            <span class="stat-value">${(toneResponseDeviation(after) * 100).toFixed(1)}%</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">50% Gray Inks:</span>
+            <span class="stat-value">${(before[Math.floor(before.length / 2)] * 100).toFixed(1)}% → ${(after[Math.floor(after.length / 2)] * 100).toFixed(1)}%</span>
+        </div>
+    `;
+}
+
+/**
+ * Format step wedge calibration results for display
+ * @param {Float32Array} measured - Measured coverage per patch
+ * @param {Float32Array} compensated - Predicted coverage with the compensation curve
+ * @returns {string} Formatted HTML string
+ */
+export function formatCalibration(measured, compensated) {
+    return `
+        <div class="stat-item">
+            <span class="stat-label">Patches:</span>
+            <span class="stat-value">${measured.length}</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">Max Deviation Measured:</span>
+            <span class="stat-value">${(toneResponseDeviation(measured) * 100).toFixed(1)}%</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">Max Deviation Compensated:</span>
+            <span class="stat-value">${(toneResponseDeviation(compensated) * 100).toFixed(1)}%</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">Darkest / Lightest Patch:</span>
+            <span class="stat-value">${(measured[0] * 100).toFixed(1)}% / ${(measured[measured.length - 1] * 100).toFixed(1)}%</span>
+        </div>
+    `;
+}
@@ -0,0 +1,117 @@
+/**
+ * Step Wedge Calibration
+ * A synthetic gray ramp of flat patches, halftoned like an image and measured
+ * patch by patch, gives the tone reproduction of the whole halftone stage
+ * (pattern, method, transform). Inverting it gives a compensation curve for
+ * the tone curve editor.
+ */
+
+import { createImageData } from '../utils/image-data.js';
+
+/**
+ * Default wedge layout
+ */
+export const DEFAULT_STEP_WEDGE = {
+    steps: 20,      // Patches are steps + 1, from black to white
+    patchSize: 128  // Pixels per square patch
+};
+
+/**
+ * Create a step wedge image
+ * Patch i has lightness i / steps and they run left (black) to right (white)
+ * @param {number} steps - Number of steps
+ * @param {number} patchSize - Patch size in pixels
+ * @returns {ImageData}
+ */
+export function createStepWedge(steps, patchSize) {
+    const width = (steps + 1) * patchSize;
+    const height = patchSize;
+    const imageData = createImageData(width, height);
+    const data = imageData.data;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gray = Math.round((Math.floor(x / patchSize) / steps) * 255);
+
+            const idx = (y * width + x) * 4;
+            data[idx] = gray;     // R
+            data[idx + 1] = gray; // G
+            data[idx + 2] = gray; // B
+            data[idx + 3] = 255;  // A
+        }
+    }
+
+    return imageData;
+}
+
+/**
+ * Tone curve points that make the measured response linear
+ * For each input lightness the compensation picks the lightness that the
+ * measurement shows inks the wanted coverage (1 - lightness). Measured
+ * coverage is first made non-increasing so the inverse exists.
+ * @param {Float32Array|Array<number>} coverage - Measured ink coverage at lightness i / steps
+ * @returns {Array<Array<number>>} [input, output] lightness points (0-255) for the tone curve
+ */
+export function createCompensationPoints(coverage) {
+    const steps = coverage.length - 1;
+    const measured = [];
+    let lowest = Infinity;
+    for (let i = 0; i <= steps; i++) {
+        lowest = Math.min(lowest, coverage[i]);
+        measured.push(lowest);
+    }
+
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const target = 1 - i / steps;
+        points.push([Math.round((i / steps) * 255), Math.round(invert(measured, target) * 255)]);
+    }
+
+    return points;
+}
+
+/**
+ * Coverage the halftone stage is expected to ink once compensated
+ * Reads the measured curve (linearly interpolated) at each compensated lightness
+ * @param {Float32Array|Array<number>} coverage - Measured ink coverage at lightness i / steps
+ * @param {Array<Array<number>>} points - Points from createCompensationPoints()
+ * @returns {Float32Array} Predicted coverage at lightness i / steps
+ */
+export function predictCompensatedResponse(coverage, points) {
+    const steps = coverage.length - 1;
+    const predicted = new Float32Array(points.length);
+
+    points.forEach(([, output], i) => {
+        const position = (output / 255) * steps;
+        const index = Math.min(steps - 1, Math.floor(position));
+        const t = position - index;
+        predicted[i] = coverage[index] * (1 - t) + coverage[index + 1] * t;
+    });
+
+    return predicted;
+}
+
+/**
+ * Lightness at which a non-increasing coverage curve reaches a target
+ * @param {Array<number>} measured - Coverage at lightness i / steps
+ * @param {number} target - Wanted coverage (0-1)
+ * @returns {number} Lightness (0-1), clamped to the measured range
+ */
+function invert(measured, target) {
+    const steps = measured.length - 1;
+
+    if (target >= measured[0]) return 0;
+    if (target <= measured[steps]) return 1;
+
+    for (let i = 0; i < steps; i++) {
+        const high = measured[i];
+        const low = measured[i + 1];
+
+        if (target <= high && target >= low) {
+            const t = high === low ? 0.5 : (high - target) / (high - low);
+            return (i + t) / steps;
+        }
+    }
+
+    return 1;
+}
@@ -4,33 +4,56 @@
  */
 
 import { SizeCalculator } from './utils/size-calculator.js';
-import { exportPatternToPDF, getMetadataFromState } from './utils/pdf-export.js';
+import { PatternWorkerPool, resolveSeeds } from './utils/pattern-worker-pool.js';
+import { listPatterns, getPattern, getDefaultParams, getPatternGeometry, getPatternName, isCurvePattern, normalizeParams } from './patterns/registry.js';
+import { decimalsForStep, parseParamValue } from './patterns/schema.js';
+import { exportPatternToPDF, getMetadataFromState, readPatternRecipe } from './utils/pdf-export.js';
+import { exportPatternToSVG } from './utils/svg-export.js';
+import { RASTER_FORMATS, exportFloatPattern } from './utils/raster-export.js';
+import { floatPatternToImageData } from './patterns/rasterizer.js';
+import { DEFAULT_TONE_CURVE, DOT_GAIN_PRESETS, buildToneLUT, isIdentityToneCurve } from './utils/tone-curve.js';
+import { ToneCurveEditor } from './utils/tone-curve-editor.js';
+import { createModulatedCurve, getModulatedCurveGeometry } from './patterns/modulated-curve.js';
+import { createAdaptiveCurve } from './patterns/adaptive-curve.js';
+import {
+    DEFAULT_PLOTTER_OPTIONS,
+    createDarknessSampler,
+    buildPlotterStrokes,
+    estimatePlotTime,
+    formatDuration,
+    strokesToGCode,
+    strokesToHPGL,
+    drawPlotterPreview,
+    getMillimetersPerPixel,
+    exportPlotterFile
+} from './utils/plotter-export.js';
 import { DarknessAnalyzer, getDefaultAnalysisConfig } from './analysis/darkness-analyzer.js';
-import { generateOverlay, compositeOverlay, formatStats } from './analysis/overlay-renderer.js';
+import { generateOverlay, compositeOverlay, formatStats, drawToneResponse, formatToneResponse, formatCalibration } from './analysis/overlay-renderer.js';
+import { DEFAULT_STEP_WEDGE, createStepWedge, createCompensationPoints, predictCompensatedResponse } from './analysis/step-wedge.js';
+import { CMYK_CHANNELS } from './utils/halftone.js';
+import { encodeSettings, decodeSettings } from './utils/url-state.js';
+import { PresetStore, createPreset, serializePresets, parsePresetFile, checkPresetSettings } from './utils/preset-store.js';
+import { createRecipe, embedPNGRecipe, readPNGRecipe } from './utils/recipe.js';
+import { insertPNGChunks, pngResolutionChunk } from './utils/png.js';
+import { readImageResolution } from './utils/resolution.js';
+
+// Curve halftone methods that can also be exported as vectors
+const CURVE_METHODS = ['curve-width', 'adaptive-curve'];
+
+// Error diffusion halftone methods (kernel names in the halftone worker)
+const DIFFUSION_METHODS = ['floyd-steinberg', 'jarvis-judice-ninke', 'stucki', 'atkinson', 'sierra'];
 
 // Application state
 const state = {
     currentPattern: 'random',
     parameters: {
-        // Hilbert parameters (legacy)
-        iterations: 5,
-        lineWidth: 2.0,
         invert: false,
-        // Random parameters
-        randomDistribution: 'uniform',
-        randomSeed: undefined,
-        // Noise parameters
-        noiseScale: 1.0,
-        noiseOctaves: 4,
-        noisePersistence: 0.5,
-        noiseSeed: undefined,
-        // Ben-Day parameters
-        bendaySpacing: 20,
-        bendaySize: 0.7,
-        bendayShape: 'circle',
-        bendayGrid: 'square',
-        bendayAntialiasing: true
+        linearize: false
     },
+    // Per-pattern parameter values keyed by pattern id, defaults from each pattern's schema
+    patternParams: Object.fromEntries(
+        listPatterns().map(descriptor => [descriptor.id, getDefaultParams(descriptor.id)])
+    ),
     sizeConfig: {
         mode: 'pixel',
         widthPx: 1000,
@@ -45,82 +68,52 @@ const state = {
     rendering: {
         isGenerating: false,
         isApplying: false,
+        isRenderingScreens: false,
         isAnalyzing: false,
         progress: 0
     },
     uploadedImage: null,
     generatedPattern: null,
+    generatedLevels: null, // Float gray levels of the generated pattern (generatedPattern is their 8-bit preview)
+    generatedRecipe: null, // Recipe of the generated pattern (see createRecipe), with the seeds it was drawn with
     uploadedPattern: null, // Custom pattern uploaded by user for halftoning
     exportFormat: 'png',
     analysisConfig: getDefaultAnalysisConfig(300),
     analysisResult: null,
     showOverlay: true,
     importedPattern: null, // Pattern imported for darkness analysis
+    importedPatternDPI: null, // Resolution recorded in the imported pattern's file
+    calibration: null, // Last step wedge measurement and its compensation points
+    separations: null, // CMYK plates of the last color halftone
+    curveResult: null, // Method and options of the last curve halftone (variable-width or adaptive)
+    toneCurve: structuredClone(DEFAULT_TONE_CURVE), // Transfer curve applied before halftoning
+    resultToneCurve: null, // Tone curve the last result was made with (null when identity)
+    diffusionStrength: Object.fromEntries(DIFFUSION_METHODS.map(method => [method, 100])), // Percent, per kernel
     workers: {
-        pattern: null,
+        pattern: new PatternWorkerPool(),
         halftone: null
     },
-    analyzer: new DarknessAnalyzer()
+    analyzer: new DarknessAnalyzer(),
+    presets: new PresetStore()
 };
 
 // DOM elements
 const elements = {
+    // Presets
+    presetSelect: document.getElementById('preset-select'),
+    loadPresetBtn: document.getElementById('load-preset-btn'),
+    deletePresetBtn: document.getElementById('delete-preset-btn'),
+    importPresets: document.getElementById('import-presets'),
+    savePresetBtn: document.getElementById('save-preset-btn'),
+    exportPresetsBtn: document.getElementById('export-presets-btn'),
+
     // Pattern controls
     patternSelect: document.getElementById('pattern-select'),
-    iterationsSlider: document.getElementById('iterations'),
-    iterationsValue: document.getElementById('iterations-value'),
-    lineWidthSlider: document.getElementById('line-width'),
-    lineWidthValue: document.getElementById('line-width-value'),
     invertCheckbox: document.getElementById('invert'),
+    linearizeCheckbox: document.getElementById('linearize'),
 
-    // Pattern parameter groups
-    randomParams: document.getElementById('random-params'),
-    noiseParams: document.getElementById('noise-params'),
-    bendayParams: document.getElementById('benday-params'),
-    hilbertParams: document.getElementById('hilbert-params'),
-    peanoParams: document.getElementById('peano-params'),
-    zorderParams: document.getElementById('zorder-params'),
-    gosperParams: document.getElementById('gosper-params'),
-
-    // Peano curve controls
-    peanoIterations: document.getElementById('peano-iterations'),
-    peanoIterationsValue: document.getElementById('peano-iterations-value'),
-    peanoLineWidth: document.getElementById('peano-line-width'),
-    peanoLineWidthValue: document.getElementById('peano-line-width-value'),
-
-    // Z-Order curve controls
-    zorderIterations: document.getElementById('zorder-iterations'),
-    zorderIterationsValue: document.getElementById('zorder-iterations-value'),
-    zorderLineWidth: document.getElementById('zorder-line-width'),
-    zorderLineWidthValue: document.getElementById('zorder-line-width-value'),
-
-    // Gosper curve controls
-    gosperIterations: document.getElementById('gosper-iterations'),
-    gosperIterationsValue: document.getElementById('gosper-iterations-value'),
-    gosperLineWidth: document.getElementById('gosper-line-width'),
-    gosperLineWidthValue: document.getElementById('gosper-line-width-value'),
-
-    // Random pattern controls
-    randomDistribution: document.getElementById('random-distribution'),
-    randomSeed: document.getElementById('random-seed'),
-
-    // Noise pattern controls
-    noiseScale: document.getElementById('noise-scale'),
-    noiseScaleValue: document.getElementById('noise-scale-value'),
-    noiseOctaves: document.getElementById('noise-octaves'),
-    noiseOctavesValue: document.getElementById('noise-octaves-value'),
-    noisePersistence: document.getElementById('noise-persistence'),
-    noisePersistenceValue: document.getElementById('noise-persistence-value'),
-    noiseSeed: document.getElementById('noise-seed'),
-
-    // Ben-Day pattern controls
-    bendaySpacing: document.getElementById('benday-spacing'),
-    bendaySpacingValue: document.getElementById('benday-spacing-value'),
-    bendaySize: document.getElementById('benday-size'),
-    bendaySizeValue: document.getElementById('benday-size-value'),
-    bendayShape: document.getElementById('benday-shape'),
-    bendayGrid: document.getElementById('benday-grid'),
-    bendayAntialiasing: document.getElementById('benday-antialiasing'),
+    // Pattern parameter controls (built from the selected pattern's schema)
+    patternParams: document.getElementById('pattern-params'),
 
     // Size mode controls
     sizeModeRadios: document.getElementsByName('size-mode'),
@@ -137,10 +130,24 @@ const elements = {
 
     // Export controls
     exportFormat: document.getElementById('export-format'),
+    plotterControls: document.getElementById('plotter-controls'),
+    plotterPenUp: document.getElementById('plotter-pen-up'),
+    plotterPenDown: document.getElementById('plotter-pen-down'),
+    plotterFeedRate: document.getElementById('plotter-feed-rate'),
+    plotterTravelRate: document.getElementById('plotter-travel-rate'),
+    plotterPenLift: document.getElementById('plotter-pen-lift'),
+    plotterUseImage: document.getElementById('plotter-use-image'),
+    plotterClip: document.getElementById('plotter-clip'),
+    plotterClipValue: document.getElementById('plotter-clip-value'),
+    plotterModulate: document.getElementById('plotter-modulate'),
+    plotterPreviewBtn: document.getElementById('plotter-preview-btn'),
+    plotterPreview: document.getElementById('plotter-preview'),
+    plotterEstimate: document.getElementById('plotter-estimate'),
 
     // Pattern generation
     generateBtn: document.getElementById('generate-btn'),
     cancelGenerateBtn: document.getElementById('cancel-generate-btn'),
+    copyLinkBtn: document.getElementById('copy-link-btn'),
     generateProgress: document.getElementById('generate-progress'),
     generateProgressFill: document.getElementById('generate-progress-fill'),
     generateProgressText: document.getElementById('generate-progress-text'),
@@ -164,6 +171,15 @@ const elements = {
     analysisCanvas: document.getElementById('analysis-canvas'),
     analysisStats: document.getElementById('analysis-stats'),
     statsContent: document.getElementById('stats-content'),
+    wedgeSteps: document.getElementById('wedge-steps'),
+    wedgeStepsValue: document.getElementById('wedge-steps-value'),
+    wedgePatchSize: document.getElementById('wedge-patch-size'),
+    wedgePatchSizeValue: document.getElementById('wedge-patch-size-value'),
+    calibrateBtn: document.getElementById('calibrate-btn'),
+    calibrationResults: document.getElementById('calibration-results'),
+    calibrationCanvas: document.getElementById('calibration-canvas'),
+    calibrationContent: document.getElementById('calibration-content'),
+    useCompensationBtn: document.getElementById('use-compensation-btn'),
 
     // Image halftone
     imageUpload: document.getElementById('image-upload'),
@@ -174,6 +190,59 @@ const elements = {
     patternSource: document.getElementById('pattern-source'),
     clearPatternBtn: document.getElementById('clear-pattern-btn'),
     halftoneMethod: document.getElementById('halftone-method'),
+    diffusionControls: document.getElementById('diffusion-controls'),
+    diffusionUsePattern: document.getElementById('diffusion-use-pattern'),
+    diffusionSerpentine: document.getElementById('diffusion-serpentine'),
+    diffusionStrength: document.getElementById('diffusion-strength'),
+    diffusionStrengthValue: document.getElementById('diffusion-strength-value'),
+    riemersmaControls: document.getElementById('riemersma-controls'),
+    riemersmaCurve: document.getElementById('riemersma-curve'),
+    riemersmaHistory: document.getElementById('riemersma-history'),
+    riemersmaHistoryValue: document.getElementById('riemersma-history-value'),
+    riemersmaDecay: document.getElementById('riemersma-decay'),
+    riemersmaDecayValue: document.getElementById('riemersma-decay-value'),
+    curveWidthControls: document.getElementById('curve-width-controls'),
+    curveMinWidth: document.getElementById('curve-min-width'),
+    curveMinWidthValue: document.getElementById('curve-min-width-value'),
+    curveMaxWidth: document.getElementById('curve-max-width'),
+    curveMaxWidthValue: document.getElementById('curve-max-width-value'),
+    adaptiveCurveControls: document.getElementById('adaptive-curve-controls'),
+    adaptiveCurveType: document.getElementById('adaptive-curve-type'),
+    curveWidthMethod: document.querySelector('#halftone-method option[value="curve-width"]'),
+    adaptiveMinIterations: document.getElementById('adaptive-min-iterations'),
+    adaptiveMaxIterations: document.getElementById('adaptive-max-iterations'),
+    adaptiveLineWidth: document.getElementById('adaptive-line-width'),
+    adaptiveLineWidthValue: document.getElementById('adaptive-line-width-value'),
+    adaptiveDetail: document.getElementById('adaptive-detail'),
+    adaptiveDetailValue: document.getElementById('adaptive-detail-value'),
+    curveWidthDownloads: document.getElementById('curve-width-downloads'),
+    downloadCurveSvgBtn: document.getElementById('download-curve-svg-btn'),
+    downloadCurvePdfBtn: document.getElementById('download-curve-pdf-btn'),
+    patternAngle: document.getElementById('pattern-angle'),
+    patternAngleValue: document.getElementById('pattern-angle-value'),
+    patternScale: document.getElementById('pattern-scale'),
+    patternScaleValue: document.getElementById('pattern-scale-value'),
+    patternOffsetX: document.getElementById('pattern-offset-x'),
+    patternOffsetY: document.getElementById('pattern-offset-y'),
+    colorMode: document.getElementById('color-mode'),
+    cmykControls: document.getElementById('cmyk-controls'),
+    cmykGcr: document.getElementById('cmyk-gcr'),
+    cmykGcrValue: document.getElementById('cmyk-gcr-value'),
+    cmykUcr: document.getElementById('cmyk-ucr'),
+    cmykUcrValue: document.getElementById('cmyk-ucr-value'),
+    cmykChannels: Object.fromEntries(CMYK_CHANNELS.map(name => [name, {
+        pattern: document.getElementById(`cmyk-${name}-pattern`),
+        angle: document.getElementById(`cmyk-${name}-angle`)
+    }])),
+    toneCurveCanvas: document.getElementById('tone-curve-canvas'),
+    toneGamma: document.getElementById('tone-gamma'),
+    toneGammaValue: document.getElementById('tone-gamma-value'),
+    toneInputBlack: document.getElementById('tone-input-black'),
+    toneInputWhite: document.getElementById('tone-input-white'),
+    toneOutputBlack: document.getElementById('tone-output-black'),
+    toneOutputWhite: document.getElementById('tone-output-white'),
+    toneDotGain: document.getElementById('tone-dot-gain'),
+    toneResetBtn: document.getElementById('tone-reset-btn'),
     halftoneContrast: document.getElementById('halftone-contrast'),
     halftoneContrastValue: document.getElementById('halftone-contrast-value'),
     halftoneBrightness: document.getElementById('halftone-brightness'),
@@ -185,17 +254,82 @@ const elements = {
     halftoneProgressText: document.getElementById('halftone-progress-text'),
     resultCanvas: document.getElementById('result-canvas'),
     downloadResultBtn: document.getElementById('download-result-btn'),
+    downloadToneCurveBtn: document.getElementById('download-tone-curve-btn'),
+    separationDownloads: document.getElementById('separation-downloads'),
+    toneResponse: document.getElementById('tone-response'),
+    toneResponseCanvas: document.getElementById('tone-response-canvas'),
+    toneResponseContent: document.getElementById('tone-response-content'),
 
     // Match image size button
     matchImageSizeBtn: document.getElementById('match-image-size-btn')
 };
 
+// Halftone and analysis controls kept in shared links, by settings key
+// (see url-state.js); the halftone method comes first so per-method values
+// such as diffusion strength land on the right method
+const LINKED_CONTROLS = {
+    halftone: {
+        method: elements.halftoneMethod,
+        contrast: elements.halftoneContrast,
+        brightness: elements.halftoneBrightness,
+        angle: elements.patternAngle,
+        scale: elements.patternScale,
+        offsetX: elements.patternOffsetX,
+        offsetY: elements.patternOffsetY,
+        diffusionUsePattern: elements.diffusionUsePattern,
+        diffusionSerpentine: elements.diffusionSerpentine,
+        diffusionStrength: elements.diffusionStrength,
+        riemersmaCurve: elements.riemersmaCurve,
+        riemersmaHistory: elements.riemersmaHistory,
+        riemersmaDecay: elements.riemersmaDecay,
+        curveMinWidth: elements.curveMinWidth,
+        curveMaxWidth: elements.curveMaxWidth,
+        adaptiveCurve: elements.adaptiveCurveType,
+        adaptiveMinIterations: elements.adaptiveMinIterations,
+        adaptiveMaxIterations: elements.adaptiveMaxIterations,
+        adaptiveLineWidth: elements.adaptiveLineWidth,
+        adaptiveDetail: elements.adaptiveDetail,
+        colorMode: elements.colorMode,
+        gcr: elements.cmykGcr,
+        ucr: elements.cmykUcr,
+        ...Object.fromEntries(CMYK_CHANNELS.flatMap(name => [
+            [`${name}Pattern`, elements.cmykChannels[name].pattern],
+            [`${name}Angle`, elements.cmykChannels[name].angle]
+        ]))
+    },
+    analysis: {
+        radius: elements.analysisRadiusSlider,
+        upperThreshold: elements.upperThresholdSlider,
+        lowerThreshold: elements.lowerThresholdSlider
+    }
+};
+
+// Delay before the URL hash follows control changes
+const URL_UPDATE_DELAY = 300;
+
+// Spline editor for the tone curve (created in init)
+let toneCurveEditor = null;
+
+// Pending URL hash update
+let urlUpdateTimer = null;
+
 /**
  * Initialize application
  */
 function init() {
     console.log('Halftonish v0.1.0-dev initializing...');
 
+    // Build pattern choices from the registry
+    populatePatternSelect();
+    populateChannelPatternSelects();
+    populateDotGainSelect();
+
+    toneCurveEditor = new ToneCurveEditor(elements.toneCurveCanvas, (points) => {
+        state.toneCurve.points = points;
+        scheduleURLUpdate();
+    });
+    setToneCurve(state.toneCurve);
+
     // Setup event listeners
     setupControlListeners();
     setupActionListeners();
@@ -204,6 +338,13 @@ function init() {
     updatePatternParameters();
     updateSizeModeUI();
     updateOutputDimensions();
+    updateHalftoneButtonState();
+
+    // Settings from a shared link
+    restoreFromURL();
+    window.addEventListener('hashchange', restoreFromURL);
+
+    refreshPresetList();
 
     console.log('Application ready');
 }
@@ -218,133 +359,13 @@ function setupControlListeners() {
         updatePatternParameters();
     });
 
-    // Random pattern parameters
-    elements.randomDistribution.addEventListener('change', (e) => {
-        state.parameters.randomDistribution = e.target.value;
-    });
-    elements.randomSeed.addEventListener('input', (e) => {
-        const value = e.target.value;
-        state.parameters.randomSeed = value ? parseInt(value) : undefined;
-    });
-
-    // Noise pattern parameters
-    elements.noiseScale.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value);
-        state.parameters.noiseScale = value;
-        elements.noiseScaleValue.textContent = value.toFixed(1);
-    });
-    elements.noiseOctaves.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value);
-        state.parameters.noiseOctaves = value;
-        elements.noiseOctavesValue.textContent = value;
-    });
-    elements.noisePersistence.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value);
-        state.parameters.noisePersistence = value;
-        elements.noisePersistenceValue.textContent = value.toFixed(2);
-    });
-    elements.noiseSeed.addEventListener('input', (e) => {
-        const value = e.target.value;
-        state.parameters.noiseSeed = value ? parseInt(value) : undefined;
-    });
-
-    // Ben-Day pattern parameters
-    elements.bendaySpacing.addEventListener('input', (e) => {
-        const value = parseInt(e.target.value);
-        state.parameters.bendaySpacing = value;
-        elements.bendaySpacingValue.textContent = value;
-    });
-
-    // bendaySize and bendayAntialiasing are hidden in UI (not used for linear SDF)
-    if (elements.bendaySize) {
-        elements.bendaySize.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            state.parameters.bendaySize = value;
-            elements.bendaySizeValue.textContent = value.toFixed(2);
-        });
-    }
-
-    elements.bendayShape.addEventListener('change', (e) => {
-        state.parameters.bendayShape = e.target.value;
-    });
-    elements.bendayGrid.addEventListener('change', (e) => {
-        state.parameters.bendayGrid = e.target.value;
-    });
-
-    if (elements.bendayAntialiasing) {
-        elements.bendayAntialiasing.addEventListener('change', (e) => {
-            state.parameters.bendayAntialiasing = e.target.checked;
-        });
-    }
-
-    // Hilbert parameters
-    if (elements.iterationsSlider) {
-        elements.iterationsSlider.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            state.parameters.iterations = value;
-            elements.iterationsValue.textContent = value;
-        });
-    }
-    if (elements.lineWidthSlider) {
-        elements.lineWidthSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            state.parameters.lineWidth = value;
-            elements.lineWidthValue.textContent = value.toFixed(1);
-        });
-    }
-
-    // Peano curve parameters
-    if (elements.peanoIterations) {
-        elements.peanoIterations.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            state.parameters.iterations = value;
-            elements.peanoIterationsValue.textContent = value;
-        });
-    }
-    if (elements.peanoLineWidth) {
-        elements.peanoLineWidth.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            state.parameters.lineWidth = value;
-            elements.peanoLineWidthValue.textContent = value.toFixed(1);
-        });
-    }
-
-    // Z-Order curve parameters
-    if (elements.zorderIterations) {
-        elements.zorderIterations.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            state.parameters.iterations = value;
-            elements.zorderIterationsValue.textContent = value;
-        });
-    }
-    if (elements.zorderLineWidth) {
-        elements.zorderLineWidth.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            state.parameters.lineWidth = value;
-            elements.zorderLineWidthValue.textContent = value.toFixed(1);
-        });
-    }
-
-    // Gosper curve parameters
-    if (elements.gosperIterations) {
-        elements.gosperIterations.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            state.parameters.iterations = value;
-            elements.gosperIterationsValue.textContent = value;
-        });
-    }
-    if (elements.gosperLineWidth) {
-        elements.gosperLineWidth.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            state.parameters.lineWidth = value;
-            elements.gosperLineWidthValue.textContent = value.toFixed(1);
-        });
-    }
-
     // Invert checkbox
     elements.invertCheckbox.addEventListener('change', (e) => {
         state.parameters.invert = e.target.checked;
     });
+    elements.linearizeCheckbox.addEventListener('change', (e) => {
+        state.parameters.linearize = e.target.checked;
+    });
 
     // Size mode radio buttons
     elements.sizeModeRadios.forEach(radio => {
@@ -391,8 +412,15 @@ function setupControlListeners() {
     // Export format
     elements.exportFormat.addEventListener('change', (e) => {
         state.exportFormat = e.target.value;
+        elements.plotterControls.style.display = isPlotterFormat(state.exportFormat) ? 'block' : 'none';
     });
 
+    // Plotter export
+    elements.plotterClip.addEventListener('input', (e) => {
+        elements.plotterClipValue.textContent = parseInt(e.target.value);
+    });
+    elements.plotterPreviewBtn.addEventListener('click', previewPlot);
+
     // Analysis radius slider
     elements.analysisRadiusSlider.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
@@ -422,6 +450,18 @@ function setupControlListeners() {
             renderAnalysisResult();
         }
     });
+
+    // Step wedge layout
+    elements.wedgeSteps.addEventListener('input', (e) => {
+        elements.wedgeStepsValue.textContent = e.target.value;
+    });
+    elements.wedgePatchSize.addEventListener('input', (e) => {
+        elements.wedgePatchSizeValue.textContent = e.target.value;
+    });
+
+    // Keep the URL hash in step with every control (element listeners run first)
+    document.addEventListener('input', scheduleURLUpdate);
+    document.addEventListener('change', scheduleURLUpdate);
 }
 
 /**
@@ -454,42 +494,643 @@ function updateOutputDimensions() {
     }
 }
 
+/**
+ * Populate pattern dropdown from the pattern registry
+ */
+function populatePatternSelect() {
+    elements.patternSelect.innerHTML = '';
+
+    for (const descriptor of listPatterns()) {
+        const option = document.createElement('option');
+        option.value = descriptor.id;
+        option.textContent = descriptor.name;
+        elements.patternSelect.appendChild(option);
+    }
+
+    elements.patternSelect.value = state.currentPattern;
+}
+
+/**
+ * Populate the dot gain compensation presets
+ */
+function populateDotGainSelect() {
+    elements.toneDotGain.innerHTML = '';
+
+    for (const [id, preset] of Object.entries(DOT_GAIN_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = preset.label;
+        elements.toneDotGain.appendChild(option);
+    }
+}
+
+/**
+ * Populate the per-channel CMYK pattern dropdowns
+ * An empty value means the current (generated or uploaded) pattern
+ */
+function populateChannelPatternSelects() {
+    for (const name of CMYK_CHANNELS) {
+        const select = elements.cmykChannels[name].pattern;
+        select.innerHTML = '';
+
+        const current = document.createElement('option');
+        current.value = '';
+        current.textContent = 'Current pattern';
+        select.appendChild(current);
+
+        for (const descriptor of listPatterns()) {
+            const option = document.createElement('option');
+            option.value = descriptor.id;
+            option.textContent = descriptor.name;
+            select.appendChild(option);
+        }
+    }
+}
+
 /**
  * Update pattern parameter UI based on selected pattern
+ * Controls are built from the pattern's parameter schema
  */
 function updatePatternParameters() {
-    // Hide all parameter groups
-    elements.randomParams.style.display = 'none';
-    elements.noiseParams.style.display = 'none';
-    elements.bendayParams.style.display = 'none';
-    elements.hilbertParams.style.display = 'none';
-    elements.peanoParams.style.display = 'none';
-    elements.zorderParams.style.display = 'none';
-    elements.gosperParams.style.display = 'none';
-
-    // Show relevant parameter group
-    switch (state.currentPattern) {
-        case 'random':
-            elements.randomParams.style.display = 'block';
-            break;
-        case 'noise':
-            elements.noiseParams.style.display = 'block';
-            break;
-        case 'benday':
-            elements.bendayParams.style.display = 'block';
-            break;
-        case 'hilbert':
-            elements.hilbertParams.style.display = 'block';
-            break;
-        case 'peano':
-            elements.peanoParams.style.display = 'block';
-            break;
-        case 'zorder':
-            elements.zorderParams.style.display = 'block';
-            break;
-        case 'gosper':
-            elements.gosperParams.style.display = 'block';
-            break;
+    const container = elements.patternParams;
+    container.innerHTML = '';
+
+    const descriptor = getPattern(state.currentPattern);
+    if (!descriptor) return;
+
+    if (descriptor.description) {
+        const description = document.createElement('p');
+        description.style.cssText = 'font-size: 0.85rem; color: var(--text-secondary); margin-bottom: 0.75rem;';
+        description.textContent = descriptor.description;
+        container.appendChild(description);
+    }
+
+    const values = state.patternParams[descriptor.id];
+    for (const entry of descriptor.params) {
+        if (entry.hidden) continue;
+        container.appendChild(createParamControl(descriptor.id, entry, values));
+    }
+}
+
+/**
+ * Create a control for one schema parameter
+ * The control writes its typed value back into values[entry.key]
+ * @param {string} idPrefix - Prefix for element ids (e.g. pattern id)
+ * @param {import('./patterns/schema.js').ParamSchema} entry - Schema entry
+ * @param {Object} values - Parameter values object to read from and update
+ * @returns {HTMLElement} Control group element
+ */
+function createParamControl(idPrefix, entry, values) {
+    if (entry.type === 'patterns') {
+        return createPatternListControl(idPrefix, entry, values);
+    }
+
+    const id = `${idPrefix}-${entry.key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`;
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+
+    let input;
+
+    if (entry.type === 'checkbox') {
+        group.classList.add('checkbox');
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = id;
+        input.checked = Boolean(values[entry.key]);
+        input.addEventListener('change', (e) => {
+            values[entry.key] = parseParamValue(entry, e.target.checked);
+        });
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' ' + entry.label));
+        group.appendChild(label);
+    } else if (entry.type === 'select') {
+        label.textContent = entry.label + ':';
+        input = document.createElement('select');
+        input.id = id;
+        for (const { value, label: optionLabel } of entry.options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = optionLabel;
+            input.appendChild(option);
+        }
+        input.value = values[entry.key];
+        input.addEventListener('change', (e) => {
+            values[entry.key] = parseParamValue(entry, e.target.value);
+        });
+        group.appendChild(label);
+        group.appendChild(input);
+    } else if (entry.type === 'range') {
+        const decimals = decimalsForStep(entry);
+        const valueDisplay = document.createElement('span');
+        valueDisplay.id = `${id}-value`;
+        valueDisplay.textContent = Number(values[entry.key]).toFixed(decimals);
+        label.append(`${entry.label}: `, valueDisplay);
+
+        input = document.createElement('input');
+        input.type = 'range';
+        input.id = id;
+        input.min = entry.min;
+        input.max = entry.max;
+        input.step = entry.step;
+        input.value = values[entry.key];
+        input.addEventListener('input', (e) => {
+            const value = parseParamValue(entry, e.target.value);
+            values[entry.key] = value;
+            valueDisplay.textContent = value.toFixed(decimals);
+        });
+        group.appendChild(label);
+        group.appendChild(input);
+    } else {
+        label.textContent = entry.label + ':';
+        input = document.createElement('input');
+        input.type = 'number';
+        input.id = id;
+        if (entry.min !== undefined) input.min = entry.min;
+        if (entry.max !== undefined) input.max = entry.max;
+        if (entry.step !== undefined) input.step = entry.step;
+        if (entry.placeholder) input.placeholder = entry.placeholder;
+        input.value = values[entry.key] ?? '';
+        input.addEventListener('input', (e) => {
+            values[entry.key] = parseParamValue(entry, e.target.value);
+        });
+        group.appendChild(label);
+        group.appendChild(input);
+    }
+
+    if (entry.hint) {
+        const hint = document.createElement('p');
+        hint.style.cssText = 'font-size: 0.75rem; color: var(--text-secondary); margin: 0.25rem 0 0 0;';
+        hint.textContent = entry.hint;
+        group.appendChild(hint);
+    }
+
+    return group;
+}
+
+/**
+ * Create the child pattern list of a composite pattern
+ * Each item has a pattern select, its per-item parameters (e.g. weight) and
+ * the child pattern's own schema controls
+ * @param {string} idPrefix - Prefix for element ids
+ * @param {import('./patterns/schema.js').ParamSchema} entry - 'patterns' schema entry
+ * @param {Object} values - Parameter values object; values[entry.key] is the item list
+ * @returns {HTMLElement} Control group element
+ */
+function createPatternListControl(idPrefix, entry, values) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.textContent = entry.label + ':';
+    group.appendChild(label);
+
+    const list = document.createElement('div');
+    group.appendChild(list);
+
+    // Composites are not offered as children to keep the list flat
+    const choices = listPatterns().filter(descriptor =>
+        !descriptor.params.some(param => param.type === 'patterns')
+    );
+
+    const render = () => {
+        list.innerHTML = '';
+        const items = values[entry.key];
+
+        items.forEach((item, index) => {
+            const itemPrefix = `${idPrefix}-${index}`;
+            const itemContainer = document.createElement('div');
+            itemContainer.className = 'pattern-params';
+
+            // Pattern choice
+            const select = document.createElement('select');
+            select.id = `${itemPrefix}-pattern`;
+            for (const descriptor of choices) {
+                const option = document.createElement('option');
+                option.value = descriptor.id;
+                option.textContent = descriptor.name;
+                select.appendChild(option);
+            }
+            select.value = item.pattern;
+            select.addEventListener('change', (e) => {
+                item.pattern = e.target.value;
+                item.params = getDefaultParams(item.pattern);
+                render();
+            });
+
+            const selectGroup = document.createElement('div');
+            selectGroup.className = 'control-group';
+            const selectLabel = document.createElement('label');
+            selectLabel.htmlFor = select.id;
+            selectLabel.textContent = `${entry.label.replace(/s$/, '')} ${index + 1}:`;
+            selectGroup.appendChild(selectLabel);
+            selectGroup.appendChild(select);
+            itemContainer.appendChild(selectGroup);
+
+            for (const itemEntry of entry.itemParams || []) {
+                itemContainer.appendChild(createParamControl(itemPrefix, itemEntry, item));
+            }
+
+            // Child pattern parameters (composites always use the exact render path)
+            item.params = { ...getDefaultParams(item.pattern), ...item.params };
+            const descriptor = getPattern(item.pattern);
+            for (const childEntry of descriptor.params) {
+                if (childEntry.hidden || childEntry.key === 'renderMode') continue;
+                itemContainer.appendChild(createParamControl(`${itemPrefix}-${item.pattern}`, childEntry, item.params));
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.style.cssText = 'padding: 0.25rem 0.5rem; font-size: 0.85rem;';
+            removeBtn.textContent = 'Remove';
+            removeBtn.disabled = items.length <= (entry.min || 0);
+            removeBtn.addEventListener('click', () => {
+                items.splice(index, 1);
+                render();
+            });
+            itemContainer.appendChild(removeBtn);
+
+            list.appendChild(itemContainer);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-secondary';
+        addBtn.style.cssText = 'padding: 0.25rem 0.5rem; font-size: 0.85rem;';
+        addBtn.textContent = 'Add Pattern';
+        addBtn.addEventListener('click', () => {
+            const pattern = choices[0].id;
+            items.push({
+                pattern,
+                params: getDefaultParams(pattern),
+                ...Object.fromEntries((entry.itemParams || []).map(param => [param.key, param.default]))
+            });
+            render();
+        });
+        list.appendChild(addBtn);
+    };
+
+    render();
+    return group;
+}
+
+/**
+ * Restore pattern selection and parameters
+ * Missing parameters take their defaults and numbers are clamped to their
+ * range (see normalizeParams); an unknown pattern is not applied
+ * @param {{pattern: string, params: Object}} recipe - Pattern id and parameters
+ * @returns {Array<string>} Values that could not be applied
+ */
+function applyPatternRecipe(recipe) {
+    if (!getPattern(recipe.pattern)) {
+        return [`Unknown pattern "${recipe.pattern}"`];
+    }
+
+    const params = normalizeParams(recipe.pattern, recipe.params);
+
+    state.currentPattern = recipe.pattern;
+    state.patternParams[recipe.pattern] = params;
+    elements.patternSelect.value = recipe.pattern;
+    updatePatternParameters();
+
+    console.log('Pattern settings restored:', recipe.pattern, params);
+    return [];
+}
+
+/**
+ * Offer to restore the settings recorded in an exported pattern
+ * @param {ReturnType<typeof readPNGRecipe>} recipe - Recipe read from the file (null if none)
+ * @param {string} filename - File name, for the prompt
+ */
+function offerRecipe(recipe, filename) {
+    if (!recipe) return;
+
+    const source = recipe.version ? `Halftonish ${recipe.version}` : 'Halftonish';
+    const message = `${filename} was exported by ${source} as a ${getPatternName(recipe.settings.pattern)} pattern.\n\n` +
+        'Restore the settings it was made with?';
+    if (!confirm(message)) return;
+
+    const errors = [...recipe.errors, ...applySettings(recipe.settings)];
+    updateURL();
+
+    if (errors.length > 0) {
+        console.warn('Recipe settings skipped:', errors);
+        alert('Some settings could not be restored:\n\n' + errors.join('\n'));
+    }
+}
+
+/**
+ * Snapshot the current settings (pattern, size, halftone and analysis controls)
+ * @returns {import('./utils/url-state.js').Settings}
+ */
+function getSettings() {
+    const { pattern, params, invert, linearize, size } = createRecipe(state);
+    const readControls = (controls) => Object.fromEntries(
+        Object.entries(controls).map(([key, input]) => [key, readControlValue(input)])
+    );
+
+    return {
+        pattern,
+        params,
+        invert,
+        linearize,
+        size,
+        halftone: readControls(LINKED_CONTROLS.halftone),
+        analysis: readControls(LINKED_CONTROLS.analysis),
+        toneCurve: isIdentityToneCurve(state.toneCurve) ? null : structuredClone(state.toneCurve)
+    };
+}
+
+/**
+ * Apply a (possibly partial) settings snapshot to the state and controls
+ * @param {Partial<import('./utils/url-state.js').Settings>} settings - Settings to apply
+ * @returns {Array<string>} Values that could not be applied
+ */
+function applySettings(settings) {
+    const errors = [];
+
+    if (settings.pattern) {
+        errors.push(...applyPatternRecipe({ pattern: settings.pattern, params: settings.params }));
+    }
+
+    if (settings.invert !== undefined) {
+        state.parameters.invert = settings.invert;
+        elements.invertCheckbox.checked = settings.invert;
+    }
+    if (settings.linearize !== undefined) {
+        state.parameters.linearize = settings.linearize;
+        elements.linearizeCheckbox.checked = settings.linearize;
+    }
+
+    if (settings.size) {
+        Object.assign(state.sizeConfig, settings.size);
+        const { mode, widthPx, heightPx, widthPhysical, heightPhysical, unit, dpi } = state.sizeConfig;
+        document.querySelector(`input[name="size-mode"][value="${mode}"]`).checked = true;
+        elements.widthPx.value = widthPx;
+        elements.heightPx.value = heightPx;
+        elements.widthPhysical.value = widthPhysical;
+        elements.heightPhysical.value = heightPhysical;
+        elements.unitSelect.value = unit;
+        elements.heightUnit.textContent = unit;
+        elements.dpi.value = dpi;
+        updateSizeModeUI();
+        updateOutputDimensions();
+    }
+
+    for (const group of ['halftone', 'analysis']) {
+        for (const [key, value] of Object.entries(settings[group] || {})) {
+            const input = LINKED_CONTROLS[group][key];
+
+            if (!input) {
+                errors.push(`Unknown setting "${group}.${key}"`);
+            } else if (!setControlValue(input, value)) {
+                errors.push(`Invalid ${group}.${key}: "${value}"`);
+            }
+        }
+    }
+
+    if (settings.toneCurve !== undefined) {
+        setToneCurve(settings.toneCurve || structuredClone(DEFAULT_TONE_CURVE));
+    }
+
+    return errors;
+}
+
+/**
+ * Current value of a linked control
+ * @param {HTMLInputElement|HTMLSelectElement} input
+ * @returns {boolean|number|string}
+ */
+function readControlValue(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'range' || input.type === 'number') return parseFloat(input.value);
+    return input.value;
+}
+
+/**
+ * Set a linked control and fire its event, so labels and state follow
+ * Out of range values are clamped (sliders) or left unchanged (other controls)
+ * @param {HTMLInputElement|HTMLSelectElement} input
+ * @param {boolean|number|string} value - Typed value or its hash string
+ * @returns {boolean} Whether the value was valid for the control
+ */
+function setControlValue(input, value) {
+    if (input.type === 'checkbox') {
+        input.checked = value === true || value === '1' || value === 'true';
+        input.dispatchEvent(new Event('change'));
+        return true;
+    }
+
+    const previous = input.value;
+    input.value = String(value);
+
+    let valid;
+    if (input.tagName === 'SELECT') {
+        valid = input.value === String(value);
+    } else if (input.type === 'range') {
+        valid = Number(input.value) === Number(value);
+    } else {
+        const { validity } = input;
+        valid = input.value !== '' && !validity.rangeUnderflow && !validity.rangeOverflow;
+    }
+
+    if (!valid && input.type !== 'range') {
+        input.value = previous;
+    }
+
+    input.dispatchEvent(new Event(input.tagName === 'SELECT' ? 'change' : 'input'));
+    return valid;
+}
+
+/**
+ * Apply settings from the URL hash, reporting anything that did not fit
+ */
+function restoreFromURL() {
+    const { settings, errors } = decodeSettings(location.hash);
+    if (settings) {
+        errors.push(...applySettings(settings));
+        console.log('Settings restored from link');
+    }
+
+    if (errors.length > 0) {
+        console.warn('Link settings skipped:', errors);
+        alert('Some settings in this link could not be applied:\n\n' + errors.join('\n'));
+    }
+}
+
+/**
+ * Update the URL hash shortly after the last control change
+ */
+function scheduleURLUpdate() {
+    clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = setTimeout(updateURL, URL_UPDATE_DELAY);
+}
+
+/**
+ * Write the current settings to the URL hash
+ * replaceState keeps edits out of the history and does not fire hashchange
+ */
+function updateURL() {
+    clearTimeout(urlUpdateTimer);
+    history.replaceState(null, '', `#${encodeSettings(getSettings())}`);
+}
+
+/**
+ * Copy a link that reproduces the current settings
+ */
+async function copyLink() {
+    updateURL();
+
+    try {
+        await navigator.clipboard.writeText(location.href);
+        elements.copyLinkBtn.textContent = 'Link Copied';
+        setTimeout(() => { elements.copyLinkBtn.textContent = 'Copy Link'; }, 2000);
+    } catch (error) {
+        // Clipboard access needs a secure context and permission; let the user copy by hand
+        prompt('Copy this link:', location.href);
+    }
+}
+
+/**
+ * Fill the preset dropdown from the preset store
+ * @param {string} [selected] - Preset to select
+ */
+async function refreshPresetList(selected = elements.presetSelect.value) {
+    let presets;
+    try {
+        presets = await state.presets.list();
+    } catch (error) {
+        // Private browsing modes may refuse IndexedDB
+        console.warn('Presets unavailable:', error);
+        elements.savePresetBtn.disabled = true;
+        elements.importPresets.disabled = true;
+        return;
+    }
+
+    elements.presetSelect.innerHTML = '';
+    for (const preset of presets) {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.name;
+        elements.presetSelect.appendChild(option);
+    }
+
+    if (presets.some(preset => preset.name === selected)) {
+        elements.presetSelect.value = selected;
+    }
+
+    const empty = presets.length === 0;
+    elements.loadPresetBtn.disabled = empty;
+    elements.deletePresetBtn.disabled = empty;
+    elements.exportPresetsBtn.disabled = empty;
+}
+
+/**
+ * Save the current settings as a named preset
+ */
+async function savePreset() {
+    const name = prompt('Preset name:', elements.presetSelect.value || '');
+    if (!name || !name.trim()) return;
+
+    try {
+        const existing = await state.presets.get(name.trim());
+        if (existing && !confirm(`Replace the preset "${existing.name}"?`)) return;
+
+        await state.presets.save(createPreset(name.trim(), getSettings()));
+        await refreshPresetList(name.trim());
+        console.log('Preset saved:', name.trim());
+    } catch (error) {
+        console.error('Failed to save preset:', error);
+        alert('Failed to save preset: ' + error.message);
+    }
+}
+
+/**
+ * Apply the selected preset
+ */
+async function loadPreset() {
+    const name = elements.presetSelect.value;
+    if (!name) return;
+
+    try {
+        const preset = await state.presets.get(name);
+        const errors = applySettings(checkPresetSettings(preset.name, preset.settings));
+        updateURL();
+
+        if (errors.length > 0) {
+            console.warn('Preset settings skipped:', errors);
+            alert(`Some settings in "${name}" could not be applied:\n\n` + errors.join('\n'));
+        }
+        console.log('Preset loaded:', name);
+    } catch (error) {
+        console.error('Failed to load preset:', error);
+        alert('Failed to load preset: ' + error.message);
+    }
+}
+
+/**
+ * Delete the selected preset
+ */
+async function deletePreset() {
+    const name = elements.presetSelect.value;
+    if (!name || !confirm(`Delete the preset "${name}"?`)) return;
+
+    try {
+        await state.presets.delete(name);
+        await refreshPresetList();
+    } catch (error) {
+        console.error('Failed to delete preset:', error);
+        alert('Failed to delete preset: ' + error.message);
+    }
+}
+
+/**
+ * Download every preset as one JSON file
+ */
+async function exportPresets() {
+    try {
+        const json = serializePresets(await state.presets.list());
+        const blob = new Blob([json], { type: 'application/json' });
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `halftonish-presets-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Failed to export presets:', error);
+        alert('Failed to export presets: ' + error.message);
+    }
+}
+
+/**
+ * Add the presets from an exported JSON file
+ * Presets with existing names replace them only if the user agrees
+ */
+async function handlePresetImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        let presets = parsePresetFile(await file.text());
+        const existing = new Set((await state.presets.list()).map(preset => preset.name));
+        const clashes = presets.filter(preset => existing.has(preset.name));
+
+        if (clashes.length > 0 && !confirm(`Replace ${clashes.length} existing preset(s)?\n\n${clashes.map(p => p.name).join('\n')}`)) {
+            presets = presets.filter(preset => !existing.has(preset.name));
+        }
+
+        await state.presets.save(...presets);
+        await refreshPresetList(presets[0]?.name);
+        console.log('Presets imported:', presets.length);
+    } catch (error) {
+        console.error('Preset import failed:', error);
+        alert('Failed to import presets: ' + error.message);
+    } finally {
+        // Allow importing the same file again
+        e.target.value = '';
     }
 }
 
@@ -497,9 +1138,17 @@ function updatePatternParameters() {
  * Setup action button listeners
  */
 function setupActionListeners() {
+    // Presets
+    elements.savePresetBtn.addEventListener('click', savePreset);
+    elements.loadPresetBtn.addEventListener('click', loadPreset);
+    elements.deletePresetBtn.addEventListener('click', deletePreset);
+    elements.exportPresetsBtn.addEventListener('click', exportPresets);
+    elements.importPresets.addEventListener('change', handlePresetImport);
+
     // Generate pattern
     elements.generateBtn.addEventListener('click', generatePattern);
     elements.cancelGenerateBtn.addEventListener('click', cancelGenerate);
+    elements.copyLinkBtn.addEventListener('click', copyLink);
 
     // Download pattern
     elements.downloadPatternBtn.addEventListener('click', downloadPattern);
@@ -521,12 +1170,95 @@ function setupActionListeners() {
         elements.halftoneBrightnessValue.textContent = value;
     });
 
+    // Error diffusion options follow the selected kernel
+    elements.halftoneMethod.addEventListener('change', updateDiffusionControls);
+    elements.diffusionStrength.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value);
+        state.diffusionStrength[elements.halftoneMethod.value] = value;
+        elements.diffusionStrengthValue.textContent = value;
+    });
+
+    // Riemersma curve dithering
+    elements.riemersmaHistory.addEventListener('input', (e) => {
+        elements.riemersmaHistoryValue.textContent = parseInt(e.target.value);
+    });
+    elements.riemersmaDecay.addEventListener('input', (e) => {
+        elements.riemersmaDecayValue.textContent = parseInt(e.target.value);
+    });
+
+    // Variable-width curve
+    elements.curveMinWidth.addEventListener('input', (e) => {
+        elements.curveMinWidthValue.textContent = parseInt(e.target.value);
+    });
+    elements.curveMaxWidth.addEventListener('input', (e) => {
+        elements.curveMaxWidthValue.textContent = parseInt(e.target.value);
+    });
+
+    // Adaptive curve
+    elements.adaptiveLineWidth.addEventListener('input', (e) => {
+        elements.adaptiveLineWidthValue.textContent = parseFloat(e.target.value);
+    });
+    elements.adaptiveDetail.addEventListener('input', (e) => {
+        elements.adaptiveDetailValue.textContent = parseInt(e.target.value);
+    });
+
+    // Vector downloads of curve halftones
+    elements.downloadCurveSvgBtn.addEventListener('click', () => downloadCurveVector('svg'));
+    elements.downloadCurvePdfBtn.addEventListener('click', () => downloadCurveVector('pdf'));
+
+    // Pattern transform
+    elements.patternAngle.addEventListener('input', (e) => {
+        elements.patternAngleValue.textContent = parseFloat(e.target.value);
+    });
+    elements.patternScale.addEventListener('input', (e) => {
+        elements.patternScaleValue.textContent = parseFloat(e.target.value).toFixed(2);
+    });
+
+    // Color mode
+    elements.colorMode.addEventListener('change', (e) => {
+        elements.cmykControls.style.display = e.target.value === 'cmyk' ? 'block' : 'none';
+        updateHalftoneButtonState();
+    });
+    elements.cmykGcr.addEventListener('input', (e) => {
+        elements.cmykGcrValue.textContent = e.target.value;
+    });
+    elements.cmykUcr.addEventListener('input', (e) => {
+        elements.cmykUcrValue.textContent = e.target.value;
+    });
+
+    // Tone curve: levels, gamma and dot gain redraw the combined curve
+    const readLevel = (input, fallback) => {
+        const value = parseInt(input.value);
+        return Number.isNaN(value) ? fallback : Math.max(0, Math.min(255, value));
+    };
+    const readToneControls = () => {
+        state.toneCurve = {
+            ...state.toneCurve,
+            gamma: parseFloat(elements.toneGamma.value),
+            inputBlack: readLevel(elements.toneInputBlack, 0),
+            inputWhite: readLevel(elements.toneInputWhite, 255),
+            outputBlack: readLevel(elements.toneOutputBlack, 0),
+            outputWhite: readLevel(elements.toneOutputWhite, 255),
+            dotGain: elements.toneDotGain.value
+        };
+        elements.toneGammaValue.textContent = state.toneCurve.gamma.toFixed(2);
+        toneCurveEditor.setCurve(state.toneCurve);
+    };
+    [elements.toneGamma, elements.toneInputBlack, elements.toneInputWhite, elements.toneOutputBlack, elements.toneOutputWhite]
+        .forEach(input => input.addEventListener('input', readToneControls));
+    elements.toneDotGain.addEventListener('change', readToneControls);
+    elements.toneResetBtn.addEventListener('click', () => setToneCurve(structuredClone(DEFAULT_TONE_CURVE)));
+
     // Apply halftone
     elements.applyHalftoneBtn.addEventListener('click', applyHalftone);
     elements.cancelHalftoneBtn.addEventListener('click', cancelHalftone);
 
     // Download result
     elements.downloadResultBtn.addEventListener('click', downloadResult);
+    elements.downloadToneCurveBtn.addEventListener('click', downloadToneCurve);
+    elements.separationDownloads.querySelectorAll('[data-separation]').forEach(button => {
+        button.addEventListener('click', () => downloadSeparation(button.dataset.separation));
+    });
 
     // Pattern import for analysis
     elements.importPattern.addEventListener('change', handlePatternImport);
@@ -535,6 +1267,10 @@ function setupActionListeners() {
     elements.analyzeBtn.addEventListener('click', analyzeDarkness);
     elements.cancelAnalysisBtn.addEventListener('click', cancelAnalysis);
 
+    // Step wedge calibration
+    elements.calibrateBtn.addEventListener('click', runStepWedge);
+    elements.useCompensationBtn.addEventListener('click', useCompensationCurve);
+
     // Match image size button
     elements.matchImageSizeBtn.addEventListener('click', matchImageSize);
 }
@@ -545,6 +1281,9 @@ function setupActionListeners() {
 async function generatePattern() {
     console.log('Generating pattern:', state.currentPattern, state.parameters, state.sizeConfig);
 
+    // Composite child lists change by button, not input; catch up before rendering
+    updateURL();
+
     // Validate size
     const sizeResult = SizeCalculator.calculatePixelDimensions(state.sizeConfig);
     if (!sizeResult.valid) {
@@ -561,113 +1300,46 @@ async function generatePattern() {
     elements.cancelGenerateBtn.style.display = 'inline-block';
     elements.generateProgress.style.display = 'block';
     elements.downloadPatternBtn.disabled = true;
+    elements.plotterPreviewBtn.disabled = true;
+    updateHalftoneButtonState();
 
     try {
-        // Prepare pattern-specific parameters
-        let params = {};
-
-        switch (state.currentPattern) {
-            case 'random':
-                params = {
-                    distribution: state.parameters.randomDistribution,
-                    seed: state.parameters.randomSeed
-                };
-                break;
-            case 'noise':
-                params = {
-                    scale: state.parameters.noiseScale,
-                    octaves: state.parameters.noiseOctaves,
-                    persistence: state.parameters.noisePersistence,
-                    seed: state.parameters.noiseSeed
-                };
-                break;
-            case 'benday':
-                params = {
-                    spacing: state.parameters.bendaySpacing,
-                    dotSize: state.parameters.bendaySize,
-                    shape: state.parameters.bendayShape,
-                    gridType: state.parameters.bendayGrid,
-                    antialiasing: state.parameters.bendayAntialiasing
-                };
-                break;
-            case 'hilbert':
-                params = {
-                    iterations: state.parameters.iterations,
-                    lineWidth: state.parameters.lineWidth
-                };
-                break;
-            case 'peano':
-                params = {
-                    iterations: state.parameters.iterations,
-                    lineWidth: state.parameters.lineWidth
-                };
-                break;
-            case 'zorder':
-                params = {
-                    iterations: state.parameters.iterations,
-                    lineWidth: state.parameters.lineWidth
-                };
-                break;
-            case 'gosper':
-                params = {
-                    iterations: state.parameters.iterations,
-                    lineWidth: state.parameters.lineWidth
-                };
-                break;
-        }
+        // Pattern-specific parameters (schema keys match generator params);
+        // unset seeds are drawn here so the result can be reproduced
+        const params = resolveSeeds({ ...state.patternParams[state.currentPattern] });
 
-        console.log('Pattern params:', params);
+        // Snapshot the settings before rendering; exports describe this
+        // pattern even if the controls change afterwards
+        const recipe = { ...createRecipe(state), params: structuredClone(params) };
 
-        // Create worker if needed
-        if (!state.workers.pattern) {
-            state.workers.pattern = new Worker('./workers/pattern-worker.js', { type: 'module' });
-        }
-
-        const worker = state.workers.pattern;
-
-        // Set up promise for worker completion
-        const result = await new Promise((resolve, reject) => {
-            // Message handler
-            const handleMessage = (e) => {
-                const { type, progress, imageData, message } = e.data;
-
-                if (type === 'progress') {
-                    updateGenerateProgress(progress);
-                } else if (type === 'complete') {
-                    worker.removeEventListener('message', handleMessage);
-                    resolve(imageData);
-                } else if (type === 'error') {
-                    worker.removeEventListener('message', handleMessage);
-                    reject(new Error(message));
-                } else if (type === 'cancelled') {
-                    worker.removeEventListener('message', handleMessage);
-                    reject(new Error('Generation cancelled'));
-                }
-            };
-
-            worker.addEventListener('message', handleMessage);
+        console.log('Pattern params:', params);
 
-            // Send render request
-            worker.postMessage({
-                type: 'render',
-                pattern: state.currentPattern,
-                params: params,
-                width: width,
-                height: height
-            });
+        // Render bands in parallel across the worker pool
+        let levels = await state.workers.pattern.render(recipe.pattern, params, width, height, {
+            onProgress: updateGenerateProgress
         });
 
         // Apply inversion if enabled
-        if (state.parameters.invert) {
-            const data = result.data;
-            for (let i = 0; i < data.length; i += 4) {
-                data[i] = 255 - data[i];         // R
-                data[i + 1] = 255 - data[i + 1]; // G
-                data[i + 2] = 255 - data[i + 2]; // B
-                // Alpha channel (i + 3) unchanged
+        if (recipe.invert) {
+            const data = levels.data;
+            for (let i = 0; i < data.length; i++) {
+                data[i] = 1 - data[i];
             }
         }
 
+        // Equalize the histogram, reporting the threshold response before and after
+        if (recipe.linearize) {
+            const before = await state.analyzer.measureToneResponse(levels);
+            levels = await state.workers.pattern.linearize(levels);
+            const after = await state.analyzer.measureToneResponse(levels);
+            showToneResponse(before, after);
+        } else {
+            elements.toneResponse.style.display = 'none';
+        }
+
+        // 8-bit copy for display, PNG/PDF export and analysis
+        const result = floatPatternToImageData(levels);
+
         // Draw result to canvas
         const canvas = elements.patternCanvas;
         canvas.width = width;
@@ -677,6 +1349,8 @@ async function generatePattern() {
 
         // Store generated pattern
         state.generatedPattern = result;
+        state.generatedLevels = levels;
+        state.generatedRecipe = recipe;
 
         // Copy to analysis canvas and enable analysis
         const analysisCanvas = elements.analysisCanvas;
@@ -687,6 +1361,7 @@ async function generatePattern() {
 
         // Enable download and analysis
         elements.downloadPatternBtn.disabled = false;
+        elements.plotterPreviewBtn.disabled = false;
         elements.analyzeBtn.disabled = false;
 
         // Update halftone button state (enable if image is uploaded)
@@ -704,19 +1379,32 @@ async function generatePattern() {
         elements.generateBtn.disabled = false;
         elements.cancelGenerateBtn.style.display = 'none';
         elements.generateProgress.style.display = 'none';
+        updateHalftoneButtonState();
     }
 }
 
+/**
+ * Show the threshold tone response of a pattern before and after linearization
+ * @param {Float32Array} before - Ink coverage of the raw pattern
+ * @param {Float32Array} after - Ink coverage of the linearized pattern
+ */
+function showToneResponse(before, after) {
+    drawToneResponse(elements.toneResponseCanvas, [
+        { coverage: before, color: 'rgb(220, 38, 38)' },
+        { coverage: after, color: 'rgb(37, 99, 235)' }
+    ]);
+    elements.toneResponseContent.innerHTML = formatToneResponse(before, after);
+    elements.toneResponse.style.display = 'block';
+}
+
 /**
  * Cancel pattern generation
  */
 function cancelGenerate() {
     console.log('Cancelling pattern generation');
 
-    if (state.workers.pattern) {
-        // Send cancel message
-        state.workers.pattern.postMessage({ type: 'cancel' });
-    }
+    // Stops every band at once
+    state.workers.pattern.cancel();
 }
 
 /**
@@ -732,28 +1420,63 @@ function updateGenerateProgress(progress) {
  * Download pattern
  */
 async function downloadPattern() {
+    if (!state.generatedRecipe) return;
+
     const canvas = elements.patternCanvas;
     const timestamp = Date.now();
     const format = state.exportFormat;
+    const generated = getGeneratedState();
+    const patternId = generated.currentPattern;
 
     try {
         if (format === 'pdf') {
             // Export as PDF
-            const metadata = getMetadataFromState(state);
-            const filename = `halftonish-${state.currentPattern}-${timestamp}.pdf`;
+            const metadata = getMetadataFromState(generated);
+            const filename = `halftonish-${patternId}-${timestamp}.pdf`;
             await exportPatternToPDF(canvas, metadata, filename);
             console.log('Pattern exported as PDF:', filename);
+        } else if (format === 'pdf-vector') {
+            // Export as PDF with the generated pattern drawn as paths
+            const metadata = getMetadataFromState(generated);
+            const geometry = getExportGeometry(metadata);
+            const filename = `halftonish-${patternId}-${timestamp}.pdf`;
+            await exportPatternToPDF(canvas, metadata, filename, geometry);
+            console.log('Pattern exported as vector PDF:', filename);
+        } else if (format === 'svg') {
+            // Export the vector geometry of the generated pattern
+            const metadata = getMetadataFromState(generated);
+            const geometry = getExportGeometry(metadata);
+            const filename = `halftonish-${patternId}-${timestamp}.svg`;
+            exportPatternToSVG(geometry, metadata, filename);
+            console.log('Pattern exported as SVG:', filename);
+        } else if (RASTER_FORMATS[format]) {
+            // Export the float levels without 8-bit quantization
+            const filename = `halftonish-${patternId}-${timestamp}.${RASTER_FORMATS[format].extension}`;
+            await exportFloatPattern(state.generatedLevels, format, filename, { recipe: state.generatedRecipe, dpi: getExportDPI(generated.sizeConfig) });
+            console.log('Pattern exported as', format, filename);
+        } else if (isPlotterFormat(format)) {
+            // Export as a pen plotter program
+            const plot = buildPlot();
+            const program = format === 'gcode'
+                ? strokesToGCode(plot.strokes, plot.options, `Halftonish - ${plot.metadata.patternType}`)
+                : strokesToHPGL(plot.strokes);
+            const filename = `halftonish-${patternId}-${timestamp}.${format === 'gcode' ? 'gcode' : 'plt'}`;
+
+            showPlotPreview(plot);
+            exportPlotterFile(program, filename);
+            console.log('Pattern exported for plotter:', filename);
         } else {
-            // Export as PNG
-            canvas.toBlob((blob) => {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `halftonish-${state.currentPattern}-${timestamp}.png`;
-                a.click();
-                URL.revokeObjectURL(url);
-                console.log('Pattern exported as PNG');
-            }, 'image/png', 1.0);
+            // Export as PNG, with the recipe to regenerate it
+            const bytes = embedPNGRecipe(await encodeCanvasPNG(canvas, getExportDPI(generated.sizeConfig)), state.generatedRecipe);
+            const blob = new Blob([bytes], { type: 'image/png' });
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `halftonish-${patternId}-${timestamp}.png`;
+            a.click();
+            URL.revokeObjectURL(url);
+            console.log('Pattern exported as PNG');
         }
     } catch (error) {
         console.error('Failed to download pattern:', error);
@@ -761,6 +1484,157 @@ async function downloadPattern() {
     }
 }
 
+/**
+ * The generated pattern's settings in the shape of the application state,
+ * for export helpers that take a state (getMetadataFromState, createRecipe)
+ * @returns {Object}
+ */
+function getGeneratedState() {
+    const { pattern, params, invert, linearize, size } = state.generatedRecipe;
+
+    return {
+        currentPattern: pattern,
+        patternParams: { [pattern]: params },
+        parameters: { invert, linearize },
+        sizeConfig: { ...size, finalWidthPx: state.generatedPattern.width, finalHeightPx: state.generatedPattern.height },
+        generatedRecipe: state.generatedRecipe
+    };
+}
+
+/**
+ * Resolution recorded in raster downloads: the DPI in physical size mode,
+ * so layout tools place them at their physical size
+ * @param {Object} [sizeConfig] - Size configuration (pattern downloads pass
+ *                                the generated pattern's)
+ * @returns {number|null}
+ */
+function getExportDPI(sizeConfig = state.sizeConfig) {
+    return sizeConfig.mode === 'physical' ? sizeConfig.dpi : null;
+}
+
+/**
+ * Encode a canvas as PNG, recording its resolution
+ * @param {HTMLCanvasElement} canvas
+ * @param {number|null} [dpi] - Resolution to record (see getExportDPI)
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+async function encodeCanvasPNG(canvas, dpi = getExportDPI()) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png', 1.0));
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    return dpi ? insertPNGChunks(bytes, [pngResolutionChunk(dpi)]) : bytes;
+}
+
+/**
+ * Vector geometry of a pattern at the export size
+ * Drawn from the metadata's recipe, so it matches the pattern the metadata
+ * describes (the generated one, with getGeneratedState())
+ * @param {Object} metadata - Export metadata (from getMetadataFromState)
+ * @returns {import('./patterns/base.js').VectorGeometry}
+ */
+function getExportGeometry(metadata) {
+    const geometry = getPatternGeometry(
+        metadata.recipe.pattern,
+        metadata.recipe.params,
+        metadata.widthPx,
+        metadata.heightPx
+    );
+
+    if (!geometry) {
+        throw new Error(`${metadata.patternType} has no vector geometry; use PNG or PDF`);
+    }
+
+    return geometry;
+}
+
+/**
+ * Whether an export format is a pen plotter program
+ * @param {string} format - Export format
+ * @returns {boolean}
+ */
+function isPlotterFormat(format) {
+    return format === 'gcode' || format === 'hpgl';
+}
+
+/**
+ * Read plotter options from the controls
+ * @returns {Object} Plotter options (see DEFAULT_PLOTTER_OPTIONS)
+ */
+function getPlotterOptions() {
+    return {
+        penUp: elements.plotterPenUp.value.trim() || DEFAULT_PLOTTER_OPTIONS.penUp,
+        penDown: elements.plotterPenDown.value.trim() || DEFAULT_PLOTTER_OPTIONS.penDown,
+        feedRate: parseFloat(elements.plotterFeedRate.value) || DEFAULT_PLOTTER_OPTIONS.feedRate,
+        travelRate: parseFloat(elements.plotterTravelRate.value) || DEFAULT_PLOTTER_OPTIONS.travelRate,
+        penLiftTime: parseFloat(elements.plotterPenLift.value) || 0,
+        clipThreshold: parseInt(elements.plotterClip.value) / 100,
+        modulate: elements.plotterModulate.checked
+    };
+}
+
+/**
+ * Build plotter strokes for the generated curve pattern at its size
+ * @returns {{strokes: Array, options: Object, metadata: Object, widthMM: number, heightMM: number}}
+ */
+function buildPlot() {
+    const metadata = getMetadataFromState(getGeneratedState());
+    const geometry = getExportGeometry(metadata);
+
+    if (geometry.polylines.length === 0) {
+        throw new Error(`Plotter export needs a curve pattern; ${metadata.patternType} has no paths`);
+    }
+
+    const options = getPlotterOptions();
+    const mmPerPixel = getMillimetersPerPixel(metadata);
+    const useImage = elements.plotterUseImage.checked && state.uploadedImage;
+
+    const strokes = buildPlotterStrokes(geometry, {
+        heightPx: metadata.heightPx,
+        mmPerPixel,
+        feedRate: options.feedRate,
+        darkness: useImage
+            ? createDarknessSampler(state.uploadedImage, metadata.widthPx, metadata.heightPx)
+            : null,
+        clipThreshold: options.clipThreshold,
+        modulate: options.modulate
+    });
+
+    return {
+        strokes,
+        options,
+        metadata,
+        widthMM: metadata.widthPx * mmPerPixel,
+        heightMM: metadata.heightPx * mmPerPixel
+    };
+}
+
+/**
+ * Draw a plot preview and its time estimate
+ * @param {Object} plot - Result of buildPlot()
+ */
+function showPlotPreview({ strokes, options, widthMM, heightMM }) {
+    drawPlotterPreview(elements.plotterPreview, strokes, widthMM, heightMM);
+
+    const estimate = estimatePlotTime(strokes, options);
+    elements.plotterEstimate.textContent =
+        `${widthMM.toFixed(1)} × ${heightMM.toFixed(1)} mm · ` +
+        `${(estimate.drawLength / 1000).toFixed(2)} m drawn, ` +
+        `${(estimate.travelLength / 1000).toFixed(2)} m travel, ` +
+        `${estimate.penLifts} pen lifts · estimated ${formatDuration(estimate.seconds)}`;
+}
+
+/**
+ * Preview the plot for the generated pattern and plotter options
+ */
+function previewPlot() {
+    try {
+        showPlotPreview(buildPlot());
+    } catch (error) {
+        console.error('Failed to preview plot:', error);
+        alert('Failed to preview plot: ' + error.message);
+    }
+}
+
 /**
  * Handle image upload
  */
@@ -842,6 +1716,11 @@ async function handlePatternUpload(e) {
  * Load pattern from image file
  */
 async function loadPatternFromImage(file) {
+    // PNGs exported by Halftonish carry their recipe
+    if (file.type === 'image/png') {
+        offerRecipe(readPNGRecipe(new Uint8Array(await file.arrayBuffer())), file.name);
+    }
+
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => {
@@ -886,6 +1765,9 @@ async function loadPatternFromPDF(file) {
 
     console.log('PDF loaded for pattern:', pdf.numPages, 'pages');
 
+    // PDFs exported by Halftonish carry their recipe
+    offerRecipe(await readPatternRecipe(pdf), file.name);
+
     // Get first page
     const page = await pdf.getPage(1);
 
@@ -930,7 +1812,27 @@ function updateHalftoneButtonState() {
     const hasImage = state.uploadedImage !== null;
     const hasPattern = state.generatedPattern !== null || state.uploadedPattern !== null;
 
-    elements.applyHalftoneBtn.disabled = !(hasImage && hasPattern);
+    // CMYK channel screens render on the pattern workers, which take one job at a time
+    const poolBusy = state.rendering.isGenerating && elements.colorMode.value === 'cmyk';
+
+    elements.applyHalftoneBtn.disabled = !(hasImage && hasPattern) || state.rendering.isApplying || poolBusy;
+
+    // Calibration halftones its own wedge, so it only needs the pattern
+    elements.calibrateBtn.disabled = !hasPattern || state.rendering.isApplying;
+
+    // Variable-width curves follow the generated pattern, so it must be a curve
+    elements.curveWidthMethod.disabled = !hasGeneratedCurve();
+
+    // The plotter can follow the image's darkness once one is loaded
+    elements.plotterUseImage.disabled = !hasImage;
+}
+
+/**
+ * Whether the generated pattern is a curve that variable-width curves can follow
+ * @returns {boolean}
+ */
+function hasGeneratedCurve() {
+    return state.generatedRecipe !== null && isCurvePattern(state.generatedRecipe.pattern);
 }
 
 /**
@@ -944,66 +1846,59 @@ async function applyHalftone() {
         return;
     }
 
-    // Use uploaded pattern if available, otherwise use generated pattern
-    const patternToUse = state.uploadedPattern || state.generatedPattern;
+    // Use uploaded pattern if available, otherwise the generated pattern's float levels
+    const patternToUse = state.uploadedPattern || state.generatedLevels;
 
     if (!patternToUse) {
         alert('Please generate or upload a pattern first');
         return;
     }
 
+    if (state.rendering.isGenerating && elements.colorMode.value === 'cmyk') {
+        alert('Please wait for the pattern to finish generating');
+        return;
+    }
+
+    if (elements.halftoneMethod.value === 'curve-width' && !hasGeneratedCurve()) {
+        alert('Variable-width curves need a generated Hilbert, Peano, Z-order or Gosper pattern');
+        return;
+    }
+
     // Update UI
     state.rendering.isApplying = true;
     elements.applyHalftoneBtn.disabled = true;
+    elements.calibrateBtn.disabled = true;
     elements.cancelHalftoneBtn.style.display = 'inline-block';
     elements.halftoneProgress.style.display = 'block';
     elements.downloadResultBtn.disabled = true;
+    elements.separationDownloads.style.display = 'none';
+    elements.curveWidthDownloads.style.display = 'none';
+    elements.downloadToneCurveBtn.style.display = 'none';
+    state.separations = null;
+    state.curveResult = null;
+    state.resultToneCurve = null;
 
     try {
-        // Get halftone method and adjustments
         const method = elements.halftoneMethod.value;
-        const contrast = parseInt(elements.halftoneContrast.value);
-        const brightness = parseInt(elements.halftoneBrightness.value);
-
-        // Create worker if needed
-        if (!state.workers.halftone) {
-            state.workers.halftone = new Worker('./workers/halftone-worker.js');
+        const colorMode = elements.colorMode.value;
+        const request = buildHalftoneRequest(state.uploadedImage, patternToUse);
+
+        if (colorMode === 'cmyk') {
+            request.colorMode = colorMode;
+            request.gcr = parseInt(elements.cmykGcr.value) / 100;
+            request.ucr = parseInt(elements.cmykUcr.value) / 100;
+            request.channels = await getChannelScreens(patternToUse);
         }
 
-        const worker = state.workers.halftone;
-
-        // Set up promise for worker completion
-        const result = await new Promise((resolve, reject) => {
-            // Message handler
-            const handleMessage = (e) => {
-                const { type, progress, imageData, message } = e.data;
-
-                if (type === 'progress') {
-                    updateHalftoneProgress(progress);
-                } else if (type === 'complete') {
-                    worker.removeEventListener('message', handleMessage);
-                    resolve(imageData);
-                } else if (type === 'error') {
-                    worker.removeEventListener('message', handleMessage);
-                    reject(new Error(message));
-                } else if (type === 'cancelled') {
-                    worker.removeEventListener('message', handleMessage);
-                    reject(new Error('Halftone cancelled'));
-                }
-            };
-
-            worker.addEventListener('message', handleMessage);
+        const { imageData: result, separations } = await runHalftoneWorker(request, updateHalftoneProgress);
 
-            // Send apply request
-            worker.postMessage({
-                type: 'apply',
-                imageData: state.uploadedImage,
-                patternData: patternToUse,
-                method: method,
-                contrast: contrast,
-                brightness: brightness
-            });
-        });
+        // Keep each plate's screen so its download can be reproduced
+        state.separations = separations
+            ? separations.map(separation => {
+                const { recipe, angle } = request.channels[CMYK_CHANNELS.indexOf(separation.name)];
+                return { ...separation, screen: { recipe, angle } };
+            })
+            : null;
 
         // Draw result to canvas
         const canvas = elements.resultCanvas;
@@ -1014,6 +1909,24 @@ async function applyHalftone() {
 
         // Enable download
         elements.downloadResultBtn.disabled = false;
+        if (state.separations) {
+            elements.separationDownloads.style.display = 'flex';
+        }
+
+        // Keep the tone curve with the result
+        if (!isIdentityToneCurve(request.toneCurve)) {
+            state.resultToneCurve = structuredClone(request.toneCurve);
+            elements.downloadToneCurveBtn.style.display = 'inline-block';
+        }
+
+        // Curve halftones can also be exported as vectors
+        if (CURVE_METHODS.includes(method) && colorMode !== 'cmyk') {
+            state.curveResult = {
+                method,
+                options: method === 'curve-width' ? request.curveWidth : request.adaptiveCurve
+            };
+            elements.curveWidthDownloads.style.display = 'flex';
+        }
 
         console.log('Halftone applied successfully');
     } catch (error) {
@@ -1024,18 +1937,185 @@ async function applyHalftone() {
     } finally {
         // Reset UI
         state.rendering.isApplying = false;
-        elements.applyHalftoneBtn.disabled = false;
+        updateHalftoneButtonState();
         elements.cancelHalftoneBtn.style.display = 'none';
         elements.halftoneProgress.style.display = 'none';
     }
 }
 
+/**
+ * Build a halftone worker request from the current halftone controls
+ * Color mode is grayscale; CMYK callers add their channel screens
+ * @param {ImageData} imageData - Source image
+ * @param {ImageData|Object} patternData - Uploaded pattern or generated float levels
+ * @returns {Object} 'apply' message for the halftone worker
+ */
+function buildHalftoneRequest(imageData, patternData) {
+    const method = elements.halftoneMethod.value;
+
+    return {
+        type: 'apply',
+        imageData,
+        patternData,
+        method,
+        contrast: parseInt(elements.halftoneContrast.value),
+        brightness: parseInt(elements.halftoneBrightness.value),
+        transform: {
+            angle: parseFloat(elements.patternAngle.value) || 0,
+            scale: parseFloat(elements.patternScale.value) || 1,
+            offsetX: parseFloat(elements.patternOffsetX.value) || 0,
+            offsetY: parseFloat(elements.patternOffsetY.value) || 0
+        },
+        diffusion: {
+            usePattern: elements.diffusionUsePattern.checked,
+            serpentine: elements.diffusionSerpentine.checked,
+            strength: (state.diffusionStrength[method] ?? 100) / 100
+        },
+        riemersma: {
+            curve: elements.riemersmaCurve.value,
+            historyLength: parseInt(elements.riemersmaHistory.value),
+            decay: parseInt(elements.riemersmaDecay.value)
+        },
+        curveWidth: {
+            pattern: state.generatedRecipe && state.generatedRecipe.pattern,
+            params: state.generatedRecipe && state.generatedRecipe.params,
+            minWidth: parseInt(elements.curveMinWidth.value) / 100,
+            maxWidth: parseInt(elements.curveMaxWidth.value) / 100
+        },
+        adaptiveCurve: {
+            curve: elements.adaptiveCurveType.value,
+            minIterations: parseInt(elements.adaptiveMinIterations.value) || 1,
+            maxIterations: parseInt(elements.adaptiveMaxIterations.value) || 1,
+            lineWidth: parseFloat(elements.adaptiveLineWidth.value),
+            detail: parseInt(elements.adaptiveDetail.value) / 100
+        },
+        toneCurve: state.toneCurve,
+        colorMode: 'gray'
+    };
+}
+
+/**
+ * Run a request on the halftone worker (created on first use)
+ * @param {Object} request - 'apply' message (see buildHalftoneRequest)
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @returns {Promise<{imageData: ImageData, separations?: Array}>} Worker result
+ */
+function runHalftoneWorker(request, onProgress) {
+    if (!state.workers.halftone) {
+        state.workers.halftone = new Worker('./workers/halftone-worker.js', { type: 'module' });
+    }
+
+    const worker = state.workers.halftone;
+
+    return new Promise((resolve, reject) => {
+        const handleMessage = (e) => {
+            const { type, progress, message } = e.data;
+
+            if (type === 'progress') {
+                onProgress(progress);
+            } else if (type === 'complete') {
+                worker.removeEventListener('message', handleMessage);
+                resolve(e.data);
+            } else if (type === 'error') {
+                worker.removeEventListener('message', handleMessage);
+                reject(new Error(message));
+            } else if (type === 'cancelled') {
+                worker.removeEventListener('message', handleMessage);
+                reject(new Error('Halftone cancelled'));
+            }
+        };
+
+        worker.addEventListener('message', handleMessage);
+        worker.postMessage(request);
+    });
+}
+
+/**
+ * Show error diffusion options for diffusion methods, with the selected
+ * kernel's remembered strength, and curve options for Riemersma dithering,
+ * variable-width and adaptive curves
+ */
+function updateDiffusionControls() {
+    const method = elements.halftoneMethod.value;
+    const isDiffusion = DIFFUSION_METHODS.includes(method);
+
+    elements.diffusionControls.style.display = isDiffusion ? 'block' : 'none';
+    elements.riemersmaControls.style.display = method === 'riemersma' ? 'block' : 'none';
+    elements.curveWidthControls.style.display = method === 'curve-width' ? 'block' : 'none';
+    elements.adaptiveCurveControls.style.display = method === 'adaptive-curve' ? 'block' : 'none';
+
+    if (isDiffusion) {
+        elements.diffusionStrength.value = state.diffusionStrength[method];
+        elements.diffusionStrengthValue.textContent = state.diffusionStrength[method];
+    }
+}
+
+/**
+ * Collect the screen (pattern and angle) for each CMYK channel
+ * Channels set to their own pattern type render it at the image size with
+ * that pattern's current parameters, seeds drawn; each type is rendered once.
+ * The renders hold the pattern workers, so Generate waits for them and
+ * cancelling the halftone stops them.
+ * Screens carry the recipe of their pattern (null for an uploaded pattern)
+ * @param {ImageData|Object} currentPattern - Uploaded pattern or generated float levels
+ * @returns {Promise<Array<{patternData: ImageData|Object, angle: number, recipe: import('./utils/recipe.js').Recipe|null}>>}
+ *          Screens in CMYK order
+ */
+async function getChannelScreens(currentPattern) {
+    const { width, height } = state.uploadedImage;
+    const rendered = new Map();
+    const screens = [];
+    const current = {
+        patternData: currentPattern,
+        recipe: currentPattern === state.generatedLevels ? state.generatedRecipe : null
+    };
+
+    state.rendering.isRenderingScreens = true;
+    elements.generateBtn.disabled = true;
+
+    try {
+        for (const name of CMYK_CHANNELS) {
+            const { pattern, angle } = elements.cmykChannels[name];
+            const patternId = pattern.value;
+
+            if (patternId && !rendered.has(patternId)) {
+                const params = resolveSeeds({ ...state.patternParams[patternId] });
+                const recipe = createRecipe({
+                    currentPattern: patternId,
+                    patternParams: { [patternId]: params },
+                    sizeConfig: { ...state.sizeConfig, mode: 'pixel', widthPx: width, heightPx: height }
+                });
+                const patternData = await state.workers.pattern.render(patternId, params, width, height);
+                rendered.set(patternId, { patternData, recipe });
+            }
+
+            screens.push({
+                ...(patternId ? rendered.get(patternId) : current),
+                angle: parseFloat(angle.value) || 0
+            });
+        }
+    } catch (error) {
+        // A cancelled screen render cancels the halftone
+        throw error.message === 'Generation cancelled' ? new Error('Halftone cancelled') : error;
+    } finally {
+        state.rendering.isRenderingScreens = false;
+        elements.generateBtn.disabled = false;
+    }
+
+    return screens;
+}
+
 /**
  * Cancel halftone application
  */
 function cancelHalftone() {
     console.log('Cancelling halftone application');
 
+    if (state.rendering.isRenderingScreens) {
+        // CMYK channel screens are still rendering on the pattern workers
+        state.workers.pattern.cancel();
+    }
+
     if (state.workers.halftone) {
         // Send cancel message
         state.workers.halftone.postMessage({ type: 'cancel' });
@@ -1054,16 +2134,123 @@ function updateHalftoneProgress(progress) {
 /**
  * Download result
  */
-function downloadResult() {
-    const canvas = elements.resultCanvas;
-    canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `halftonish-result-${Date.now()}.png`;
-        a.click();
-        URL.revokeObjectURL(url);
-    });
+async function downloadResult() {
+    const blob = new Blob([await encodeCanvasPNG(elements.resultCanvas)], { type: 'image/png' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `halftonish-result-${Date.now()}.png`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the tone curve the last result was made with, as JSON
+ * Holds the curve settings (to restore the editor) and the composed
+ * 256-entry lookup table (for other tools)
+ */
+function downloadToneCurve() {
+    if (!state.resultToneCurve) return;
+
+    const lut = Array.from(buildToneLUT(state.resultToneCurve), value => Math.round(value * 1000) / 1000);
+    const json = JSON.stringify({ toneCurve: state.resultToneCurve, lut }, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `halftonish-result-tone-curve-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show a tone curve in the controls and the spline editor
+ * @param {Object} curve - Tone curve (see DEFAULT_TONE_CURVE in tone-curve.js)
+ */
+function setToneCurve(curve) {
+    state.toneCurve = { ...DEFAULT_TONE_CURVE, ...curve };
+
+    elements.toneGamma.value = state.toneCurve.gamma;
+    elements.toneGammaValue.textContent = state.toneCurve.gamma.toFixed(2);
+    elements.toneInputBlack.value = state.toneCurve.inputBlack;
+    elements.toneInputWhite.value = state.toneCurve.inputWhite;
+    elements.toneOutputBlack.value = state.toneCurve.outputBlack;
+    elements.toneOutputWhite.value = state.toneCurve.outputWhite;
+    elements.toneDotGain.value = state.toneCurve.dotGain;
+
+    toneCurveEditor.setCurve(state.toneCurve);
+}
+
+/**
+ * Download one CMYK separation as a grayscale PNG (black = ink)
+ * The recipe of the plate's screen pattern is embedded with its angle
+ * @param {string} name - Separation name ('cyan', 'magenta', 'yellow', 'black')
+ */
+async function downloadSeparation(name) {
+    const separation = state.separations && state.separations.find(s => s.name === name);
+    if (!separation) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = separation.imageData.width;
+    canvas.height = separation.imageData.height;
+    canvas.getContext('2d').putImageData(separation.imageData, 0, 0);
+
+    const { recipe, angle } = separation.screen;
+    let bytes = await encodeCanvasPNG(canvas);
+    if (recipe) {
+        bytes = embedPNGRecipe(bytes, { ...recipe, screenAngle: angle });
+    }
+    const blob = new Blob([bytes], { type: 'image/png' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `halftonish-result-${name}-${Date.now()}.png`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the last curve halftone as SVG or vector PDF
+ * The curve is rebuilt from the same options and image, so it matches the
+ * raster result; sizes follow the image, at the current DPI in physical mode
+ * @param {'svg'|'pdf'} format - Output format
+ */
+async function downloadCurveVector(format) {
+    if (!state.curveResult || !state.uploadedImage) return;
+
+    try {
+        const { method, options } = state.curveResult;
+        const { width, height } = state.uploadedImage;
+        const darkness = createDarknessSampler(state.uploadedImage, width, height);
+        const curve = method === 'curve-width'
+            ? createModulatedCurve(getPattern(options.pattern).sdf, options.params, width, height, darkness, options)
+            : createAdaptiveCurve(darkness, width, height, options);
+        const geometry = getModulatedCurveGeometry(curve);
+
+        const metadata = {
+            ...getMetadataFromState(state),
+            widthPx: width,
+            heightPx: height
+        };
+        if (metadata.dpi) {
+            metadata.physicalWidth = Number(SizeCalculator.pixelsToPhysical(width, metadata.dpi, metadata.unit).toFixed(3));
+            metadata.physicalHeight = Number(SizeCalculator.pixelsToPhysical(height, metadata.dpi, metadata.unit).toFixed(3));
+        }
+
+        const filename = `halftonish-result-${method}-${Date.now()}.${format}`;
+        if (format === 'svg') {
+            exportPatternToSVG(geometry, metadata, filename);
+        } else {
+            await exportPatternToPDF(null, metadata, filename, geometry);
+        }
+        console.log('Curve halftone exported:', filename);
+    } catch (error) {
+        console.error('Failed to export curve:', error);
+        alert('Failed to export curve: ' + error.message);
+    }
 }
 
 /**
@@ -1123,6 +2310,16 @@ async function handlePatternImport(e) {
  * Load image pattern (PNG, JPG, etc.)
  */
 async function loadImagePattern(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    // PNGs exported by Halftonish carry their recipe
+    if (file.type === 'image/png') {
+        offerRecipe(readPNGRecipe(bytes), file.name);
+    }
+
+    // Resolution recorded in the file (PNG pHYs, JPEG JFIF), if any
+    const dpi = readImageResolution(bytes);
+
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => {
@@ -1135,9 +2332,13 @@ async function loadImagePattern(file) {
 
             // Store image data
             state.importedPattern = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            state.importedPatternDPI = dpi;
 
-            // Update DPI in analysis config if physical mode
-            if (state.sizeConfig.mode === 'physical') {
+            // Analyze at the file's resolution, or the physical size mode's DPI
+            if (dpi) {
+                state.analysisConfig.dpi = dpi;
+                console.log('Pattern resolution from file:', dpi, 'dpi');
+            } else if (state.sizeConfig.mode === 'physical') {
                 state.analysisConfig.dpi = state.sizeConfig.dpi;
             }
 
@@ -1175,6 +2376,9 @@ async function loadPDFPattern(file) {
 
     console.log('PDF loaded:', pdf.numPages, 'pages');
 
+    // PDFs exported by Halftonish carry their recipe
+    offerRecipe(await readPatternRecipe(pdf), file.name);
+
     // Get first page
     const page = await pdf.getPage(1);
 
@@ -1195,6 +2399,7 @@ async function loadPDFPattern(file) {
 
     // Store image data
     state.importedPattern = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    state.importedPatternDPI = null;
 
     // Update DPI in analysis config if physical mode
     if (state.sizeConfig.mode === 'physical') {
@@ -1229,8 +2434,8 @@ async function analyzeDarkness() {
     elements.analysisStats.style.display = 'none';
 
     try {
-        // Update DPI from current size config
-        state.analysisConfig.dpi = state.sizeConfig.dpi || 300;
+        // Update DPI from the imported file or the current size config
+        state.analysisConfig.dpi = (state.importedPattern && state.importedPatternDPI) || state.sizeConfig.dpi || 300;
 
         // Run analysis with progress callback
         const result = await state.analyzer.analyze(
@@ -1279,6 +2484,74 @@ function updateAnalysisProgress(progress) {
     elements.analysisProgressText.textContent = percent + '%';
 }
 
+/**
+ * Halftone a step wedge with the current pattern and settings and measure it
+ * The tone curve is left out so the compensation replaces it rather than
+ * stacking on it; contrast and brightness act after the curve and stay in
+ */
+async function runStepWedge() {
+    const patternToUse = state.uploadedPattern || state.generatedLevels;
+
+    if (!patternToUse) {
+        alert('Please generate or upload a pattern first');
+        return;
+    }
+
+    const steps = parseInt(elements.wedgeSteps.value) || DEFAULT_STEP_WEDGE.steps;
+    const patchSize = parseInt(elements.wedgePatchSize.value) || DEFAULT_STEP_WEDGE.patchSize;
+
+    state.rendering.isApplying = true;
+    elements.calibrateBtn.disabled = true;
+    elements.applyHalftoneBtn.disabled = true;
+    elements.analysisProgress.style.display = 'block';
+    elements.calibrationResults.style.display = 'none';
+
+    try {
+        const request = buildHalftoneRequest(createStepWedge(steps, patchSize), patternToUse);
+        request.toneCurve = DEFAULT_TONE_CURVE;
+
+        const { imageData } = await runHalftoneWorker(request, updateAnalysisProgress);
+        const measured = await state.analyzer.measureStepWedge(imageData, steps, patchSize);
+        const points = createCompensationPoints(measured);
+        const compensated = predictCompensatedResponse(measured, points);
+
+        state.calibration = { measured, points };
+
+        drawToneResponse(elements.calibrationCanvas, [
+            { coverage: measured, color: 'rgb(220, 38, 38)' },
+            { coverage: compensated, color: 'rgb(37, 99, 235)' }
+        ]);
+        elements.calibrationContent.innerHTML = formatCalibration(measured, compensated);
+        elements.calibrationResults.style.display = 'block';
+
+        console.log('Step wedge measured:', Array.from(measured, c => c.toFixed(3)).join(' '));
+    } catch (error) {
+        console.error('Step wedge calibration failed:', error);
+        if (error.message !== 'Halftone cancelled') {
+            alert('Step wedge calibration failed: ' + error.message);
+        }
+    } finally {
+        state.rendering.isApplying = false;
+        elements.analysisProgress.style.display = 'none';
+        updateHalftoneButtonState();
+    }
+}
+
+/**
+ * Replace the tone curve with the last calibration's compensation
+ * Levels and gamma are reset, since the measurement was made without them;
+ * the dot gain preset is kept, as printing is outside the measurement
+ */
+function useCompensationCurve() {
+    if (!state.calibration) return;
+
+    setToneCurve({
+        ...structuredClone(DEFAULT_TONE_CURVE),
+        dotGain: state.toneCurve.dotGain,
+        points: state.calibration.points.map(point => [...point])
+    });
+}
+
 /**
  * Render analysis result with overlay and stats
  */
@@ -0,0 +1,579 @@
+#!/usr/bin/env node
+/**
+ * Halftonish Command Line
+ * Generates patterns and halftones images without a browser, using the same
+ * pattern modules and halftone algorithms as the web app
+ *
+ * Usage:
+ *   halftonish list
+ *   halftonish pattern <type> [options] -o <file>
+ *   halftonish halftone <image.png> [options] -o <file>
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { listPatterns, getPattern, getDefaultParams, getPatternGeometry } from '../patterns/registry.js';
+import { parseParamValue } from '../patterns/schema.js';
+import { linearizePattern } from '../patterns/linearize.js';
+import { floatPatternToImageData } from '../patterns/rasterizer.js';
+import { createModulatedCurve, getModulatedCurveGeometry } from '../patterns/modulated-curve.js';
+import { createAdaptiveCurve } from '../patterns/adaptive-curve.js';
+import { SizeCalculator } from '../utils/size-calculator.js';
+import { buildPatternPDF, getMetadataFromState } from '../utils/pdf-export.js';
+import { patternToSVG } from '../utils/svg-export.js';
+import { RASTER_FORMATS } from '../utils/raster-export.js';
+import { encodePNG, decodePNG, readPNGResolution } from '../utils/png.js';
+import { embedPNGRecipe } from '../utils/recipe.js';
+import { resolveSeeds } from '../utils/pattern-worker-pool.js';
+import { createDarknessSampler } from '../utils/plotter-export.js';
+import { CMYK_CHANNELS, DEFAULT_SCREEN_ANGLES, HALFTONE_METHODS, halftoneImage } from '../utils/halftone.js';
+
+const USAGE = `Usage:
+  halftonish list
+  halftonish pattern <type> [options] -o <file>
+  halftonish halftone <image.png> [options] -o <file>
+
+Pattern options:
+  -p, --param key=value   Pattern parameter (repeatable; see "list")
+  --width, --height       Size in pixels, or in --unit when it is in/mm
+  --unit px|in|mm         Size unit (default px)
+  --dpi <n>               Resolution for in/mm sizes (default 300), recorded
+                          in PNG and TIFF output
+  --invert                Invert the pattern
+  --linearize             Equalize the pattern's histogram
+  --format <id>           png, png16, tiff-float, pfm, pdf, pdf-vector or svg
+                          (default: from the output extension)
+
+Halftone options:
+  --pattern <type>        Screen pattern, rendered at the image size unless
+                          --width/--height are given (default random)
+  --pattern-file <png>    Use an image as the screen instead
+  --method <id>           ${HALFTONE_METHODS.join(', ')}
+  --contrast, --brightness  Adjustments (-100 to 100)
+  --angle, --scale, --offset-x, --offset-y  Pattern placement
+  --color gray|cmyk       Separate into CMYK plates, written as <name>-cyan.png etc.
+  --screen-angles c,m,y,k Plate angles in degrees (default 15,75,0,45)
+  --gcr, --ucr            Black generation and under color removal (0-100%, default 100)
+  --tone-curve <json>     Tone curve file saved by the web app
+  --diffusion-pattern, --no-diffusion-pattern
+                          Error diffusion thresholds against the pattern
+                          (default) or at 128
+  --serpentine            Error diffusion alternates row direction
+  --strength <n>          Share of the error diffused (0-100%, default 100)
+  Output PNGs record --dpi, or else the input image's resolution
+  Curve methods (curve-width, adaptive-curve) can also write .svg or .pdf vectors
+
+  -q, --quiet             No progress output
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string' },
+    param: { type: 'string', short: 'p', multiple: true, default: [] },
+    width: { type: 'string' },
+    height: { type: 'string' },
+    unit: { type: 'string', default: 'px' },
+    dpi: { type: 'string' },
+    invert: { type: 'boolean', default: false },
+    linearize: { type: 'boolean', default: false },
+    pattern: { type: 'string', default: 'random' },
+    'pattern-file': { type: 'string' },
+    method: { type: 'string', default: 'threshold' },
+    contrast: { type: 'string', default: '0' },
+    brightness: { type: 'string', default: '0' },
+    angle: { type: 'string', default: '0' },
+    scale: { type: 'string', default: '1' },
+    'offset-x': { type: 'string', default: '0' },
+    'offset-y': { type: 'string', default: '0' },
+    color: { type: 'string', default: 'gray' },
+    'screen-angles': { type: 'string' },
+    gcr: { type: 'string', default: '100' },
+    ucr: { type: 'string', default: '100' },
+    'tone-curve': { type: 'string' },
+    'diffusion-pattern': { type: 'boolean', default: true },
+    'no-diffusion-pattern': { type: 'boolean', default: false },
+    serpentine: { type: 'boolean', default: false },
+    strength: { type: 'string', default: '100' },
+    quiet: { type: 'boolean', short: 'q', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Output formats by file extension
+ */
+const EXTENSION_FORMATS = {
+    '.png': 'png',
+    '.pdf': 'pdf',
+    '.svg': 'svg',
+    '.tif': 'tiff-float',
+    '.tiff': 'tiff-float',
+    '.pfm': 'pfm'
+};
+
+/**
+ * Curve halftone methods that can also be written as vectors
+ */
+const CURVE_METHODS = ['curve-width', 'adaptive-curve'];
+
+/**
+ * Creating application recorded in PDF exports
+ */
+const CREATOR = 'Halftonish CLI';
+
+/**
+ * Resolution used for in/mm sizes without --dpi
+ */
+const DEFAULT_PHYSICAL_DPI = 300;
+
+/**
+ * Error in the command line itself, reported with a pointer to --help
+ */
+class UsageError extends Error {}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, target] = positionals;
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command === 'list') {
+        listCommand();
+    } else if (command === 'pattern') {
+        await patternCommand(target, options);
+    } else if (command === 'halftone') {
+        await halftoneCommand(target, options);
+    } else {
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+/**
+ * Print every pattern with its parameters and defaults
+ */
+function listCommand() {
+    for (const descriptor of listPatterns()) {
+        console.log(`${descriptor.id} - ${descriptor.name}`);
+
+        for (const entry of descriptor.params) {
+            if (entry.hidden) continue;
+
+            const choices = entry.options
+                ? entry.options.map(o => o.value).join('|')
+                : entry.type === 'patterns' ? 'JSON list of {pattern, params}' : entry.type;
+            const range = entry.min !== undefined && entry.max !== undefined ? ` ${entry.min}..${entry.max}` : '';
+            console.log(`  ${entry.key}=<${choices}${range}> (default ${JSON.stringify(entry.default)})`);
+        }
+    }
+}
+
+/**
+ * Render a pattern and write it in any of the web app's export formats
+ */
+async function patternCommand(type, options) {
+    // Unset seeds are drawn here so the embedded recipe reproduces the output
+    const params = resolveSeeds(parsePatternParams(type, options.param));
+    const sizeConfig = parseSizeConfig(options);
+    const format = resolveFormat(options);
+    const { finalWidthPx: width, finalHeightPx: height } = sizeConfig;
+    const dpi = sizeConfig.mode === 'physical' ? sizeConfig.dpi : null;
+
+    // Metadata as the web app would record it for the same settings
+    const metadata = {
+        ...getMetadataFromState({
+            currentPattern: type,
+            patternParams: { [type]: params },
+            parameters: { invert: options.invert, linearize: options.linearize },
+            sizeConfig
+        }),
+        creator: CREATOR
+    };
+
+    let bytes;
+    if (format === 'svg' || format === 'pdf-vector') {
+        const geometry = getPatternGeometry(type, params, width, height);
+        if (!geometry) {
+            throw new Error(`${metadata.patternType} has no vector geometry; use png or pdf`);
+        }
+
+        bytes = format === 'svg'
+            ? patternToSVG(geometry, metadata)
+            : await renderPDF(metadata, { geometry });
+    } else {
+        const levels = await renderPattern(type, params, width, height, options);
+
+        if (RASTER_FORMATS[format]) {
+            bytes = await RASTER_FORMATS[format].encode(levels, dpi);
+        } else if (format === 'pdf') {
+            bytes = await renderPDF(metadata, { image: await encodePNG(floatPatternToImageData(levels)) });
+        } else {
+            bytes = await encodePNG(floatPatternToImageData(levels), dpi);
+        }
+
+        if (format === 'png' || format === 'png16') {
+            bytes = embedPNGRecipe(bytes, metadata.recipe);
+        }
+    }
+
+    await writeFile(options.output, bytes);
+    log(options, `Wrote ${options.output} (${width} × ${height})`);
+}
+
+/**
+ * Halftone an image with a generated or loaded pattern
+ */
+async function halftoneCommand(imagePath, options) {
+    if (!imagePath) {
+        throw new UsageError('Missing input image');
+    }
+    if (!options.output) {
+        throw new UsageError('Missing output file (-o)');
+    }
+    if (!HALFTONE_METHODS.includes(options.method)) {
+        throw new UsageError(`Unknown method: ${options.method}`);
+    }
+    if (options.color !== 'gray' && options.color !== 'cmyk') {
+        throw new UsageError(`Unknown color mode: ${options.color}`);
+    }
+
+    const input = await readFile(imagePath);
+    const imageData = await decodePNG(input);
+    const { width, height } = imageData;
+    const type = options.pattern;
+    const params = parsePatternParams(type, options.param);
+    const extension = extname(options.output).toLowerCase();
+    const isCurve = CURVE_METHODS.includes(options.method);
+    const toneCurve = options['tone-curve'] ? await readToneCurve(options['tone-curve']) : null;
+
+    if (options.method === 'curve-width' && !getPattern(type).sdf) {
+        throw new Error(`${type} cannot be drawn as a variable-width curve`);
+    }
+
+    // Curve halftones can be written as vectors, as from the web app's result panel
+    if (extension === '.svg' || extension === '.pdf') {
+        if (!isCurve || options.color === 'cmyk') {
+            throw new UsageError('Only grayscale curve halftones can be written as SVG or PDF');
+        }
+
+        const request = buildHalftoneRequest(imageData, null, type, params, toneCurve, options);
+        await writeCurveVector(imageData, request, extension.slice(1), options);
+        return;
+    }
+
+    let patternData;
+    if (options['pattern-file']) {
+        patternData = await decodePNG(await readFile(options['pattern-file']));
+    } else if (!isCurve) {
+        const size = options.width || options.height ? parseSizeConfig(options) : { finalWidthPx: width, finalHeightPx: height };
+        patternData = await renderPattern(type, params, size.finalWidthPx, size.finalHeightPx, options);
+    }
+
+    const request = buildHalftoneRequest(imageData, patternData, type, params, toneCurve, options);
+    if (options.color === 'cmyk') {
+        const angles = parseScreenAngles(options['screen-angles']);
+        request.colorMode = 'cmyk';
+        request.gcr = parseNumber(options.gcr, 'gcr') / 100;
+        request.ucr = parseNumber(options.ucr, 'ucr') / 100;
+        request.channels = CMYK_CHANNELS.map((name, i) => ({ patternData, angle: angles[i] }));
+    }
+
+    const { imageData: result, separations } = await halftoneImage(request, createProgress(options, 'Halftoning'));
+    endProgress(options);
+
+    // Results keep the input's print size unless --dpi says otherwise
+    const dpi = options.dpi ? parseNumber(options.dpi, 'dpi') : readPNGResolution(input);
+
+    await writeFile(options.output, await encodePNG(result, dpi));
+    log(options, `Wrote ${options.output}`);
+
+    for (const { name, imageData: plate } of separations || []) {
+        const filename = options.output.replace(/(\.png)?$/i, `-${name}.png`);
+        await writeFile(filename, await encodePNG(plate, dpi));
+        log(options, `Wrote ${filename}`);
+    }
+}
+
+/**
+ * Build a halftone request from the command line, like the web app's
+ * buildHalftoneRequest() does from its controls
+ * @param {ImageData} imageData - Source image
+ * @param {ImageData|Object} patternData - Screen pattern
+ * @param {string} type - Pattern id (curve-width modulates this pattern)
+ * @param {Object} params - Pattern parameters
+ * @param {Object|null} toneCurve - Tone curve applied before halftoning
+ * @param {Object} options - Parsed options
+ * @returns {Object} Request for halftoneImage()
+ */
+function buildHalftoneRequest(imageData, patternData, type, params, toneCurve, options) {
+    return {
+        imageData,
+        patternData,
+        method: options.method,
+        contrast: parseNumber(options.contrast, 'contrast'),
+        brightness: parseNumber(options.brightness, 'brightness'),
+        transform: {
+            angle: parseNumber(options.angle, 'angle'),
+            scale: parseNumber(options.scale, 'scale'),
+            offsetX: parseNumber(options['offset-x'], 'offset-x'),
+            offsetY: parseNumber(options['offset-y'], 'offset-y')
+        },
+        diffusion: {
+            usePattern: options['diffusion-pattern'] && !options['no-diffusion-pattern'],
+            serpentine: options.serpentine,
+            strength: parseNumber(options.strength, 'strength') / 100
+        },
+        curveWidth: { pattern: type, params },
+        toneCurve,
+        colorMode: 'gray'
+    };
+}
+
+/**
+ * Write a curve halftone as SVG or vector PDF
+ * @param {ImageData} imageData - Source image
+ * @param {Object} request - Halftone request (method and curve options)
+ * @param {'svg'|'pdf'} format - Output format
+ * @param {Object} options - Parsed options
+ */
+async function writeCurveVector(imageData, request, format, options) {
+    const { width, height } = imageData;
+    const darkness = createDarknessSampler(imageData, width, height);
+    const curve = request.method === 'curve-width'
+        ? createModulatedCurve(getPattern(request.curveWidth.pattern).sdf, request.curveWidth.params, width, height, darkness, request.curveWidth)
+        : createAdaptiveCurve(darkness, width, height, request.adaptiveCurve);
+    const geometry = getModulatedCurveGeometry(curve);
+
+    const sizeConfig = { mode: 'pixel', finalWidthPx: width, finalHeightPx: height };
+    const metadata = {
+        ...getMetadataFromState({ currentPattern: request.curveWidth.pattern, patternParams: { [request.curveWidth.pattern]: request.curveWidth.params }, sizeConfig }),
+        creator: CREATOR
+    };
+    if (options.dpi) {
+        metadata.dpi = parseNumber(options.dpi, 'dpi');
+        metadata.unit = options.unit === 'mm' ? 'mm' : 'in';
+        metadata.physicalWidth = Number(SizeCalculator.pixelsToPhysical(width, metadata.dpi, metadata.unit).toFixed(3));
+        metadata.physicalHeight = Number(SizeCalculator.pixelsToPhysical(height, metadata.dpi, metadata.unit).toFixed(3));
+    }
+
+    const bytes = format === 'svg' ? patternToSVG(geometry, metadata) : await renderPDF(metadata, { geometry });
+    await writeFile(options.output, bytes);
+    log(options, `Wrote ${options.output}`);
+}
+
+/**
+ * Render a pattern to float levels, then invert and linearize as asked
+ * @returns {Promise<import('../patterns/rasterizer.js').FloatPattern>}
+ */
+async function renderPattern(type, params, width, height, options) {
+    const levels = await getPattern(type).generate(width, height, params, createProgress(options, `Rendering ${type}`), { cancelled: false });
+    endProgress(options);
+
+    if (options.invert) {
+        const data = levels.data;
+        for (let i = 0; i < data.length; i++) {
+            data[i] = 1 - data[i];
+        }
+    }
+
+    return options.linearize ? linearizePattern(levels) : levels;
+}
+
+/**
+ * Lay out a pattern PDF with the jsPDF npm package
+ * @param {Object} metadata - Pattern metadata
+ * @param {Object} content - {image} or {geometry} (see buildPatternPDF)
+ * @returns {Promise<Uint8Array>}
+ */
+async function renderPDF(metadata, content) {
+    let jsPDF;
+    try {
+        ({ jsPDF } = await import('jspdf'));
+    } catch (error) {
+        throw new Error('PDF output needs the jspdf package; run npm install');
+    }
+
+    return new Uint8Array(buildPatternPDF(jsPDF, metadata, content).output('arraybuffer'));
+}
+
+/**
+ * Pattern parameters from --param key=value pairs over the schema defaults
+ * @param {string} type - Pattern id
+ * @param {Array<string>} pairs - key=value strings
+ * @returns {Object}
+ */
+function parsePatternParams(type, pairs) {
+    const descriptor = getPattern(type);
+    if (!descriptor) {
+        throw new UsageError(`Unknown pattern type: ${type} (see "halftonish list")`);
+    }
+
+    const params = getDefaultParams(type);
+
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        const key = separator === -1 ? pair : pair.slice(0, separator);
+        const raw = separator === -1 ? 'true' : pair.slice(separator + 1);
+        const entry = descriptor.params.find(e => e.key === key);
+
+        if (!entry) {
+            throw new UsageError(`Unknown parameter for ${type}: ${key}`);
+        }
+
+        if (entry.type === 'checkbox') {
+            params[key] = parseParamValue(entry, ['true', '1', 'yes', 'on'].includes(raw.toLowerCase()));
+        } else if (entry.type === 'patterns') {
+            // Child patterns of a composite are given as JSON, with their own defaults filled in
+            params[key] = JSON.parse(raw).map(child => ({
+                ...child,
+                params: { ...getDefaultParams(child.pattern), ...child.params }
+            }));
+        } else if (entry.options && !entry.options.some(o => o.value === raw)) {
+            throw new UsageError(`${key} must be one of ${entry.options.map(o => o.value).join(', ')}`);
+        } else {
+            params[key] = parseParamValue(entry, raw);
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Size configuration (see SizeCalculator) from --width, --height, --unit and --dpi
+ * @param {Object} options - Parsed options
+ * @returns {Object} Size configuration with finalWidthPx/finalHeightPx
+ */
+function parseSizeConfig(options) {
+    const { unit } = options;
+    if (!['px', 'in', 'mm'].includes(unit)) {
+        throw new UsageError(`Unknown unit: ${unit}`);
+    }
+
+    const config = unit === 'px'
+        ? {
+            mode: 'pixel',
+            widthPx: parseNumber(options.width ?? '1000', 'width'),
+            heightPx: parseNumber(options.height ?? options.width ?? '1000', 'height')
+        }
+        : {
+            mode: 'physical',
+            widthPhysical: parseNumber(options.width ?? '1', 'width'),
+            heightPhysical: parseNumber(options.height ?? options.width ?? '1', 'height'),
+            unit,
+            dpi: options.dpi ? parseNumber(options.dpi, 'dpi') : DEFAULT_PHYSICAL_DPI
+        };
+
+    const result = SizeCalculator.calculatePixelDimensions(config);
+    if (!result.valid) {
+        throw new UsageError(`Invalid size: ${result.error}`);
+    }
+
+    return { ...config, finalWidthPx: result.width, finalHeightPx: result.height };
+}
+
+/**
+ * Output format from --format or the output file's extension
+ * @param {Object} options - Parsed options
+ * @returns {string} Format id
+ */
+function resolveFormat(options) {
+    if (!options.output) {
+        throw new UsageError('Missing output file (-o)');
+    }
+
+    const format = options.format || EXTENSION_FORMATS[extname(options.output).toLowerCase()];
+    const formats = ['png', 'pdf', 'pdf-vector', 'svg', ...Object.keys(RASTER_FORMATS)];
+
+    if (!formats.includes(format)) {
+        throw new UsageError(`Unknown output format: ${format || extname(options.output)} (use --format)`);
+    }
+
+    return format;
+}
+
+/**
+ * CMYK screen angles from "c,m,y,k"
+ * @param {string} [text] - Comma separated angles
+ * @returns {Array<number>} Angles in CMYK order
+ */
+function parseScreenAngles(text) {
+    if (!text) {
+        return CMYK_CHANNELS.map(name => DEFAULT_SCREEN_ANGLES[name]);
+    }
+
+    const angles = text.split(',').map(value => parseNumber(value, 'screen-angles'));
+    if (angles.length !== CMYK_CHANNELS.length) {
+        throw new UsageError('--screen-angles needs four angles (c,m,y,k)');
+    }
+
+    return angles;
+}
+
+/**
+ * Tone curve from a file saved by the web app ({toneCurve, lut}) or a bare curve
+ * @param {string} path - JSON file
+ * @returns {Promise<Object>}
+ */
+async function readToneCurve(path) {
+    const json = JSON.parse(await readFile(path, 'utf8'));
+    return json.toneCurve || json;
+}
+
+/**
+ * Parse a numeric option
+ * @param {string} value - Raw value
+ * @param {string} name - Option name for the error message
+ * @returns {number}
+ */
+function parseNumber(value, name) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) {
+        throw new UsageError(`--${name} must be a number`);
+    }
+    return number;
+}
+
+/**
+ * Progress callback drawing a percentage on stderr when it is a terminal
+ * @param {Object} options - Parsed options
+ * @param {string} label - Task label
+ * @returns {Function} Progress callback (0-1)
+ */
+function createProgress(options, label) {
+    if (options.quiet || !process.stderr.isTTY) {
+        return () => {};
+    }
+
+    return (progress) => {
+        process.stderr.write(`\r${label}... ${Math.round(progress * 100)}%`);
+    };
+}
+
+/**
+ * Finish a progress line
+ */
+function endProgress(options) {
+    if (!options.quiet && process.stderr.isTTY) {
+        process.stderr.write('\n');
+    }
+}
+
+/**
+ * Report a written file (on stderr, so stdout stays free for "list")
+ */
+function log(options, message) {
+    if (!options.quiet) {
+        console.error(message);
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(`halftonish: ${error.message}`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        console.error('Run "halftonish --help" for usage');
+    }
+    process.exitCode = 1;
+});
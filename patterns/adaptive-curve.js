@@ -0,0 +1,135 @@
+/**
+ * Adaptive Curve Halftone
+ * Hilbert (quadtree) or Peano (3×3) curves whose cells subdivide further only
+ * where the image is darker or more detailed. A constant-width line then
+ * covers more of the paper where the curve is dense, so the continuous curve
+ * is a halftone of the image by itself.
+ */
+
+import { generateAdaptiveHilbertPoints } from './hilbert-pattern.js';
+import { generateAdaptivePeanoPoints } from './peano-pattern.js';
+import { createCoverLayout, createStrokeCurve } from './modulated-curve.js';
+
+/**
+ * Default adaptive curve options
+ */
+export const DEFAULT_ADAPTIVE_CURVE = {
+    curve: 'hilbert',
+    minIterations: 2,
+    maxIterations: 8,
+    lineWidth: 1.5,  // Pixels
+    detail: 0.5      // Sensitivity to local contrast (0 = tone only, 1 = split wherever there is any contrast)
+};
+
+/**
+ * Subdivision factor per level and deepest supported level for each curve
+ */
+const CURVES = {
+    hilbert: { branching: 2, maxIterations: 10, generate: generateAdaptiveHilbertPoints },
+    peano: { branching: 3, maxIterations: 6, generate: generateAdaptivePeanoPoints }
+};
+
+/**
+ * Summed-area tables of darkness and darkness² for constant-time cell statistics
+ * @param {Function} darkness - (x, y) in image pixels => 0 (white) .. 1 (black)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Function} (x0, y0, x1, y1) => {mean, stdDev} over the clamped pixel rectangle
+ */
+export function createImageStatistics(darkness, width, height) {
+    const stride = width + 1;
+    const sum = new Float64Array(stride * (height + 1));
+    const sumSq = new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        let rowSumSq = 0;
+
+        for (let x = 0; x < width; x++) {
+            const value = darkness(x, y);
+            rowSum += value;
+            rowSumSq += value * value;
+
+            const idx = (y + 1) * stride + x + 1;
+            sum[idx] = sum[idx - stride] + rowSum;
+            sumSq[idx] = sumSq[idx - stride] + rowSumSq;
+        }
+    }
+
+    const area = (table, x0, y0, x1, y1) =>
+        table[y1 * stride + x1] - table[y0 * stride + x1] - table[y1 * stride + x0] + table[y0 * stride + x0];
+
+    return (x0, y0, x1, y1) => {
+        // Cells entirely off the image read as white
+        if (x1 <= 0 || y1 <= 0 || x0 >= width || y0 >= height) {
+            return { mean: 0, stdDev: 0 };
+        }
+
+        const cx0 = Math.max(0, Math.floor(x0));
+        const cy0 = Math.max(0, Math.floor(y0));
+        const cx1 = Math.max(cx0 + 1, Math.min(width, Math.ceil(x1)));
+        const cy1 = Math.max(cy0 + 1, Math.min(height, Math.ceil(y1)));
+
+        const count = (cx1 - cx0) * (cy1 - cy0);
+        const mean = area(sum, cx0, cy0, cx1, cy1) / count;
+        const variance = area(sumSq, cx0, cy0, cx1, cy1) / count - mean * mean;
+
+        return { mean, stdDev: Math.sqrt(Math.max(0, variance)) };
+    };
+}
+
+/**
+ * Build an adaptive curve over an image
+ * A cell splits while it is above the minimum depth, or while its mean
+ * darkness asks for a tighter line spacing than the cell gives (line width /
+ * spacing ≈ darkness), or while its contrast exceeds the detail threshold.
+ * Cells never split below half the line width, where neighbouring passes
+ * already merge into solid black.
+ * @param {Function} darkness - (x, y) in image pixels => 0 (white) .. 1 (black)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - See DEFAULT_ADAPTIVE_CURVE
+ * @returns {Object} Stroke curve (see createStrokeCurve in modulated-curve.js)
+ */
+export function createAdaptiveCurve(darkness, width, height, options = {}) {
+    const { curve, minIterations, maxIterations, lineWidth, detail } = { ...DEFAULT_ADAPTIVE_CURVE, ...options };
+    const spec = CURVES[curve];
+
+    if (!spec) {
+        throw new Error(`Unknown adaptive curve: ${curve}`);
+    }
+
+    const depth = Math.max(1, Math.min(spec.maxIterations, maxIterations));
+    const minDepth = Math.min(depth, minIterations);
+    const layout = createCoverLayout(width, height);
+    const statistics = createImageStatistics(darkness, width, height);
+
+    // Split when the darkness is closer to the children's coverage than to this cell's
+    const toneFactor = Math.sqrt(spec.branching);
+    const detailThreshold = (1 - detail) * 0.5;
+
+    const subdivide = (cx, cy, size, iteration) => {
+        if (depth - iteration < minDepth) return true;
+
+        const cellSize = size * layout.scale;
+        if (cellSize / spec.branching < lineWidth / 2) return false;
+
+        const x = layout.offsetX + cx * layout.scale;
+        const y = layout.offsetY + cy * layout.scale;
+        const { mean, stdDev } = statistics(x - cellSize / 2, y - cellSize / 2, x + cellSize / 2, y + cellSize / 2);
+
+        return mean * cellSize > lineWidth * toneFactor || stdDev > detailThreshold;
+    };
+
+    const points = spec.generate(depth, 1, subdivide).map(p => ({
+        x: layout.offsetX + p.x * layout.scale,
+        y: layout.offsetY + p.y * layout.scale
+    }));
+
+    if (points.length < 2) {
+        throw new Error('Not enough points generated for adaptive curve');
+    }
+
+    const halfWidths = new Float64Array(points.length - 1).fill(lineWidth / 2);
+    return createStrokeCurve(points, halfWidths, width, height);
+}
@@ -1,6 +1,47 @@
 /**
  * Base class for all SDF patterns
+ *
+ * Patterns work in normalized coordinates: the unit square [0, 1] × [0, 1]
+ * is the largest square centered in the output, so the shorter side of any
+ * canvas spans exactly one unit. Distances are returned in the same units,
+ * which lets patterns be composed, transformed and resampled independently
+ * of pixel size. The shared rasterizer (rasterizer.js) turns any pattern
+ * into gray levels at any resolution.
  */
+
+import { createRaster } from './rasterizer.js';
+
+/**
+ * Raster the pattern is being prepared for
+ * @typedef {Object} Raster
+ * @property {number} width - Output width in pixels
+ * @property {number} height - Output height in pixels
+ * @property {number} scale - Pixels per normalized unit (the shorter side)
+ * @property {number} offsetX - Pixel x of the unit square origin
+ * @property {number} offsetY - Pixel y of the unit square origin
+ */
+
+/**
+ * Prepared distance function
+ * @callback SDFEvaluator
+ * @param {number} x - Normalized x coordinate
+ * @param {number} y - Normalized y coordinate
+ * @param {number} [cutoff] - Distance beyond which any value >= cutoff may be returned
+ * @returns {number} Signed distance (negative = inside)
+ */
+
+/**
+ * Resolution-independent outline of a pattern, in raster pixel coordinates
+ * Shapes trace the 50% gray contour of the rendered pattern, so thresholding
+ * the raster at mid-gray and filling the vectors give the same picture
+ * @typedef {Object} VectorGeometry
+ * @property {Array<Array<{x: number, y: number}>>} polylines - Open paths, stroked
+ * @property {number} strokeWidth - Stroke width for the polylines in pixels
+ * @property {Array<number>} [polylineWidths] - Stroke width per polyline (variable-width curves), overriding strokeWidth
+ * @property {Array<{x: number, y: number, r: number}>} circles - Filled circles
+ * @property {Array<Array<{x: number, y: number}>>} polygons - Filled closed polygons
+ */
+
 export class SDFPattern {
     /**
      * Get pattern name
@@ -10,15 +51,58 @@ export class SDFPattern {
         throw new Error('Must implement name getter');
     }
 
+    /**
+     * Prepare a distance function for the given parameters
+     * Expensive setup (curve points, spatial index, permutation tables) happens
+     * here once, not per sample. Parameters given in pixels (e.g. Ben-Day dot
+     * spacing) are converted to normalized units using the raster scale.
+     * @param {object} params - Pattern parameters
+     * @param {Raster} raster - Target raster
+     * @returns {SDFEvaluator}
+     */
+    prepare(params, raster) {
+        throw new Error('Must implement prepare method');
+    }
+
+    /**
+     * Distance range mapped to the output gray ramp
+     * @param {object} params - Pattern parameters
+     * @param {Raster} raster - Target raster
+     * @returns {[number, number]} Distances rendered as black (0) and white (255)
+     */
+    getRange(params, raster) {
+        throw new Error('Must implement getRange method');
+    }
+
+    /**
+     * Vector outline of the pattern for SVG and plotter export
+     * Patterns without an underlying geometry (noise, random) are raster-only
+     * and return null
+     * @param {object} params - Pattern parameters
+     * @param {Raster} raster - Target raster
+     * @returns {VectorGeometry|null}
+     */
+    getGeometry(params, raster) {
+        return null;
+    }
+
     /**
      * Compute signed distance field
+     * Convenience for single samples; prepares against the reference raster
+     * and reuses the prepared function while params stay the same object.
      * @param {number} x - Normalized x coordinate [0, 1]
      * @param {number} y - Normalized y coordinate [0, 1]
      * @param {object} params - Pattern parameters
      * @returns {number} Signed distance (negative = inside)
      */
     sdf(x, y, params) {
-        throw new Error('Must implement sdf method');
+        if (!this.prepared || this.prepared.params !== params) {
+            this.prepared = {
+                params,
+                evaluate: this.prepare(params, createRaster(REFERENCE_SIZE, REFERENCE_SIZE))
+            };
+        }
+        return this.prepared.evaluate(x, y);
     }
 
     /**
@@ -32,3 +116,9 @@ export class SDFPattern {
         };
     }
 }
+
+/**
+ * Raster size used when sampling a pattern without a target resolution
+ * (matches the default 1000 × 1000 px output)
+ */
+export const REFERENCE_SIZE = 1000;
@@ -3,6 +3,10 @@
  * Generates regular dot grids for classic halftone printing effects
  */
 
+import { SDFPattern } from './base.js';
+import { getTile, rasterizePattern } from './rasterizer.js';
+import { defaultsFromSchema, seamlessParam } from './schema.js';
+
 /**
  * Smoothstep function for anti-aliasing
  */
@@ -91,99 +95,234 @@ function getDotValue(distance, radius, shape, antialiasing) {
 }
 
 /**
- * Generate Ben-Day dots pattern as SDF (Signed Distance Field)
- * Linear gradient from dot centers to grid cell corners
- * @param {number} width - Width in pixels
- * @param {number} height - Height in pixels
- * @param {Object} params - Pattern parameters
- * @param {number} params.spacing - Dot spacing in pixels
- * @param {number} params.dotSize - Not used for linear SDF (kept for compatibility)
- * @param {string} params.shape - 'circle', 'square', or 'diamond' (future use)
- * @param {string} params.gridType - 'square' or 'hexagonal'
- * @param {boolean} params.antialiasing - Not used for SDF (kept for compatibility)
- * @param {Function} onProgress - Progress callback (0-1)
- * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
- * @returns {ImageData} Generated pattern
+ * Square or diamond dot with the same area as a circle of the given radius
+ * @param {number} x - Dot center x
+ * @param {number} y - Dot center y
+ * @param {number} radius - Radius of the equivalent circle
+ * @param {'square'|'diamond'} shape - Dot shape
+ * @returns {Array<{x: number, y: number}>} Polygon vertices
  */
-export function generateBendayPattern(width, height, params, onProgress, cancelToken) {
-    const {
-        spacing = 20,
-        dotSize = 0.7,
-        shape = 'circle',
-        gridType = 'square',
-        antialiasing = true
-    } = params;
-
-    // Create ImageData
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
-
-    // Maximum distance from dot center to furthest point in grid cell (Voronoi cell vertex)
-    // For square grid: diagonal from center to corner = spacing / sqrt(2)
-    // For hexagonal grid: distance from center to hexagon vertex = spacing / sqrt(3)
-    let maxDist;
-    if (gridType === 'hexagonal') {
-        // For hex close-packed grid, Voronoi cell vertices are at spacing/sqrt(3) from center
-        maxDist = spacing / Math.sqrt(3);
-    } else {
-        // For square grid, furthest point is at diagonal corner
-        maxDist = spacing / Math.sqrt(2);
+function dotPolygon(x, y, radius, shape) {
+    const half = radius * Math.sqrt(Math.PI) / 2;
+
+    if (shape === 'diamond') {
+        const reach = half * Math.SQRT2;
+        return [
+            { x, y: y - reach },
+            { x: x + reach, y },
+            { x, y: y + reach },
+            { x: x - reach, y }
+        ];
+    }
+
+    return [
+        { x: x - half, y: y - half },
+        { x: x + half, y: y - half },
+        { x: x + half, y: y + half },
+        { x: x - half, y: y + half }
+    ];
+}
+
+/**
+ * Stretch that fits a whole number of grid cells across the raster
+ * Columns and rows are snapped independently (hexagonal grids to an even
+ * number of rows, so the row offset repeats too), leaving dots very
+ * slightly elliptical rather than cut at the edges
+ * @param {number} spacing - Dot spacing in pixels
+ * @param {string} gridType - 'square' or 'hexagonal'
+ * @param {import('./base.js').Raster} raster - Target raster
+ * @returns {{x: number, y: number}} Factors mapping raster distances to grid distances
+ */
+function seamlessStretch(spacing, gridType, raster) {
+    const rowHeight = gridType === 'hexagonal' ? spacing * Math.sqrt(3) / 2 : spacing;
+    const rowMultiple = gridType === 'hexagonal' ? 2 : 1;
+
+    const cols = Math.max(1, Math.round(raster.width / spacing));
+    const rows = Math.max(1, Math.round(raster.height / (rowHeight * rowMultiple))) * rowMultiple;
+
+    return {
+        x: (cols * spacing) / raster.width,
+        y: (rows * rowHeight) / raster.height
+    };
+}
+
+/**
+ * Ben-Day dots SDF: linear distance to the nearest dot center
+ * The grid is anchored at the top-left pixel, with a dot centered on it
+ */
+export class BendayPattern extends SDFPattern {
+    get name() {
+        return 'benday';
     }
 
-    // Process row by row for progress updates
-    for (let y = 0; y < height; y++) {
-        // Check for cancellation
-        if (cancelToken && cancelToken.cancelled) {
-            throw new Error('Generation cancelled');
+    prepare(params, raster) {
+        const { spacing, gridType, seamless } = { ...this.getDefaults(), ...params };
+
+        // Spacing is given in output pixels
+        const cellSize = spacing / raster.scale;
+        const gridDistance = gridType === 'hexagonal' ? hexGridDistance : squareGridDistance;
+        const origin = getTile(raster);
+
+        if (seamless) {
+            const stretch = seamlessStretch(spacing, gridType, raster);
+            return (x, y) => gridDistance((x - origin.left) * stretch.x, (y - origin.top) * stretch.y, cellSize);
         }
+        return (x, y) => gridDistance(x - origin.left, y - origin.top, cellSize);
+    }
 
-        for (let x = 0; x < width; x++) {
-            // Find distance to nearest dot center
-            let distance;
-            if (gridType === 'hexagonal') {
-                distance = hexGridDistance(x, y, spacing);
-            } else {
-                distance = squareGridDistance(x, y, spacing);
-            }
+    getRange(params, raster) {
+        const { spacing, gridType } = { ...this.getDefaults(), ...params };
+        const cellSize = spacing / raster.scale;
+
+        // Maximum distance from dot center to furthest point in grid cell (Voronoi cell vertex)
+        // For square grid: diagonal from center to corner = spacing / sqrt(2)
+        // For hexagonal grid: distance from center to hexagon vertex = spacing / sqrt(3)
+        // Distance 0 (at dot center) -> black, maxDist (at grid cell corner) -> white
+        if (gridType === 'hexagonal') {
+            return [0, cellSize / Math.sqrt(3)];
+        }
+        return [0, cellSize / Math.sqrt(2)];
+    }
 
-            // Linear gradient: normalize distance to 0-1 range
-            // Distance 0 (at dot center) -> 0
-            // Distance maxDist (at grid cell corner) -> 1
-            let normalizedDist = distance / maxDist;
+    getGeometry(params, raster) {
+        const { spacing, gridType, shape, seamless } = { ...this.getDefaults(), ...params };
+        const hexagonal = gridType === 'hexagonal';
+        const stretch = seamless ? seamlessStretch(spacing, gridType, raster) : { x: 1, y: 1 };
 
-            // Clamp to 0-1
-            normalizedDist = Math.max(0, Math.min(1, normalizedDist));
+        // Dots cover the pixels darker than mid-gray: half the range
+        const [, high] = this.getRange(params, raster);
+        const radius = (high / 2) * raster.scale;
 
-            // Convert to grayscale: 0 = black (at dot center), 255 = white (at corners)
-            const gray = Math.floor(normalizedDist * 255);
+        // Grid in pixels, anchored at the top-left pixel like prepare()
+        const colWidth = spacing / stretch.x;
+        const rowHeight = (hexagonal ? spacing * Math.sqrt(3) / 2 : spacing) / stretch.y;
+        const firstRow = -1;
+        const lastRow = Math.ceil(raster.height / rowHeight) + 1;
+        const firstCol = -1;
+        const lastCol = Math.ceil(raster.width / colWidth) + 1;
 
-            const idx = (y * width + x) * 4;
-            data[idx] = gray;     // R
-            data[idx + 1] = gray; // G
-            data[idx + 2] = gray; // B
-            data[idx + 3] = 255;  // A
+        const circles = [];
+        const polygons = [];
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            const rowOffset = hexagonal ? (row % 2) * colWidth / 2 : 0;
+            const y = row * rowHeight;
+
+            for (let col = firstCol; col <= lastCol; col++) {
+                const x = col * colWidth + rowOffset;
+
+                if (shape === 'square' || shape === 'diamond') {
+                    polygons.push(dotPolygon(x, y, radius, shape));
+                } else {
+                    circles.push({ x, y, r: radius });
+                }
+            }
         }
 
-        // Update progress
-        onProgress((y + 1) / height);
+        return { polylines: [], strokeWidth: 0, circles, polygons };
     }
 
-    return imageData;
+    getDefaults() {
+        return getDefaultBendayParams();
+    }
+}
+
+/**
+ * Generate Ben-Day dots pattern as SDF (Signed Distance Field)
+ * Linear gradient from dot centers to grid cell corners
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} params - Pattern parameters
+ * @param {number} params.spacing - Dot spacing in pixels
+ * @param {number} params.dotSize - Not used for linear SDF (kept for compatibility)
+ * @param {string} params.shape - 'circle', 'square', or 'diamond' (future use)
+ * @param {string} params.gridType - 'square' or 'hexagonal'
+ * @param {boolean} params.antialiasing - Not used for SDF (kept for compatibility)
+ * @param {boolean} [params.seamless] - Snap the spacing so whole cells span the canvas and the pattern tiles
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
+ */
+export function generateBendayPattern(width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    return rasterizePattern(bendayPattern.sdf, width, height, params, onProgress, cancelToken, band);
 }
 
 /**
  * Get default parameters for Ben-Day dots pattern
  */
 export function getDefaultBendayParams() {
-    return {
-        spacing: 20,
-        dotSize: 0.7,
-        shape: 'circle',
-        gridType: 'square',
-        antialiasing: true
-    };
+    return defaultsFromSchema(bendayPattern.params);
 }
 
+/**
+ * Ben-Day Dots pattern descriptor for the pattern registry
+ * @type {import('./schema.js').PatternDescriptor}
+ */
+export const bendayPattern = {
+    id: 'benday',
+    name: 'Ben-Day Dots',
+    description: 'Linear distance field from grid points. 0 (black) at dot centers, 255 (white) at grid cell corners. When halftoned, produces classic dot screening.',
+    sdf: new BendayPattern(),
+    generate: generateBendayPattern,
+    params: [
+        {
+            key: 'spacing',
+            label: 'Dot Spacing (px)',
+            type: 'range',
+            min: 5,
+            max: 100,
+            step: 1,
+            default: 20
+        },
+        {
+            // Not used in linear SDF
+            key: 'dotSize',
+            label: 'Dot Size',
+            type: 'range',
+            min: 0.1,
+            max: 1.0,
+            step: 0.05,
+            default: 0.7,
+            hidden: true
+        },
+        {
+            key: 'shape',
+            label: 'Dot Shape',
+            type: 'select',
+            default: 'circle',
+            options: [
+                { value: 'circle', label: 'Circle' },
+                { value: 'square', label: 'Square' },
+                { value: 'diamond', label: 'Diamond' }
+            ],
+            hint: 'Shapes the dots of vector exports; the raster uses circular distance'
+        },
+        {
+            key: 'gridType',
+            label: 'Grid Type',
+            type: 'select',
+            default: 'square',
+            options: [
+                { value: 'square', label: 'Square' },
+                { value: 'hexagonal', label: 'Hexagonal' }
+            ]
+        },
+        {
+            // Not used in linear SDF
+            key: 'antialiasing',
+            label: 'Anti-aliasing',
+            type: 'checkbox',
+            default: true,
+            hidden: true
+        },
+        {
+            ...seamlessParam,
+            hint: 'Snaps the spacing so a whole number of dots spans the width and height'
+        }
+    ]
+};
+
 /**
  * Convert physical spacing to pixels
  * @param {number} spacingInches - Spacing in inches
@@ -0,0 +1,210 @@
+/**
+ * Composite Pattern Generator
+ * Combines the distance fields of two or more registered patterns with SDF
+ * operators: union, intersection, subtraction, smooth union and weighted mix
+ */
+
+import { SDFPattern } from './base.js';
+import { rasterizePattern } from './rasterizer.js';
+import { defaultsFromSchema } from './schema.js';
+
+/**
+ * Polynomial smooth minimum
+ * Blends a and b where they are within k of each other
+ * @param {number} a - First distance
+ * @param {number} b - Second distance
+ * @param {number} k - Blend radius (0 = hard min)
+ * @returns {number}
+ */
+export function smoothMin(a, b, k) {
+    if (k <= 0) {
+        return Math.min(a, b);
+    }
+    const h = Math.max(k - Math.abs(a - b), 0) / k;
+    return Math.min(a, b) - h * h * k * 0.25;
+}
+
+/**
+ * Composite SDF
+ * Each child's distance is first normalized by its own range, so 0 is its
+ * black end and 1 its white end; operators then work on comparable values
+ * even when the children use different units (curve distance, noise value)
+ */
+export class CompositePattern extends SDFPattern {
+    /**
+     * @param {Function} lookup - Pattern descriptor lookup by id (the registry's getPattern)
+     */
+    constructor(lookup) {
+        super();
+        this.lookup = lookup;
+    }
+
+    get name() {
+        return 'composite';
+    }
+
+    prepare(params, raster) {
+        const { operation, smoothness, children } = { ...this.getDefaults(), ...params };
+
+        if (!Array.isArray(children) || children.length < 2) {
+            throw new Error('Composite pattern needs at least two child patterns');
+        }
+
+        const fields = children.map(child => {
+            const descriptor = this.lookup(child.pattern);
+
+            if (!descriptor || !descriptor.sdf) {
+                throw new Error(`Unknown pattern type: ${child.pattern}`);
+            }
+
+            const childParams = child.params || {};
+            const sdf = descriptor.sdf.prepare(childParams, raster);
+            const [low, high] = descriptor.sdf.getRange(childParams, raster);
+            const span = high - low;
+
+            return (x, y) => (sdf(x, y) - low) / span;
+        });
+
+        switch (operation) {
+            case 'intersection':
+                return (x, y) => {
+                    let value = -Infinity;
+                    for (const field of fields) {
+                        value = Math.max(value, field(x, y));
+                    }
+                    return value;
+                };
+
+            case 'subtraction':
+                // First child with the others carved out (their ramps inverted)
+                return (x, y) => {
+                    let value = fields[0](x, y);
+                    for (let i = 1; i < fields.length; i++) {
+                        value = Math.max(value, 1 - fields[i](x, y));
+                    }
+                    return value;
+                };
+
+            case 'smooth-union':
+                return (x, y) => {
+                    let value = fields[0](x, y);
+                    for (let i = 1; i < fields.length; i++) {
+                        value = smoothMin(value, fields[i](x, y), smoothness);
+                    }
+                    return value;
+                };
+
+            case 'mix': {
+                const weights = children.map(child => child.weight ?? 1);
+                const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+
+                return (x, y) => {
+                    let value = 0;
+                    for (let i = 0; i < fields.length; i++) {
+                        value += fields[i](x, y) * weights[i];
+                    }
+                    return value / totalWeight;
+                };
+            }
+
+            default:
+                // Union
+                return (x, y) => {
+                    let value = Infinity;
+                    for (const field of fields) {
+                        value = Math.min(value, field(x, y));
+                    }
+                    return value;
+                };
+        }
+    }
+
+    getRange() {
+        return [0, 1];
+    }
+
+    getDefaults() {
+        return getDefaultCompositeParams();
+    }
+}
+
+/**
+ * Composite pattern parameter schema
+ * @type {Array<import('./schema.js').ParamSchema>}
+ */
+export const compositeParams = [
+    {
+        key: 'operation',
+        label: 'Operation',
+        type: 'select',
+        default: 'smooth-union',
+        options: [
+            { value: 'union', label: 'Union' },
+            { value: 'intersection', label: 'Intersection' },
+            { value: 'subtraction', label: 'Subtraction' },
+            { value: 'smooth-union', label: 'Smooth Union' },
+            { value: 'mix', label: 'Weighted Mix' }
+        ],
+        hint: 'Subtraction carves the later patterns out of the first'
+    },
+    {
+        key: 'smoothness',
+        label: 'Smoothness',
+        type: 'range',
+        min: 0.0,
+        max: 1.0,
+        step: 0.05,
+        default: 0.2,
+        hint: 'Blend radius for Smooth Union'
+    },
+    {
+        key: 'children',
+        label: 'Patterns',
+        type: 'patterns',
+        min: 2,
+        default: [
+            { pattern: 'hilbert', params: { iterations: 5, lineWidth: 2.0 }, weight: 1 },
+            { pattern: 'benday', params: { spacing: 20, gridType: 'square' }, weight: 1 }
+        ],
+        itemParams: [
+            {
+                key: 'weight',
+                label: 'Weight',
+                type: 'range',
+                min: 0.0,
+                max: 1.0,
+                step: 0.05,
+                default: 1,
+                hint: 'Used by Weighted Mix'
+            }
+        ]
+    }
+];
+
+/**
+ * Get default parameters for composite pattern
+ */
+export function getDefaultCompositeParams() {
+    return defaultsFromSchema(compositeParams);
+}
+
+/**
+ * Create the Composite pattern descriptor
+ * Children are looked up at render time, so the registry passes its own
+ * lookup instead of this module importing the registry
+ * @param {Function} lookup - Pattern descriptor lookup by id
+ * @returns {import('./schema.js').PatternDescriptor}
+ */
+export function createCompositePattern(lookup) {
+    const sdf = new CompositePattern(lookup);
+
+    return {
+        id: 'composite',
+        name: 'Composite',
+        description: 'Combines two or more patterns with SDF operators, e.g. a Hilbert curve smoothly unioned with Ben-Day dots. Each pattern\'s gray ramp is combined, so patterns with different units mix evenly.',
+        sdf,
+        generate: (width, height, params, onProgress, cancelToken, band) =>
+            rasterizePattern(sdf, width, height, params, onProgress, cancelToken, band),
+        params: compositeParams
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * Space-Filling Curve Pattern Base
+ * Shared SDF implementation for the Hilbert, Peano, Z-order and Gosper curves:
+ * distance to the nearest segment of a polyline laid out in the unit square
+ */
+
+import { SDFPattern } from './base.js';
+import { SegmentGrid } from './segment-grid.js';
+import { createRaster, getTile, rasterizePattern, wrapSDF } from './rasterizer.js';
+import { renderCurveEDT } from './distance-transform.js';
+import { seamlessParam } from './schema.js';
+
+export class CurvePattern extends SDFPattern {
+    /**
+     * Display name used in error messages (e.g. 'Hilbert curve')
+     * @returns {string}
+     */
+    get curveName() {
+        throw new Error('Must implement curveName getter');
+    }
+
+    /**
+     * Generate curve points in the unit square
+     * @param {number} iterations - Curve iterations
+     * @returns {Array<{x: number, y: number}>}
+     */
+    generatePoints(iterations) {
+        throw new Error('Must implement generatePoints method');
+    }
+
+    /**
+     * Distance between neighbouring curve passes, in normalized units
+     * @param {number} iterations - Curve iterations
+     * @returns {number}
+     */
+    getSpacing(iterations) {
+        throw new Error('Must implement getSpacing method');
+    }
+
+    /**
+     * Get curve points for the given parameters
+     * The last point list is kept, so every band of a render (and repeated
+     * sdf() calls) reuses one curve
+     * @param {object} params - Pattern parameters
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getPoints(params) {
+        const { iterations } = { ...this.getDefaults(), ...params };
+
+        if (!this.cachedPoints || this.cachedPoints.iterations !== iterations) {
+            const points = this.generatePoints(iterations);
+
+            if (points.length < 2) {
+                throw new Error(`Not enough points generated for ${this.curveName}`);
+            }
+
+            this.cachedPoints = { iterations, points };
+        }
+
+        return this.cachedPoints.points;
+    }
+
+    prepare(params, raster) {
+        // Bucket curve segments into a uniform grid so each sample only
+        // measures distance to segments in its neighbourhood
+        const grid = new SegmentGrid(this.getPoints(params));
+        const sdf = (x, y, cutoff = Infinity) => grid.nearestDistance(x, y, cutoff);
+
+        // Seamless tiles also measure distance to the curve in neighbouring tiles
+        return params.seamless ? wrapSDF(sdf, raster) : sdf;
+    }
+
+    getRange(params, raster) {
+        const { iterations, lineWidth } = { ...this.getDefaults(), ...params };
+
+        // How far the gradient extends from the line
+        return [0, this.getSpacing(iterations) * lineWidth];
+    }
+
+    getGeometry(params, raster) {
+        const [, high] = this.getRange(params, raster);
+        const points = this.getPoints(params);
+        const strokeWidth = high * raster.scale;
+        const polylines = [];
+
+        // Seamless tiles include the neighbouring tiles' curves where their
+        // stroke reaches over the edge
+        const tile = getTile(raster);
+        const reach = params.seamless ? 1 : 0;
+
+        for (let j = -reach; j <= reach; j++) {
+            for (let i = -reach; i <= reach; i++) {
+                const shiftX = raster.offsetX + i * tile.width * raster.scale;
+                const shiftY = raster.offsetY + j * tile.height * raster.scale;
+                const polyline = points.map(p => ({
+                    x: shiftX + p.x * raster.scale,
+                    y: shiftY + p.y * raster.scale
+                }));
+
+                if ((i === 0 && j === 0) || reachesRaster(polyline, strokeWidth / 2, raster)) {
+                    polylines.push(polyline);
+                }
+            }
+        }
+
+        // Pixels closer than half the gradient length are darker than mid-gray
+        return {
+            polylines,
+            strokeWidth,
+            circles: [],
+            polygons: []
+        };
+    }
+}
+
+/**
+ * Whether a stroked polyline covers any part of the raster
+ * @param {Array<{x: number, y: number}>} polyline - Points in pixels
+ * @param {number} halfWidth - Half the stroke width in pixels
+ * @param {import('./base.js').Raster} raster - Target raster
+ * @returns {boolean}
+ */
+function reachesRaster(polyline, halfWidth, raster) {
+    return polyline.some(p =>
+        p.x > -halfWidth && p.x < raster.width + halfWidth &&
+        p.y > -halfWidth && p.y < raster.height + halfWidth
+    );
+}
+
+/**
+ * Render a curve pattern, honouring params.renderMode
+ * 'exact' goes through the shared rasterizer; 'edt' rasterizes the polyline
+ * and runs a distance transform (see distance-transform.js)
+ * @param {CurvePattern} pattern - Curve pattern
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} params - Pattern parameters
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
+ */
+export function renderCurvePattern(pattern, width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    if (params.renderMode !== 'edt') {
+        return rasterizePattern(pattern, width, height, params, onProgress, cancelToken, band);
+    }
+
+    // Distance transform path: faster on huge canvases, pixel-accurate only
+    const raster = createRaster(width, height);
+    const points = pattern.getPoints(params).map(p => ({
+        x: p.x * raster.scale,
+        y: p.y * raster.scale
+    }));
+    const [, maxDist] = pattern.getRange(params, raster);
+
+    return renderCurveEDT(
+        width, height, points, raster.offsetX, raster.offsetY,
+        maxDist * raster.scale, onProgress, cancelToken, band, Boolean(params.seamless)
+    );
+}
+
+/**
+ * Seamless parameter shared by all curve patterns
+ * @type {import('./schema.js').ParamSchema}
+ */
+export const seamlessCurveParam = {
+    ...seamlessParam,
+    hint: 'Distances wrap around the edges, reaching the curve in the neighbouring tiles'
+};
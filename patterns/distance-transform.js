@@ -0,0 +1,241 @@
+/**
+ * Euclidean Distance Transform
+ * Alternative curve SDF pipeline: rasterize the curve, then compute the
+ * distance field in linear time (Felzenszwalb & Huttenlocher)
+ */
+
+import { createFloatPattern } from './rasterizer.js';
+
+const INF = 1e20;
+
+/**
+ * Rasterize polyline onto a binary mask
+ * Each segment is walked in sub-pixel steps and the nearest pixel marked
+ * @param {Array<{x: number, y: number}>} points - Polyline points (curve space)
+ * @param {number} width - Mask width in pixels
+ * @param {number} height - Mask height in pixels
+ * @param {number} offsetX - Curve space to pixel space x offset
+ * @param {number} offsetY - Curve space to pixel space y offset
+ * @returns {Uint8Array} Mask with 1 on the curve, 0 elsewhere
+ */
+export function rasterizePolyline(points, width, height, offsetX, offsetY) {
+    const mask = new Uint8Array(width * height);
+
+    const mark = (x, y) => {
+        const ix = Math.round(x + offsetX);
+        const iy = Math.round(y + offsetY);
+        if (ix >= 0 && ix < width && iy >= 0 && iy < height) {
+            mask[iy * width + ix] = 1;
+        }
+    };
+
+    if (points.length === 1) {
+        mark(points[0].x, points[0].y);
+    }
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const p1 = points[i];
+        const p2 = points[i + 1];
+
+        // Half-pixel steps never skip a pixel along the segment
+        const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const steps = Math.max(1, Math.ceil(length * 2));
+
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            mark(p1.x + (p2.x - p1.x) * t, p1.y + (p2.y - p1.y) * t);
+        }
+    }
+
+    return mask;
+}
+
+/**
+ * 1D squared distance transform of a sampled function (lower envelope of parabolas)
+ * @param {Float64Array} f - Input samples (0 on features, INF elsewhere)
+ * @param {number} n - Number of samples
+ * @param {Float64Array} d - Output squared distances
+ * @param {Int32Array} v - Scratch: parabola locations
+ * @param {Float64Array} z - Scratch: envelope boundaries (length n + 1)
+ */
+function distanceTransform1D(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = INF;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) {
+            k++;
+        }
+        const dq = q - v[k];
+        d[q] = dq * dq + f[v[k]];
+    }
+}
+
+/**
+ * Exact Euclidean distance transform of a binary mask
+ * @param {Uint8Array} mask - 1 on features, 0 elsewhere
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Float32Array} Distance in pixels to the nearest feature
+ */
+export function euclideanDistanceTransform(mask, width, height, onProgress, cancelToken) {
+    const longest = Math.max(width, height);
+    const squared = new Float64Array(width * height);
+    const f = new Float64Array(longest);
+    const d = new Float64Array(longest);
+    const v = new Int32Array(longest);
+    const z = new Float64Array(longest + 1);
+
+    // Pass 1: columns
+    for (let x = 0; x < width; x++) {
+        if (cancelToken && cancelToken.cancelled) {
+            throw new Error('Generation cancelled');
+        }
+
+        for (let y = 0; y < height; y++) {
+            f[y] = mask[y * width + x] ? 0 : INF;
+        }
+        distanceTransform1D(f, height, d, v, z);
+        for (let y = 0; y < height; y++) {
+            squared[y * width + x] = d[y];
+        }
+
+        onProgress(((x + 1) / width) * 0.5);
+    }
+
+    // Pass 2: rows
+    const distances = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        if (cancelToken && cancelToken.cancelled) {
+            throw new Error('Generation cancelled');
+        }
+
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            f[x] = squared[row + x];
+        }
+        distanceTransform1D(f, width, d, v, z);
+        for (let x = 0; x < width; x++) {
+            distances[row + x] = Math.sqrt(d[x]);
+        }
+
+        onProgress(0.5 + ((y + 1) / height) * 0.5);
+    }
+
+    return distances;
+}
+
+/**
+ * Cut a window out of an endlessly repeated mask
+ * @param {Uint8Array} tile - Mask of one tile
+ * @param {number} width - Tile width
+ * @param {number} height - Tile height
+ * @param {number} left - Window x in tile pixels (may be negative)
+ * @param {number} top - Window y in tile pixels (may be negative)
+ * @param {number} windowWidth - Window width
+ * @param {number} windowHeight - Window height
+ * @returns {Uint8Array} Window mask
+ */
+function wrapMask(tile, width, height, left, top, windowWidth, windowHeight) {
+    const mask = new Uint8Array(windowWidth * windowHeight);
+
+    for (let y = 0; y < windowHeight; y++) {
+        const row = (((top + y) % height) + height) % height * width;
+        for (let x = 0; x < windowWidth; x++) {
+            mask[y * windowWidth + x] = tile[row + (((left + x) % width) + width) % width];
+        }
+    }
+
+    return mask;
+}
+
+/**
+ * Render curve SDF via rasterization + distance transform
+ * Trades sub-pixel accuracy (distances are measured to pixel centers on the
+ * rasterized curve) for linear time in the number of pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<{x: number, y: number}>} points - Curve points (curve space)
+ * @param {number} offsetX - Curve space to pixel space x offset
+ * @param {number} offsetY - Curve space to pixel space y offset
+ * @param {number} maxDist - Distance mapped to white
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @param {boolean} [seamless] - Wrap distances around the canvas edges, so the result tiles
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
+ */
+export function renderCurveEDT(width, height, points, offsetX, offsetY, maxDist, onProgress, cancelToken, band = { y: 0, height }, seamless = false) {
+    // Only curve pixels within maxDist of the band can affect its (clamped) values,
+    // so transform the band plus a margin rather than the whole canvas
+    const margin = Math.ceil(maxDist) + 1;
+    let mask, left, top, maskWidth, maskHeight;
+
+    if (seamless) {
+        // Margin on every side, filled from the repeated tile
+        left = -margin;
+        top = band.y - margin;
+        maskWidth = width + 2 * margin;
+        maskHeight = band.height + 2 * margin;
+
+        const tile = rasterizePolyline(points, width, height, offsetX, offsetY);
+        mask = wrapMask(tile, width, height, left, top, maskWidth, maskHeight);
+    } else {
+        left = 0;
+        top = Math.max(0, band.y - margin);
+        maskWidth = width;
+        maskHeight = Math.min(height, band.y + band.height + margin) - top;
+
+        mask = rasterizePolyline(points, width, maskHeight, offsetX, offsetY - top);
+    }
+
+    const distances = euclideanDistanceTransform(mask, maskWidth, maskHeight, onProgress, cancelToken);
+
+    const levels = createFloatPattern(width, band.height);
+    const data = levels.data;
+
+    for (let y = 0; y < band.height; y++) {
+        const start = (band.y + y - top) * maskWidth - left;
+
+        for (let x = 0; x < width; x++) {
+            // Normalize distance to 0-1 range: 0 (black) at curve, 1 (white) away from curve
+            const normalizedDist = distances[start + x] / maxDist;
+            data[y * width + x] = Math.max(0, Math.min(1, normalizedDist));
+        }
+    }
+
+    return levels;
+}
+
+/**
+ * Render mode parameter shared by all curve patterns
+ * @type {import('./schema.js').ParamSchema}
+ */
+export const renderModeParam = {
+    key: 'renderMode',
+    label: 'Render Mode',
+    type: 'select',
+    default: 'exact',
+    options: [
+        { value: 'exact', label: 'Exact (sub-pixel distances)' },
+        { value: 'edt', label: 'Distance Transform (fast, pixel-accurate)' }
+    ],
+    hint: 'Distance transform is an order of magnitude faster on large canvases'
+};
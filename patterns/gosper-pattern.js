@@ -3,6 +3,10 @@
  * Generates hexagonal space-filling Gosper curves as SDF patterns
  */
 
+import { CurvePattern, renderCurvePattern, seamlessCurveParam } from './curve-pattern.js';
+import { renderModeParam } from './distance-transform.js';
+import { defaultsFromSchema } from './schema.js';
+
 /**
  * L-system rules for Gosper curve
  * A -> A-B--B+A++AA+B-
@@ -105,43 +109,44 @@ function normalizePoints(points, size) {
     }));
 }
 
+/**
+ * Gosper curve SDF: distance to the nearest segment of the curve
+ */
+export class GosperPattern extends CurvePattern {
+    get name() {
+        return 'gosper';
+    }
+
+    get curveName() {
+        return 'Gosper curve';
+    }
+
+    generatePoints(iterations) {
+        return generateGosperPoints(iterations, 1);
+    }
+
+    getSpacing(iterations) {
+        // Gosper grows by sqrt(7) per iteration
+        return 1 / Math.pow(Math.sqrt(7), iterations);
+    }
+
+    getDefaults() {
+        return getDefaultGosperParams();
+    }
+}
+
 /**
  * Generate Gosper curve points for given iteration
  * @param {number} iterations - Number of iterations (1-6)
  * @param {number} size - Size of the space
  * @returns {Array<{x: number, y: number}>} Array of curve points
  */
-function generateGosperPoints(iterations, size) {
+export function generateGosperPoints(iterations, size) {
     const lSystem = generateGosperLSystem(iterations);
     const rawPoints = lSystemToPoints(lSystem, size);
     return normalizePoints(rawPoints, size);
 }
 
-/**
- * Calculate distance from point to line segment
- */
-function distanceToSegment(px, py, x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const lengthSquared = dx * dx + dy * dy;
-
-    if (lengthSquared === 0) {
-        const dpx = px - x1;
-        const dpy = py - y1;
-        return Math.sqrt(dpx * dpx + dpy * dpy);
-    }
-
-    let t = ((px - x1) * dx + (py - y1) * dy) / lengthSquared;
-    t = Math.max(0, Math.min(1, t));
-
-    const closestX = x1 + t * dx;
-    const closestY = y1 + t * dy;
-
-    const distX = px - closestX;
-    const distY = py - closestY;
-    return Math.sqrt(distX * distX + distY * distY);
-}
-
 /**
  * Generate Gosper curve pattern as SDF (Signed Distance Field)
  * @param {number} width - Width in pixels
@@ -149,90 +154,54 @@ function distanceToSegment(px, py, x1, y1, x2, y2) {
  * @param {Object} params - Pattern parameters
  * @param {number} params.iterations - Gosper curve iterations (1-6)
  * @param {number} params.lineWidth - Line width multiplier (0.1-10.0)
+ * @param {'exact'|'edt'} [params.renderMode] - Exact segment distances or rasterized distance transform
+ * @param {boolean} [params.seamless] - Wrap distances around the edges so the pattern tiles
  * @param {Function} onProgress - Progress callback (0-1)
  * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
- * @returns {ImageData} Generated pattern
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
  */
-export function generateGosperPattern(width, height, params, onProgress, cancelToken) {
-    const {
-        iterations = 4,
-        lineWidth = 2.0
-    } = params;
-
-    // Use the smaller dimension to ensure curve fits
-    const size = Math.min(width, height);
-
-    // Generate Gosper curve points
-    const points = generateGosperPoints(iterations, size);
-
-    if (points.length < 2) {
-        throw new Error('Not enough points generated for Gosper curve');
-    }
-
-    // Calculate offset to center the curve
-    const offsetX = (width - size) / 2;
-    const offsetY = (height - size) / 2;
-
-    // Create ImageData
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
-
-    // Calculate maximum distance - Gosper uses hexagonal tiling
-    const maxDist = (size / Math.pow(Math.sqrt(7), iterations)) * lineWidth;
-
-    // Process each pixel
-    for (let y = 0; y < height; y++) {
-        // Check for cancellation
-        if (cancelToken && cancelToken.cancelled) {
-            throw new Error('Generation cancelled');
-        }
-
-        for (let x = 0; x < width; x++) {
-            // Adjust coordinates for centering
-            const px = x - offsetX;
-            const py = y - offsetY;
-
-            // Find minimum distance to any segment of the curve
-            let minDist = Infinity;
-
-            for (let i = 0; i < points.length - 1; i++) {
-                const p1 = points[i];
-                const p2 = points[i + 1];
-
-                const dist = distanceToSegment(px, py, p1.x, p1.y, p2.x, p2.y);
-
-                if (dist < minDist) {
-                    minDist = dist;
-                }
-            }
-
-            // Normalize distance to 0-1 range
-            let normalizedDist = minDist / maxDist;
-            normalizedDist = Math.max(0, Math.min(1, normalizedDist));
-
-            // Convert to grayscale: 0 (black) at curve, 255 (white) away from curve
-            const gray = Math.floor(normalizedDist * 255);
-
-            const idx = (y * width + x) * 4;
-            data[idx] = gray;
-            data[idx + 1] = gray;
-            data[idx + 2] = gray;
-            data[idx + 3] = 255;
-        }
-
-        // Update progress
-        onProgress((y + 1) / height);
-    }
-
-    return imageData;
+export function generateGosperPattern(width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    return renderCurvePattern(gosperPattern.sdf, width, height, params, onProgress, cancelToken, band);
 }
 
 /**
  * Get default parameters for Gosper curve pattern
  */
 export function getDefaultGosperParams() {
-    return {
-        iterations: 4,
-        lineWidth: 2.0
-    };
+    return defaultsFromSchema(gosperPattern.params);
 }
+
+/**
+ * Gosper Curve pattern descriptor for the pattern registry
+ * @type {import('./schema.js').PatternDescriptor}
+ */
+export const gosperPattern = {
+    id: 'gosper',
+    name: 'Gosper Curve',
+    description: 'Gosper (Flowsnake) hexagonal space-filling curve. Uses L-system generation for organic hexagonal patterns. Recommended max iterations: 5-6 (grows as 7^n).',
+    sdf: new GosperPattern(),
+    generate: generateGosperPattern,
+    params: [
+        {
+            key: 'iterations',
+            label: 'Iterations',
+            type: 'range',
+            min: 1,
+            max: 6,
+            step: 1,
+            default: 4
+        },
+        {
+            key: 'lineWidth',
+            label: 'Line Width',
+            type: 'range',
+            min: 0.5,
+            max: 10.0,
+            step: 0.1,
+            default: 2.0
+        },
+        renderModeParam,
+        seamlessCurveParam
+    ]
+};
@@ -3,6 +3,36 @@
  * Generates space-filling Hilbert curves as SDF patterns for halftoning
  */
 
+import { CurvePattern, renderCurvePattern, seamlessCurveParam } from './curve-pattern.js';
+import { renderModeParam } from './distance-transform.js';
+import { defaultsFromSchema } from './schema.js';
+
+/**
+ * Hilbert curve SDF: distance to the nearest segment of the curve
+ */
+export class HilbertPattern extends CurvePattern {
+    get name() {
+        return 'hilbert';
+    }
+
+    get curveName() {
+        return 'Hilbert curve';
+    }
+
+    generatePoints(iterations) {
+        return generateHilbertPoints(iterations, 1);
+    }
+
+    getSpacing(iterations) {
+        // Hilbert uses 2^n subdivision
+        return 1 / Math.pow(2, iterations);
+    }
+
+    getDefaults() {
+        return getDefaultHilbertParams();
+    }
+}
+
 /**
  * Generate Hilbert curve points recursively
  * @param {number} iteration - Current iteration level (0 to n)
@@ -13,19 +43,23 @@
  * @param {number} yi - Y axis direction/scale for first half
  * @param {number} yj - Y axis direction/scale for second half
  * @param {Array} points - Array to accumulate points
+ * @param {Function} [subdivide] - (centerX, centerY, cellSize, iteration) => whether to split this cell; all cells split when omitted
  */
-function hilbertRecursive(iteration, x, y, xi, xj, yi, yj, points) {
-    if (iteration <= 0) {
+function hilbertRecursive(iteration, x, y, xi, xj, yi, yj, points, subdivide) {
+    const leaf = iteration <= 0 ||
+        (subdivide && !subdivide(x + (xi + yi) / 2, y + (xj + yj) / 2, Math.hypot(xi, xj), iteration));
+
+    if (leaf) {
         // Base case: add the point
         const px = x + (xi + yi) / 2;
         const py = y + (xj + yj) / 2;
         points.push({ x: px, y: py });
     } else {
         // Recursive case: subdivide into 4 quadrants
-        hilbertRecursive(iteration - 1, x, y, yi / 2, yj / 2, xi / 2, xj / 2, points);
-        hilbertRecursive(iteration - 1, x + xi / 2, y + xj / 2, xi / 2, xj / 2, yi / 2, yj / 2, points);
-        hilbertRecursive(iteration - 1, x + xi / 2 + yi / 2, y + xj / 2 + yj / 2, xi / 2, xj / 2, yi / 2, yj / 2, points);
-        hilbertRecursive(iteration - 1, x + xi / 2 + yi, y + xj / 2 + yj, -yi / 2, -yj / 2, -xi / 2, -xj / 2, points);
+        hilbertRecursive(iteration - 1, x, y, yi / 2, yj / 2, xi / 2, xj / 2, points, subdivide);
+        hilbertRecursive(iteration - 1, x + xi / 2, y + xj / 2, xi / 2, xj / 2, yi / 2, yj / 2, points, subdivide);
+        hilbertRecursive(iteration - 1, x + xi / 2 + yi / 2, y + xj / 2 + yj / 2, xi / 2, xj / 2, yi / 2, yj / 2, points, subdivide);
+        hilbertRecursive(iteration - 1, x + xi / 2 + yi, y + xj / 2 + yj, -yi / 2, -yj / 2, -xi / 2, -xj / 2, points, subdivide);
     }
 }
 
@@ -33,10 +67,10 @@ function hilbertRecursive(iteration, x, y, xi, xj, yi, yj, points) {
  * Generate Hilbert curve points for given iteration
  * @param {number} iterations - Number of iterations (1-8)
  * @param {number} size - Size of the space (typically canvas width or height)
- * @returns {Array<{x: number, y: number}>} Array of curve points
+ * @param {{push: Function}} [points] - Point sink; pass an object with push() to stream points instead of collecting them
+ * @returns {Array<{x: number, y: number}>} Array of curve points (the sink)
  */
-function generateHilbertPoints(iterations, size) {
-    const points = [];
+export function generateHilbertPoints(iterations, size, points = []) {
     // Start the recursive generation
     // The initial call sets up the full space
     hilbertRecursive(iterations, 0, 0, size, 0, 0, size, points);
@@ -44,41 +78,19 @@ function generateHilbertPoints(iterations, size) {
 }
 
 /**
- * Calculate distance from point to line segment
- * @param {number} px - Point x
- * @param {number} py - Point y
- * @param {number} x1 - Segment start x
- * @param {number} y1 - Segment start y
- * @param {number} x2 - Segment end x
- * @param {number} y2 - Segment end y
- * @returns {number} Distance to segment
+ * Generate an adaptive Hilbert curve
+ * Each quadtree cell is split only while subdivide() asks for it, so the
+ * curve is dense in some areas and coarse in others but stays one
+ * continuous path
+ * @param {number} maxIterations - Deepest subdivision
+ * @param {number} size - Size of the space
+ * @param {Function} subdivide - (centerX, centerY, cellSize, iteration) => whether to split the cell; iteration counts down from maxIterations
+ * @param {{push: Function}} [points] - Point sink
+ * @returns {Array<{x: number, y: number}>} Array of curve points (the sink)
  */
-function distanceToSegment(px, py, x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const lengthSquared = dx * dx + dy * dy;
-
-    if (lengthSquared === 0) {
-        // Segment is a point
-        const dpx = px - x1;
-        const dpy = py - y1;
-        return Math.sqrt(dpx * dpx + dpy * dpy);
-    }
-
-    // Calculate projection parameter t
-    let t = ((px - x1) * dx + (py - y1) * dy) / lengthSquared;
-
-    // Clamp t to [0, 1] to stay on segment
-    t = Math.max(0, Math.min(1, t));
-
-    // Find closest point on segment
-    const closestX = x1 + t * dx;
-    const closestY = y1 + t * dy;
-
-    // Calculate distance
-    const distX = px - closestX;
-    const distY = py - closestY;
-    return Math.sqrt(distX * distX + distY * distY);
+export function generateAdaptiveHilbertPoints(maxIterations, size, subdivide, points = []) {
+    hilbertRecursive(maxIterations, 0, 0, size, 0, 0, size, points, subdivide);
+    return points;
 }
 
 /**
@@ -88,91 +100,54 @@ function distanceToSegment(px, py, x1, y1, x2, y2) {
  * @param {Object} params - Pattern parameters
  * @param {number} params.iterations - Hilbert curve iterations (1-8)
  * @param {number} params.lineWidth - Line width multiplier (0.1-10.0)
+ * @param {'exact'|'edt'} [params.renderMode] - Exact segment distances or rasterized distance transform
+ * @param {boolean} [params.seamless] - Wrap distances around the edges so the pattern tiles
  * @param {Function} onProgress - Progress callback (0-1)
  * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
- * @returns {ImageData} Generated pattern
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
  */
-export function generateHilbertPattern(width, height, params, onProgress, cancelToken) {
-    const {
-        iterations = 5,
-        lineWidth = 2.0
-    } = params;
-
-    // Use the smaller dimension to ensure curve fits
-    const size = Math.min(width, height);
-
-    // Generate Hilbert curve points
-    const points = generateHilbertPoints(iterations, size);
-
-    if (points.length < 2) {
-        throw new Error('Not enough points generated for Hilbert curve');
-    }
-
-    // Calculate offset to center the curve
-    const offsetX = (width - size) / 2;
-    const offsetY = (height - size) / 2;
-
-    // Create ImageData
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
-
-    // Calculate maximum distance based on canvas size
-    // This determines how far the gradient extends from the line
-    const maxDist = (size / Math.pow(2, iterations)) * lineWidth;
-
-    // Process each pixel
-    for (let y = 0; y < height; y++) {
-        // Check for cancellation
-        if (cancelToken && cancelToken.cancelled) {
-            throw new Error('Generation cancelled');
-        }
-
-        for (let x = 0; x < width; x++) {
-            // Adjust coordinates for centering
-            const px = x - offsetX;
-            const py = y - offsetY;
-
-            // Find minimum distance to any segment of the curve
-            let minDist = Infinity;
-
-            for (let i = 0; i < points.length - 1; i++) {
-                const p1 = points[i];
-                const p2 = points[i + 1];
-
-                const dist = distanceToSegment(px, py, p1.x, p1.y, p2.x, p2.y);
-
-                if (dist < minDist) {
-                    minDist = dist;
-                }
-            }
-
-            // Normalize distance to 0-1 range
-            let normalizedDist = minDist / maxDist;
-            normalizedDist = Math.max(0, Math.min(1, normalizedDist));
-
-            // Convert to grayscale: 0 (black) at curve, 255 (white) away from curve
-            const gray = Math.floor(normalizedDist * 255);
-
-            const idx = (y * width + x) * 4;
-            data[idx] = gray;     // R
-            data[idx + 1] = gray; // G
-            data[idx + 2] = gray; // B
-            data[idx + 3] = 255;  // A
-        }
-
-        // Update progress
-        onProgress((y + 1) / height);
-    }
-
-    return imageData;
+export function generateHilbertPattern(width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    return renderCurvePattern(hilbertPattern.sdf, width, height, params, onProgress, cancelToken, band);
 }
 
 /**
  * Get default parameters for Hilbert curve pattern
  */
 export function getDefaultHilbertParams() {
-    return {
-        iterations: 5,
-        lineWidth: 2.0
-    };
+    return defaultsFromSchema(hilbertPattern.params);
 }
+
+/**
+ * Hilbert Curve pattern descriptor for the pattern registry
+ * @type {import('./schema.js').PatternDescriptor}
+ */
+export const hilbertPattern = {
+    id: 'hilbert',
+    name: 'Hilbert Curve',
+    description: 'Space-filling Hilbert curve as SDF pattern. Higher iterations create more complex curves. The curve is rendered as a distance field with configurable line width.',
+    sdf: new HilbertPattern(),
+    generate: generateHilbertPattern,
+    params: [
+        {
+            key: 'iterations',
+            label: 'Iterations',
+            type: 'range',
+            min: 1,
+            max: 8,
+            step: 1,
+            default: 5
+        },
+        {
+            key: 'lineWidth',
+            label: 'Line Width',
+            type: 'range',
+            min: 0.5,
+            max: 10.0,
+            step: 0.1,
+            default: 2.0
+        },
+        renderModeParam,
+        seamlessCurveParam
+    ]
+};
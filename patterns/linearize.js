@@ -0,0 +1,69 @@
+/**
+ * Pattern Linearization
+ * Histogram equalization of a rendered pattern: every gray level is replaced
+ * by the fraction of the pattern darker than it, so thresholding a flat N%
+ * gray against the result inks N% of the pixels, whatever the distance
+ * histogram of the underlying field looked like
+ */
+
+import { hashRandom } from '../utils/prng.js';
+
+/**
+ * Histogram bins; far finer than 8 bits, so ordering pixels within a bin
+ * never visibly changes the pattern's structure
+ */
+const BINS = 65536;
+
+/**
+ * Remap a float pattern by its cumulative histogram (in place)
+ * Pixels sharing a bin are ties no threshold could split: large areas clamped
+ * to black or white (e.g. far from a curve), or the repeated distances of a
+ * regular dot grid. They are spread evenly over their share of the range in
+ * a fixed hashed order, like an ordered dither
+ * @param {import('./rasterizer.js').FloatPattern} pattern - Float pattern
+ * @param {Object} [cancelToken] - Cancellation token {cancelled: boolean}
+ * @returns {import('./rasterizer.js').FloatPattern} The same pattern, equalized
+ */
+export function linearizePattern(pattern, cancelToken) {
+    const { width, height, data } = pattern;
+    const count = data.length;
+
+    // Bins 1..BINS hold values in (0, 1); 0 and BINS + 1 hold exact black and white
+    const histogram = new Float64Array(BINS + 2);
+    for (let i = 0; i < count; i++) {
+        histogram[binOf(data[i])]++;
+    }
+
+    // Pixels below each bin
+    const below = new Float64Array(BINS + 2);
+    for (let b = 1; b < BINS + 2; b++) {
+        below[b] = below[b - 1] + histogram[b - 1];
+    }
+
+    for (let y = 0; y < height; y++) {
+        if (cancelToken && cancelToken.cancelled) {
+            throw new Error('Generation cancelled');
+        }
+
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const bin = binOf(data[i]);
+
+            // Hashed position of the pixel among the others in its bin
+            data[i] = (below[bin] + hashRandom(0, x, y) * histogram[bin]) / count;
+        }
+    }
+
+    return pattern;
+}
+
+/**
+ * Histogram bin of a gray level
+ * @param {number} value - Gray level (0-1)
+ * @returns {number}
+ */
+function binOf(value) {
+    if (value <= 0) return 0;
+    if (value >= 1) return BINS + 1;
+    return 1 + Math.min(BINS - 1, Math.floor(value * BINS));
+}
@@ -0,0 +1,147 @@
+/**
+ * Image-Modulated Curve
+ * A space-filling curve drawn as one continuous variable-width stroke: the
+ * image's darkness under each segment sets that segment's width, so dark
+ * areas get a thick line and light areas a thin one
+ */
+
+import { SegmentGrid } from './segment-grid.js';
+
+/**
+ * Stroke widths are quantized so runs of similar segments share one vector path
+ */
+const WIDTH_LEVELS = 32;
+
+/**
+ * Default stroke widths as fractions of the curve spacing
+ * (1 = neighbouring passes touch, i.e. solid black)
+ */
+export const DEFAULT_CURVE_WIDTH = { minWidth: 0.05, maxWidth: 1 };
+
+/**
+ * Lay the curve out over an image
+ * Unlike pattern rendering (which fits the unit square inside the canvas)
+ * the curve covers the whole image; the overhang on the longer side is cropped
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{scale: number, offsetX: number, offsetY: number}} Pixels per unit and unit square origin
+ */
+export function createCoverLayout(width, height) {
+    const scale = Math.max(width, height);
+    return {
+        scale,
+        offsetX: (width - scale) / 2,
+        offsetY: (height - scale) / 2
+    };
+}
+
+/**
+ * Build a curve whose segment widths follow an image
+ * @param {import('./curve-pattern.js').CurvePattern} pattern - Curve pattern (Hilbert, Peano, Z-order, Gosper)
+ * @param {Object} params - Pattern parameters (iterations)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} darkness - (x, y) in image pixels => 0 (white) .. 1 (black)
+ * @param {Object} [options]
+ * @param {number} [options.minWidth] - Width for white, as a fraction of the curve spacing
+ * @param {number} [options.maxWidth] - Width for black, as a fraction of the curve spacing
+ * @returns {{points: Array<{x: number, y: number}>, halfWidths: Float64Array, visible: Uint8Array, width: number, height: number}}
+ *   Points in image pixels; per-segment half widths in pixels; segments whose midpoint lies on the image
+ */
+export function createModulatedCurve(pattern, params, width, height, darkness, options = {}) {
+    if (typeof pattern.getPoints !== 'function') {
+        throw new Error('Variable-width curves need a Hilbert, Peano, Z-order or Gosper pattern');
+    }
+
+    const { minWidth, maxWidth } = { ...DEFAULT_CURVE_WIDTH, ...options };
+    const { iterations } = { ...pattern.getDefaults(), ...params };
+    const layout = createCoverLayout(width, height);
+
+    const points = pattern.getPoints(params).map(p => ({
+        x: layout.offsetX + p.x * layout.scale,
+        y: layout.offsetY + p.y * layout.scale
+    }));
+    const spacing = pattern.getSpacing(iterations) * layout.scale;
+
+    const halfWidths = new Float64Array(points.length - 1);
+
+    for (let i = 0; i < halfWidths.length; i++) {
+        const x = (points[i].x + points[i + 1].x) / 2;
+        const y = (points[i].y + points[i + 1].y) / 2;
+
+        const level = Math.round(darkness(x, y) * (WIDTH_LEVELS - 1)) / (WIDTH_LEVELS - 1);
+        halfWidths[i] = (spacing * (minWidth + level * (maxWidth - minWidth))) / 2;
+    }
+
+    return createStrokeCurve(points, halfWidths, width, height);
+}
+
+/**
+ * Wrap a polyline in image pixels as a stroke for rendering and export
+ * @param {Array<{x: number, y: number}>} points - Polyline in image pixels
+ * @param {Float64Array} halfWidths - Half stroke width per segment in pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{points: Array<{x: number, y: number}>, halfWidths: Float64Array, visible: Uint8Array, width: number, height: number}}
+ */
+export function createStrokeCurve(points, halfWidths, width, height) {
+    const visible = new Uint8Array(halfWidths.length);
+
+    for (let i = 0; i < visible.length; i++) {
+        const x = (points[i].x + points[i + 1].x) / 2;
+        const y = (points[i].y + points[i + 1].y) / 2;
+        visible[i] = x >= 0 && y >= 0 && x < width && y < height ? 1 : 0;
+    }
+
+    return { points, halfWidths, visible, width, height };
+}
+
+/**
+ * Signed distance to the variable-width stroke (pixels, negative inside)
+ * @param {Object} curve - Result of createModulatedCurve()
+ * @returns {Function} (x, y, cutoff?) => distance
+ */
+export function prepareModulatedCurve(curve) {
+    const grid = new SegmentGrid(curve.points);
+    grid.setHalfWidths(curve.halfWidths);
+
+    return (x, y, cutoff = Infinity) => grid.nearestDistance(x, y, cutoff);
+}
+
+/**
+ * Vector geometry of the variable-width stroke
+ * Consecutive segments of equal width become one polyline; segments off the
+ * image are dropped
+ * @param {Object} curve - Result of createModulatedCurve()
+ * @returns {import('./base.js').VectorGeometry}
+ */
+export function getModulatedCurveGeometry(curve) {
+    const { points, halfWidths, visible } = curve;
+    const polylines = [];
+    const polylineWidths = [];
+    let current = null;
+
+    for (let i = 0; i < halfWidths.length; i++) {
+        if (!visible[i]) {
+            current = null;
+            continue;
+        }
+
+        const width = halfWidths[i] * 2;
+
+        if (!current || current.width !== width) {
+            current = { width, points: [points[i]] };
+            polylines.push(current.points);
+            polylineWidths.push(width);
+        }
+        current.points.push(points[i + 1]);
+    }
+
+    return {
+        polylines,
+        polylineWidths,
+        strokeWidth: polylineWidths.reduce((max, width) => Math.max(max, width), 0),
+        circles: [],
+        polygons: []
+    };
+}
@@ -4,6 +4,9 @@
  */
 
 import { SeededRandom } from '../utils/prng.js';
+import { SDFPattern } from './base.js';
+import { getTile, rasterizePattern } from './rasterizer.js';
+import { defaultsFromSchema, seamlessParam } from './schema.js';
 
 /**
  * Simple 2D Simplex Noise implementation
@@ -33,6 +36,18 @@ class SimplexNoise {
             this.permMod12[i] = this.perm[i] % 12;
         }
 
+        // Gradients for 4D simplex: midpoints of the edges of a tesseract
+        this.grad4 = new Float32Array([
+            0, 1, 1, 1,  0, 1, 1, -1,  0, 1, -1, 1,  0, 1, -1, -1,
+            0, -1, 1, 1,  0, -1, 1, -1,  0, -1, -1, 1,  0, -1, -1, -1,
+            1, 0, 1, 1,  1, 0, 1, -1,  1, 0, -1, 1,  1, 0, -1, -1,
+            -1, 0, 1, 1,  -1, 0, 1, -1,  -1, 0, -1, 1,  -1, 0, -1, -1,
+            1, 1, 0, 1,  1, 1, 0, -1,  1, -1, 0, 1,  1, -1, 0, -1,
+            -1, 1, 0, 1,  -1, 1, 0, -1,  -1, -1, 0, 1,  -1, -1, 0, -1,
+            1, 1, 1, 0,  1, 1, -1, 0,  1, -1, 1, 0,  1, -1, -1, 0,
+            -1, 1, 1, 0,  -1, 1, -1, 0,  -1, -1, 1, 0,  -1, -1, -1, 0
+        ]);
+
         // Gradients for 2D simplex
         this.grad3 = new Float32Array([
             1, 1, 0,  -1, 1, 0,  1, -1, 0,  -1, -1, 0,
@@ -106,47 +121,100 @@ class SimplexNoise {
 
         return 70.0 * (n0 + n1 + n2);
     }
+
+    noise4D(x, y, z, w) {
+        const F4 = (Math.sqrt(5.0) - 1.0) / 4.0;
+        const G4 = (5.0 - Math.sqrt(5.0)) / 20.0;
+
+        // Skew into the simplex lattice and find the containing cell
+        const s = (x + y + z + w) * F4;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const l = Math.floor(w + s);
+        const t = (i + j + k + l) * G4;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+        const w0 = w - (l - t);
+
+        // Rank the offsets to pick the simplex (one of 24) holding the point
+        let rankX = 0;
+        let rankY = 0;
+        let rankZ = 0;
+        let rankW = 0;
+        if (x0 > y0) rankX++; else rankY++;
+        if (x0 > z0) rankX++; else rankZ++;
+        if (x0 > w0) rankX++; else rankW++;
+        if (y0 > z0) rankY++; else rankZ++;
+        if (y0 > w0) rankY++; else rankW++;
+        if (z0 > w0) rankZ++; else rankW++;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const ll = l & 255;
+        const perm = this.perm;
+
+        let total = 0;
+
+        // Corners in order of traversal: corner c steps along every axis ranked >= 4 - c
+        for (let c = 0; c <= 4; c++) {
+            const di = rankX >= 4 - c ? 1 : 0;
+            const dj = rankY >= 4 - c ? 1 : 0;
+            const dk = rankZ >= 4 - c ? 1 : 0;
+            const dl = rankW >= 4 - c ? 1 : 0;
+
+            const cx = x0 - di + c * G4;
+            const cy = y0 - dj + c * G4;
+            const cz = z0 - dk + c * G4;
+            const cw = w0 - dl + c * G4;
+
+            let falloff = 0.6 - cx * cx - cy * cy - cz * cz - cw * cw;
+            if (falloff > 0) {
+                const g = (perm[ii + di + perm[jj + dj + perm[kk + dk + perm[ll + dl]]]] % 32) * 4;
+                falloff *= falloff;
+                total += falloff * falloff * (
+                    this.grad4[g] * cx + this.grad4[g + 1] * cy +
+                    this.grad4[g + 2] * cz + this.grad4[g + 3] * cw
+                );
+            }
+        }
+
+        return 27.0 * total;
+    }
 }
 
 /**
- * Generate noise pattern with multiple octaves
- * @param {number} width - Width in pixels
- * @param {number} height - Height in pixels
- * @param {Object} params - Pattern parameters
- * @param {number} params.scale - Frequency scale (0.1-10.0)
- * @param {number} params.octaves - Number of octaves (1-8)
- * @param {number} params.persistence - Amplitude falloff (0.0-1.0)
- * @param {number} [params.seed] - Optional seed for reproducibility
- * @param {Function} onProgress - Progress callback (0-1)
- * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
- * @returns {ImageData} Generated pattern
+ * Noise field exposed through the SDF interface
+ * Not a distance: the fractal noise value in [-1, 1], whose zero contour
+ * plays the role of a shape edge
  */
-export function generateNoisePattern(width, height, params, onProgress, cancelToken) {
-    const {
-        scale = 1.0,
-        octaves = 4,
-        persistence = 0.5,
-        seed
-    } = params;
-
-    // Create noise generator
-    const noise = new SimplexNoise(seed !== undefined ? seed : Math.random);
-
-    // Create ImageData
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
-
-    // Normalize scale for better visual results
-    const baseFrequency = scale * 0.01;
-
-    // Process row by row for progress updates
-    for (let y = 0; y < height; y++) {
-        // Check for cancellation
-        if (cancelToken && cancelToken.cancelled) {
-            throw new Error('Generation cancelled');
-        }
+export class NoisePattern extends SDFPattern {
+    get name() {
+        return 'noise';
+    }
+
+    prepare(params, raster) {
+        const { scale, octaves, persistence, seed, seamless } = { ...this.getDefaults(), ...params };
+
+        // Create noise generator
+        const noise = new SimplexNoise(seed !== undefined ? seed : Math.random);
 
-        for (let x = 0; x < width; x++) {
+        // Normalize scale for better visual results; scale is a frequency per
+        // output pixel, so convert it to a frequency per normalized unit
+        const baseFrequency = scale * 0.01 * raster.scale;
+
+        // Seamless noise walks a flat torus in 4D: each axis becomes a circle
+        // whose circumference is the tile size, so distances (and with them
+        // the noise's look) stay those of the plane while both edges wrap.
+        // Either way the noise lattice is anchored at the top-left pixel
+        const tile = getTile(raster);
+        const sample = seamless
+            ? createTorusSampler(noise, tile)
+            : (x, y, frequency) => noise.noise2D((x - tile.left) * frequency, (y - tile.top) * frequency);
+
+        return (x, y) => {
             let value = 0;
             let amplitude = 1;
             let frequency = baseFrequency;
@@ -154,10 +222,7 @@ export function generateNoisePattern(width, height, params, onProgress, cancelTo
 
             // Combine multiple octaves
             for (let octave = 0; octave < octaves; octave++) {
-                const sampleX = x * frequency;
-                const sampleY = y * frequency;
-
-                const noiseValue = noise.noise2D(sampleX, sampleY);
+                const noiseValue = sample(x, y, frequency);
                 value += noiseValue * amplitude;
                 maxValue += amplitude;
 
@@ -165,32 +230,116 @@ export function generateNoisePattern(width, height, params, onProgress, cancelTo
                 frequency *= 2.0;
             }
 
-            // Normalize to 0-1 range, then to 0-255
-            const normalized = (value / maxValue + 1.0) / 2.0;
-            const gray = Math.floor(Math.max(0, Math.min(1, normalized)) * 255);
+            return value / maxValue;
+        };
+    }
 
-            const idx = (y * width + x) * 4;
-            data[idx] = gray;     // R
-            data[idx + 1] = gray; // G
-            data[idx + 2] = gray; // B
-            data[idx + 3] = 255;  // A
-        }
+    getRange() {
+        return [-1, 1];
+    }
 
-        // Update progress
-        onProgress((y + 1) / height);
+    getDefaults() {
+        return getDefaultNoiseParams();
     }
+}
 
-    return imageData;
+/**
+ * Sample simplex noise periodically over a tile
+ * @param {SimplexNoise} noise - Noise generator
+ * @param {{left: number, top: number, width: number, height: number}} tile - Tile in normalized units (see getTile)
+ * @returns {Function} (x, y, frequency) => noise value, repeating every tile width and height
+ */
+function createTorusSampler(noise, tile) {
+    const TWO_PI = Math.PI * 2;
+
+    return (x, y, frequency) => {
+        const angleX = ((x - tile.left) / tile.width) * TWO_PI;
+        const angleY = ((y - tile.top) / tile.height) * TWO_PI;
+        const radiusX = (tile.width * frequency) / TWO_PI;
+        const radiusY = (tile.height * frequency) / TWO_PI;
+
+        return noise.noise4D(
+            radiusX * Math.cos(angleX), radiusX * Math.sin(angleX),
+            radiusY * Math.cos(angleY), radiusY * Math.sin(angleY)
+        );
+    };
+}
+
+/**
+ * Generate noise pattern with multiple octaves
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} params - Pattern parameters
+ * @param {number} params.scale - Frequency scale (0.1-10.0)
+ * @param {number} params.octaves - Number of octaves (1-8)
+ * @param {number} params.persistence - Amplitude falloff (0.0-1.0)
+ * @param {number} [params.seed] - Optional seed for reproducibility
+ * @param {boolean} [params.seamless] - Wrap the noise around the edges so the pattern tiles
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
+ */
+export function generateNoisePattern(width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    return rasterizePattern(noisePattern.sdf, width, height, params, onProgress, cancelToken, band);
 }
 
 /**
  * Get default parameters for noise pattern
  */
 export function getDefaultNoiseParams() {
-    return {
-        scale: 1.0,
-        octaves: 4,
-        persistence: 0.5,
-        seed: undefined
-    };
+    return defaultsFromSchema(noisePattern.params);
 }
+
+/**
+ * Noise pattern descriptor for the pattern registry
+ * @type {import('./schema.js').PatternDescriptor}
+ */
+export const noisePattern = {
+    id: 'noise',
+    name: 'Noise',
+    sdf: new NoisePattern(),
+    generate: generateNoisePattern,
+    params: [
+        {
+            key: 'scale',
+            label: 'Scale',
+            type: 'range',
+            min: 0.1,
+            max: 10.0,
+            step: 0.1,
+            default: 1.0
+        },
+        {
+            key: 'octaves',
+            label: 'Octaves',
+            type: 'range',
+            min: 1,
+            max: 8,
+            step: 1,
+            default: 4
+        },
+        {
+            key: 'persistence',
+            label: 'Persistence',
+            type: 'range',
+            min: 0.0,
+            max: 1.0,
+            step: 0.05,
+            default: 0.5
+        },
+        {
+            key: 'seed',
+            label: 'Seed (optional)',
+            type: 'number',
+            step: 1,
+            default: undefined,
+            optional: true,
+            placeholder: 'Leave empty for random'
+        },
+        {
+            ...seamlessParam,
+            hint: 'Wraps the noise around the edges (a little slower: 4D noise on a torus)'
+        }
+    ]
+};
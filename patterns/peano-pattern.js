@@ -3,6 +3,36 @@
  * Generates space-filling Peano curves as SDF patterns for halftoning
  */
 
+import { CurvePattern, renderCurvePattern, seamlessCurveParam } from './curve-pattern.js';
+import { renderModeParam } from './distance-transform.js';
+import { defaultsFromSchema } from './schema.js';
+
+/**
+ * Peano curve SDF: distance to the nearest segment of the curve
+ */
+export class PeanoPattern extends CurvePattern {
+    get name() {
+        return 'peano';
+    }
+
+    get curveName() {
+        return 'Peano curve';
+    }
+
+    generatePoints(iterations) {
+        return generatePeanoPoints(iterations, 1);
+    }
+
+    getSpacing(iterations) {
+        // Peano uses 3^n subdivision
+        return 1 / Math.pow(3, iterations);
+    }
+
+    getDefaults() {
+        return getDefaultPeanoParams();
+    }
+}
+
 /**
  * Generate Peano curve points recursively
  * The Peano curve uses a 3x3 subdivision pattern
@@ -12,9 +42,13 @@
  * @param {number} size - Size of current cell
  * @param {number} direction - Direction: 0=right, 1=up, 2=left, 3=down
  * @param {Array} points - Array to accumulate points
+ * @param {Function} [subdivide] - (centerX, centerY, cellSize, iteration) => whether to split this cell; all cells split when omitted
  */
-function peanoRecursive(iteration, x, y, size, direction, points) {
-    if (iteration === 0) {
+function peanoRecursive(iteration, x, y, size, direction, points, subdivide) {
+    const leaf = iteration === 0 ||
+        (subdivide && !subdivide(x + size / 2, y + size / 2, size, iteration));
+
+    if (leaf) {
         // Base case: add the center point of this cell
         points.push({ x: x + size / 2, y: y + size / 2 });
         return;
@@ -65,7 +99,8 @@ function peanoRecursive(iteration, x, y, size, direction, points) {
             y + dy * step,
             step,
             newDir,
-            points
+            points,
+            subdivide
         );
     }
 }
@@ -74,50 +109,27 @@ function peanoRecursive(iteration, x, y, size, direction, points) {
  * Generate Peano curve points for given iteration
  * @param {number} iterations - Number of iterations (1-6)
  * @param {number} size - Size of the space
- * @returns {Array<{x: number, y: number}>} Array of curve points
+ * @param {{push: Function}} [points] - Point sink; pass an object with push() to stream points instead of collecting them
+ * @returns {Array<{x: number, y: number}>} Array of curve points (the sink)
  */
-function generatePeanoPoints(iterations, size) {
-    const points = [];
+export function generatePeanoPoints(iterations, size, points = []) {
     peanoRecursive(iterations, 0, 0, size, 0, points);
     return points;
 }
 
 /**
- * Calculate distance from point to line segment
- * @param {number} px - Point x
- * @param {number} py - Point y
- * @param {number} x1 - Segment start x
- * @param {number} y1 - Segment start y
- * @param {number} x2 - Segment end x
- * @param {number} y2 - Segment end y
- * @returns {number} Distance to segment
+ * Generate an adaptive Peano curve
+ * Each 3×3 cell is split only while subdivide() asks for it; the curve
+ * stays one continuous path
+ * @param {number} maxIterations - Deepest subdivision
+ * @param {number} size - Size of the space
+ * @param {Function} subdivide - (centerX, centerY, cellSize, iteration) => whether to split the cell; iteration counts down from maxIterations
+ * @param {{push: Function}} [points] - Point sink
+ * @returns {Array<{x: number, y: number}>} Array of curve points (the sink)
  */
-function distanceToSegment(px, py, x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const lengthSquared = dx * dx + dy * dy;
-
-    if (lengthSquared === 0) {
-        // Segment is a point
-        const dpx = px - x1;
-        const dpy = py - y1;
-        return Math.sqrt(dpx * dpx + dpy * dpy);
-    }
-
-    // Calculate projection parameter t
-    let t = ((px - x1) * dx + (py - y1) * dy) / lengthSquared;
-
-    // Clamp t to [0, 1] to stay on segment
-    t = Math.max(0, Math.min(1, t));
-
-    // Find closest point on segment
-    const closestX = x1 + t * dx;
-    const closestY = y1 + t * dy;
-
-    // Calculate distance
-    const distX = px - closestX;
-    const distY = py - closestY;
-    return Math.sqrt(distX * distX + distY * distY);
+export function generateAdaptivePeanoPoints(maxIterations, size, subdivide, points = []) {
+    peanoRecursive(maxIterations, 0, 0, size, 0, points, subdivide);
+    return points;
 }
 
 /**
@@ -127,91 +139,54 @@ function distanceToSegment(px, py, x1, y1, x2, y2) {
  * @param {Object} params - Pattern parameters
  * @param {number} params.iterations - Peano curve iterations (1-6)
  * @param {number} params.lineWidth - Line width multiplier (0.1-10.0)
+ * @param {'exact'|'edt'} [params.renderMode] - Exact segment distances or rasterized distance transform
+ * @param {boolean} [params.seamless] - Wrap distances around the edges so the pattern tiles
  * @param {Function} onProgress - Progress callback (0-1)
  * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
- * @returns {ImageData} Generated pattern
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
  */
-export function generatePeanoPattern(width, height, params, onProgress, cancelToken) {
-    const {
-        iterations = 4,
-        lineWidth = 2.0
-    } = params;
-
-    // Use the smaller dimension to ensure curve fits
-    const size = Math.min(width, height);
-
-    // Generate Peano curve points
-    const points = generatePeanoPoints(iterations, size);
-
-    if (points.length < 2) {
-        throw new Error('Not enough points generated for Peano curve');
-    }
-
-    // Calculate offset to center the curve
-    const offsetX = (width - size) / 2;
-    const offsetY = (height - size) / 2;
-
-    // Create ImageData
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
-
-    // Calculate maximum distance based on canvas size
-    // Peano uses 3^n subdivision, so cell size is size / 3^iterations
-    const maxDist = (size / Math.pow(3, iterations)) * lineWidth;
-
-    // Process each pixel
-    for (let y = 0; y < height; y++) {
-        // Check for cancellation
-        if (cancelToken && cancelToken.cancelled) {
-            throw new Error('Generation cancelled');
-        }
-
-        for (let x = 0; x < width; x++) {
-            // Adjust coordinates for centering
-            const px = x - offsetX;
-            const py = y - offsetY;
-
-            // Find minimum distance to any segment of the curve
-            let minDist = Infinity;
-
-            for (let i = 0; i < points.length - 1; i++) {
-                const p1 = points[i];
-                const p2 = points[i + 1];
-
-                const dist = distanceToSegment(px, py, p1.x, p1.y, p2.x, p2.y);
-
-                if (dist < minDist) {
-                    minDist = dist;
-                }
-            }
-
-            // Normalize distance to 0-1 range
-            let normalizedDist = minDist / maxDist;
-            normalizedDist = Math.max(0, Math.min(1, normalizedDist));
-
-            // Convert to grayscale: 0 (black) at curve, 255 (white) away from curve
-            const gray = Math.floor(normalizedDist * 255);
-
-            const idx = (y * width + x) * 4;
-            data[idx] = gray;     // R
-            data[idx + 1] = gray; // G
-            data[idx + 2] = gray; // B
-            data[idx + 3] = 255;  // A
-        }
-
-        // Update progress
-        onProgress((y + 1) / height);
-    }
-
-    return imageData;
+export function generatePeanoPattern(width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    return renderCurvePattern(peanoPattern.sdf, width, height, params, onProgress, cancelToken, band);
 }
 
 /**
  * Get default parameters for Peano curve pattern
  */
 export function getDefaultPeanoParams() {
-    return {
-        iterations: 4,
-        lineWidth: 2.0
-    };
+    return defaultsFromSchema(peanoPattern.params);
 }
+
+/**
+ * Peano Curve pattern descriptor for the pattern registry
+ * @type {import('./schema.js').PatternDescriptor}
+ */
+export const peanoPattern = {
+    id: 'peano',
+    name: 'Peano Curve',
+    description: 'Peano space-filling curve using 3×3 subdivision. Creates a more rectangular meandering pattern compared to Hilbert. Recommended max iterations: 5-6 (grows as 3^n).',
+    sdf: new PeanoPattern(),
+    generate: generatePeanoPattern,
+    params: [
+        {
+            key: 'iterations',
+            label: 'Iterations',
+            type: 'range',
+            min: 1,
+            max: 6,
+            step: 1,
+            default: 4
+        },
+        {
+            key: 'lineWidth',
+            label: 'Line Width',
+            type: 'range',
+            min: 0.5,
+            max: 10.0,
+            step: 0.1,
+            default: 2.0
+        },
+        renderModeParam,
+        seamlessCurveParam
+    ]
+};
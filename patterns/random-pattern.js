@@ -4,79 +4,132 @@
  */
 
 import { SeededRandom } from '../utils/prng.js';
+import { SDFPattern } from './base.js';
+import { getTile, rasterizePattern } from './rasterizer.js';
+import { defaultsFromSchema } from './schema.js';
 
 /**
- * Generate random pattern
- * @param {number} width - Width in pixels
- * @param {number} height - Height in pixels
- * @param {Object} params - Pattern parameters
- * @param {string} params.distribution - 'uniform', 'normal', or 'binary'
- * @param {number} [params.seed] - Optional seed for reproducibility
- * @param {Function} onProgress - Progress callback (0-1)
- * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
- * @returns {ImageData} Generated pattern
+ * Random field exposed through the SDF interface
+ * One independent gray value (0-1) per output pixel, drawn from the seed's
+ * sequence in row-major order from the top-left pixel, so a seed renders
+ * the same pattern it always has
  */
-export function generateRandomPattern(width, height, params, onProgress, cancelToken) {
-    const { distribution = 'uniform', seed } = params;
+export class RandomPattern extends SDFPattern {
+    get name() {
+        return 'random';
+    }
 
-    // Create ImageData
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
+    prepare(params, raster) {
+        const { distribution, seed = Date.now() } = { ...this.getDefaults(), ...params };
+        const { width, height, scale } = raster;
+        const origin = getTile(raster);
 
-    // Create random number generator
-    const rng = seed !== undefined ? new SeededRandom(seed) : new SeededRandom();
+        // Normal distribution draws twice per pixel
+        const drawsPerPixel = distribution === 'normal' ? 2 : 1;
 
-    // Process in chunks for progress updates
-    const totalPixels = width * height;
-    const chunkSize = 10000; // pixels per progress update
-    let pixelCount = 0;
+        // The rasterizer visits pixels in order, so the sequence only moves
+        // forward: a band skips the draws for rows above it, then draws one
+        // pixel after another. Sampling backwards restarts from the seed
+        let rng = new SeededRandom(seed);
+        let position = 0;
 
-    for (let i = 0; i < data.length; i += 4) {
-        // Check for cancellation
-        if (cancelToken && cancelToken.cancelled) {
-            throw new Error('Generation cancelled');
-        }
+        const seek = (pixel) => {
+            const draw = pixel * drawsPerPixel;
+            if (draw < position) {
+                rng = new SeededRandom(seed);
+                position = 0;
+            }
+            rng.skip(draw - position);
+            position = draw + drawsPerPixel;
+            return rng;
+        };
 
-        // Generate random value based on distribution
-        let value;
+        return (x, y) => {
+            // Samples off the canvas take the nearest edge pixel
+            const px = Math.max(0, Math.min(width - 1, Math.round((x - origin.left) * scale)));
+            const py = Math.max(0, Math.min(height - 1, Math.round((y - origin.top) * scale)));
+            const draws = seek(py * width + px);
 
-        if (distribution === 'binary') {
-            // Pure black or white
-            value = rng.next() < 0.5 ? 0 : 255;
-        } else if (distribution === 'normal') {
-            // Gaussian distribution centered at 128
-            const gaussian = rng.nextGaussian(128, 50);
-            value = Math.max(0, Math.min(255, Math.round(gaussian)));
-        } else {
-            // Uniform distribution (default)
-            value = Math.floor(rng.next() * 256);
-        }
+            // Generate random value based on distribution
+            let value;
 
-        // Set RGB to same value (grayscale)
-        data[i] = value;     // R
-        data[i + 1] = value; // G
-        data[i + 2] = value; // B
-        data[i + 3] = 255;   // A
+            if (distribution === 'binary') {
+                // Pure black or white
+                value = draws.next() < 0.5 ? 0 : 255;
+            } else if (distribution === 'normal') {
+                // Gaussian distribution centered at 128
+                const gaussian = draws.nextGaussian(128, 50);
+                value = Math.max(0, Math.min(255, Math.round(gaussian)));
+            } else {
+                // Uniform distribution (default)
+                value = Math.floor(draws.next() * 256);
+            }
 
-        // Update progress
-        pixelCount++;
-        if (pixelCount % chunkSize === 0) {
-            onProgress(pixelCount / totalPixels);
-        }
+            return value / 255;
+        };
     }
 
-    // Final progress update
-    onProgress(1.0);
+    getRange() {
+        return [0, 1];
+    }
+
+    getDefaults() {
+        return getDefaultRandomParams();
+    }
+}
 
-    return imageData;
+/**
+ * Generate random pattern
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} params - Pattern parameters
+ * @param {string} params.distribution - 'uniform', 'normal', or 'binary'
+ * @param {number} [params.seed] - Optional seed for reproducibility
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {import('./rasterizer.js').FloatPattern} Generated pattern (width × band.height)
+ */
+export function generateRandomPattern(width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    return rasterizePattern(randomPattern.sdf, width, height, params, onProgress, cancelToken, band);
 }
 
 /**
  * Get default parameters for random pattern
  */
 export function getDefaultRandomParams() {
-    return {
-        distribution: 'uniform',
-        seed: undefined
-    };
+    return defaultsFromSchema(randomPattern.params);
 }
+
+/**
+ * Random pattern descriptor for the pattern registry
+ * @type {import('./schema.js').PatternDescriptor}
+ */
+export const randomPattern = {
+    id: 'random',
+    name: 'Random',
+    sdf: new RandomPattern(),
+    generate: generateRandomPattern,
+    params: [
+        {
+            key: 'distribution',
+            label: 'Distribution',
+            type: 'select',
+            default: 'uniform',
+            options: [
+                { value: 'uniform', label: 'Uniform' },
+                { value: 'normal', label: 'Normal (Gaussian)' },
+                { value: 'binary', label: 'Binary (Black/White)' }
+            ]
+        },
+        {
+            key: 'seed',
+            label: 'Seed (optional)',
+            type: 'number',
+            step: 1,
+            default: undefined,
+            optional: true,
+            placeholder: 'Leave empty for random'
+        }
+    ]
+};
@@ -0,0 +1,172 @@
+/**
+ * SDF Rasterizer
+ * Turns any SDFPattern into a float gray level buffer at any resolution
+ */
+
+import { createImageData } from '../utils/image-data.js';
+
+/**
+ * Rendered pattern at full precision
+ * Generators produce gray levels as floats so thresholds are not limited to
+ * 256 steps; 8-bit ImageData is made from them only for display and PNG
+ * @typedef {Object} FloatPattern
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Float32Array} data - Gray level per pixel, 0 (black) .. 1 (white)
+ */
+
+/**
+ * Allocate a float pattern
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {FloatPattern}
+ */
+export function createFloatPattern(width, height) {
+    return { width, height, data: new Float32Array(width * height) };
+}
+
+/**
+ * Quantize a float pattern to 8-bit grayscale ImageData
+ * @param {FloatPattern} pattern - Float pattern
+ * @returns {ImageData}
+ */
+export function floatPatternToImageData(pattern) {
+    const imageData = createImageData(pattern.width, pattern.height);
+    const data = imageData.data;
+
+    for (let i = 0; i < pattern.data.length; i++) {
+        const gray = Math.floor(pattern.data[i] * 255);
+
+        const idx = i * 4;
+        data[idx] = gray;     // R
+        data[idx + 1] = gray; // G
+        data[idx + 2] = gray; // B
+        data[idx + 3] = 255;  // A
+    }
+
+    return imageData;
+}
+
+/**
+ * Describe the raster for a width × height output
+ * The unit square is the largest centered square, so the pattern is never
+ * distorted on non-square canvases
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {import('./base.js').Raster}
+ */
+export function createRaster(width, height) {
+    const scale = Math.min(width, height);
+    return {
+        width,
+        height,
+        scale,
+        offsetX: (width - scale) / 2,
+        offsetY: (height - scale) / 2
+    };
+}
+
+/**
+ * Tile period of a raster in normalized units
+ * A seamless pattern repeats with this period, so its left edge continues
+ * its right edge and its top edge its bottom edge
+ * @param {import('./base.js').Raster} raster - Target raster
+ * @returns {{left: number, top: number, width: number, height: number}} Tile origin and size
+ */
+export function getTile(raster) {
+    return {
+        left: -raster.offsetX / raster.scale,
+        top: -raster.offsetY / raster.scale,
+        width: raster.width / raster.scale,
+        height: raster.height / raster.scale
+    };
+}
+
+/**
+ * Make a prepared distance function wrap around the raster edges
+ * Distance is measured to the nearest copy of the pattern in the tile and
+ * its eight neighbours. The pattern must lie inside the tile (curves do:
+ * they fill the centered unit square), so a neighbour is only visited when
+ * the sample is closer to that neighbour's tile than to anything found yet
+ * @param {import('./base.js').SDFEvaluator} sdf - Prepared distance function
+ * @param {import('./base.js').Raster} raster - Target raster
+ * @returns {import('./base.js').SDFEvaluator} Periodic distance function
+ */
+export function wrapSDF(sdf, raster) {
+    const tile = getTile(raster);
+
+    return (x, y, cutoff = Infinity) => {
+        let best = sdf(x, y, cutoff);
+
+        // Sample position within the tile
+        const u = x - tile.left;
+        const v = y - tile.top;
+
+        for (let j = -1; j <= 1; j++) {
+            const gapY = j < 0 ? v : j > 0 ? tile.height - v : 0;
+
+            for (let i = -1; i <= 1; i++) {
+                if (i === 0 && j === 0) continue;
+
+                const gapX = i < 0 ? u : i > 0 ? tile.width - u : 0;
+                const reach = Math.min(best, cutoff);
+                if (Math.hypot(Math.max(0, gapX), Math.max(0, gapY)) >= reach) continue;
+
+                best = Math.min(best, sdf(x - i * tile.width, y - j * tile.height, reach));
+            }
+        }
+
+        return best;
+    };
+}
+
+/**
+ * Rasterize an SDF pattern
+ * Each pixel's distance is mapped linearly from the pattern's range to
+ * 0 (black) .. 1 (white) and clamped
+ * @param {import('./base.js').SDFPattern} pattern - Pattern to render
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} params - Pattern parameters
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @param {{y: number, height: number}} [band] - Row band to render (defaults to the full height)
+ * @returns {FloatPattern} Generated pattern (width × band.height)
+ */
+export function rasterizePattern(pattern, width, height, params, onProgress, cancelToken, band = { y: 0, height }) {
+    const raster = createRaster(width, height);
+    const sdf = pattern.prepare(params, raster);
+    const [low, high] = pattern.getRange(params, raster);
+    const span = high - low;
+
+    const levels = createFloatPattern(width, band.height);
+    const data = levels.data;
+
+    const bandEnd = band.y + band.height;
+
+    // Process row by row for progress updates
+    for (let y = band.y; y < bandEnd; y++) {
+        // Check for cancellation
+        if (cancelToken && cancelToken.cancelled) {
+            throw new Error('Generation cancelled');
+        }
+
+        const ny = (y - raster.offsetY) / raster.scale;
+
+        for (let x = 0; x < width; x++) {
+            const nx = (x - raster.offsetX) / raster.scale;
+
+            // Distances past the white end of the range all clamp to 1
+            const distance = sdf(nx, ny, high);
+
+            // Normalize distance to 0-1 range
+            const normalized = (distance - low) / span;
+            data[(y - band.y) * width + x] = Math.max(0, Math.min(1, normalized));
+        }
+
+        // Update progress
+        onProgress((y - band.y + 1) / band.height);
+    }
+
+    return levels;
+}
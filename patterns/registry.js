@@ -0,0 +1,162 @@
+/**
+ * Pattern Registry
+ * Single source of truth for available patterns: the pattern worker, the
+ * controls panel and export metadata are all driven from these descriptors.
+ * Adding a pattern means writing one module that exports a descriptor and
+ * listing it below.
+ */
+
+import { defaultsFromSchema, parseParamValue } from './schema.js';
+import { createRaster } from './rasterizer.js';
+import { randomPattern } from './random-pattern.js';
+import { noisePattern } from './noise-pattern.js';
+import { bendayPattern } from './benday-pattern.js';
+import { hilbertPattern } from './hilbert-pattern.js';
+import { peanoPattern } from './peano-pattern.js';
+import { zorderPattern } from './zorder-pattern.js';
+import { gosperPattern } from './gosper-pattern.js';
+import { createCompositePattern } from './composite-pattern.js';
+
+const patterns = new Map();
+
+/**
+ * Register a pattern descriptor
+ * @param {import('./schema.js').PatternDescriptor} descriptor
+ */
+export function registerPattern(descriptor) {
+    if (patterns.has(descriptor.id)) {
+        throw new Error(`Pattern already registered: ${descriptor.id}`);
+    }
+    patterns.set(descriptor.id, descriptor);
+}
+
+/**
+ * Get pattern descriptor by id
+ * @param {string} id - Pattern id
+ * @returns {import('./schema.js').PatternDescriptor|undefined}
+ */
+export function getPattern(id) {
+    return patterns.get(id);
+}
+
+/**
+ * List registered patterns in registration order
+ * @returns {Array<import('./schema.js').PatternDescriptor>}
+ */
+export function listPatterns() {
+    return Array.from(patterns.values());
+}
+
+/**
+ * Get default parameters for a pattern
+ * @param {string} id - Pattern id
+ * @returns {Object} Default parameter values
+ */
+export function getDefaultParams(id) {
+    const descriptor = patterns.get(id);
+    return descriptor ? defaultsFromSchema(descriptor.params) : {};
+}
+
+/**
+ * Fill in and bound a pattern's parameters
+ * Missing or unusable values take their defaults and numbers are clamped to
+ * their range, so older or hand-edited settings still render; composite
+ * children are normalized the same way
+ * @param {string} id - Pattern id (must be registered)
+ * @param {Object} [params] - Stored parameters
+ * @returns {Object} Parameters for the pattern
+ */
+export function normalizeParams(id, params = {}) {
+    const result = { ...getDefaultParams(id), ...params };
+
+    for (const entry of patterns.get(id).params) {
+        result[entry.key] = normalizeValue(entry, result[entry.key]);
+    }
+
+    return result;
+}
+
+/**
+ * Bring one parameter value in line with its schema entry
+ * @param {import('./schema.js').ParamSchema} entry - Schema entry
+ * @param {*} value - Stored value
+ * @returns {*} Usable value
+ */
+function normalizeValue(entry, value) {
+    switch (entry.type) {
+        case 'checkbox':
+            return Boolean(value);
+        case 'select':
+            return entry.options.some(option => option.value === value) ? value : entry.default;
+        case 'number':
+        case 'range': {
+            const number = parseParamValue(entry, value);
+            if (number === undefined) return undefined;
+            return Math.min(entry.max ?? Infinity, Math.max(entry.min ?? -Infinity, number));
+        }
+        case 'patterns':
+            if (!Array.isArray(value)) return structuredClone(entry.default);
+
+            // Unknown children are kept; the composite reports them when rendering
+            return value.map(item => {
+                if (!item || !patterns.has(item.pattern)) return item;
+
+                const child = { ...item, params: normalizeParams(item.pattern, item.params) };
+                for (const itemEntry of entry.itemParams || []) {
+                    child[itemEntry.key] = normalizeValue(itemEntry, child[itemEntry.key]);
+                }
+                return child;
+            });
+        default:
+            return value;
+    }
+}
+
+/**
+ * Get the vector outline of a pattern at an output size
+ * @param {string} id - Pattern id
+ * @param {Object} params - Pattern parameters
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {import('./base.js').VectorGeometry|null} Geometry, or null for raster-only patterns
+ */
+export function getPatternGeometry(id, params, width, height) {
+    const descriptor = patterns.get(id);
+    if (!descriptor || !descriptor.sdf) return null;
+
+    return descriptor.sdf.getGeometry(
+        { ...getDefaultParams(id), ...params },
+        createRaster(width, height)
+    );
+}
+
+/**
+ * Whether a pattern is a space-filling curve (Hilbert, Peano, Z-order,
+ * Gosper), whose point sequence variable-width curves follow
+ * @param {string} id - Pattern id
+ * @returns {boolean}
+ */
+export function isCurvePattern(id) {
+    const descriptor = patterns.get(id);
+    return Boolean(descriptor && descriptor.sdf && typeof descriptor.sdf.getPoints === 'function');
+}
+
+/**
+ * Get display name for a pattern
+ * @param {string} id - Pattern id
+ * @returns {string} Display name (falls back to the capitalized id)
+ */
+export function getPatternName(id) {
+    const descriptor = patterns.get(id);
+    return descriptor ? descriptor.name : id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+// Register built-in patterns (order is the order shown in the UI)
+registerPattern(randomPattern);
+registerPattern(noisePattern);
+registerPattern(bendayPattern);
+registerPattern(hilbertPattern);
+registerPattern(peanoPattern);
+registerPattern(zorderPattern);
+registerPattern(gosperPattern);
+registerPattern(createCompositePattern(getPattern));
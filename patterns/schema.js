@@ -0,0 +1,99 @@
+/**
+ * Pattern Parameter Schema
+ * Helpers for the self-describing parameter lists patterns export
+ */
+
+/**
+ * Parameter schema entry
+ * @typedef {Object} ParamSchema
+ * @property {string} key - Parameter name passed to the generator
+ * @property {string} label - Display label
+ * @property {'range'|'number'|'select'|'checkbox'|'patterns'} type - Control type ('patterns' is a list of child patterns {pattern, params, ...itemParams})
+ * @property {*} default - Default value
+ * @property {number} [min] - Minimum (range/number; item count for patterns)
+ * @property {number} [max] - Maximum (range/number)
+ * @property {number} [step] - Step (range/number)
+ * @property {boolean} [optional] - Number may be left empty (undefined)
+ * @property {string} [placeholder] - Placeholder for empty number inputs
+ * @property {Array<{value: string, label: string}>} [options] - Select options
+ * @property {Array<ParamSchema>} [itemParams] - Extra per-item parameters (patterns)
+ * @property {string} [hint] - Short help text shown below the control
+ * @property {boolean} [hidden] - Kept for compatibility but not shown in the UI
+ */
+
+/**
+ * Pattern descriptor registered with the pattern registry
+ * @typedef {Object} PatternDescriptor
+ * @property {string} id - Pattern id (e.g. 'hilbert')
+ * @property {string} name - Display name (e.g. 'Hilbert Curve')
+ * @property {string} [description] - Help text shown above the parameters
+ * @property {import('./base.js').SDFPattern} sdf - Pattern as a signed distance field
+ * @property {Function} generate - Generator (width, height, params, onProgress, cancelToken, band) => FloatPattern (see rasterizer.js)
+ * @property {Array<ParamSchema>} params - Parameter schema
+ */
+
+/**
+ * Seamless tiling parameter shared by the generators that support it
+ * Each generator gives it a hint saying how it wraps
+ * @type {ParamSchema}
+ */
+export const seamlessParam = {
+    key: 'seamless',
+    label: 'Seamless Tile',
+    type: 'checkbox',
+    default: false
+};
+
+/**
+ * Build default parameter values from a schema
+ * @param {Array<ParamSchema>} schema - Parameter schema
+ * @returns {Object} Parameter values keyed by schema key
+ */
+export function defaultsFromSchema(schema) {
+    const params = {};
+    for (const entry of schema) {
+        // Copy object defaults (e.g. child pattern lists) so edits never reach the schema
+        params[entry.key] = entry.default !== null && typeof entry.default === 'object'
+            ? structuredClone(entry.default)
+            : entry.default;
+    }
+    return params;
+}
+
+/**
+ * Number of decimals to display for a numeric parameter
+ * @param {ParamSchema} entry - Schema entry
+ * @returns {number}
+ */
+export function decimalsForStep(entry) {
+    const step = String(entry.step ?? 1);
+    const dot = step.indexOf('.');
+    return dot === -1 ? 0 : step.length - dot - 1;
+}
+
+/**
+ * Coerce a raw control value to the schema type
+ * @param {ParamSchema} entry - Schema entry
+ * @param {string|boolean} raw - Raw control value
+ * @returns {*} Typed value (undefined for empty optional numbers)
+ */
+export function parseParamValue(entry, raw) {
+    switch (entry.type) {
+        case 'checkbox':
+            return Boolean(raw);
+        case 'select':
+            return raw;
+        case 'number':
+        case 'range': {
+            if (raw === '' || raw === undefined || raw === null) {
+                return entry.optional ? undefined : entry.default;
+            }
+            const value = entry.step !== undefined && Number.isInteger(entry.step)
+                ? parseInt(raw)
+                : parseFloat(raw);
+            return Number.isFinite(value) ? value : entry.default;
+        }
+        default:
+            return raw;
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Segment Grid
+ * Uniform grid spatial index over polyline segments, used by the curve
+ * generators so each pixel only measures distance to nearby segments
+ */
+
+/**
+ * Calculate distance from point to line segment
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {number} x1 - Segment start x
+ * @param {number} y1 - Segment start y
+ * @param {number} x2 - Segment end x
+ * @param {number} y2 - Segment end y
+ * @returns {number} Distance to segment
+ */
+export function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+
+    if (lengthSquared === 0) {
+        // Segment is a point
+        const dpx = px - x1;
+        const dpy = py - y1;
+        return Math.sqrt(dpx * dpx + dpy * dpy);
+    }
+
+    // Calculate projection parameter t
+    let t = ((px - x1) * dx + (py - y1) * dy) / lengthSquared;
+
+    // Clamp t to [0, 1] to stay on segment
+    t = Math.max(0, Math.min(1, t));
+
+    // Find closest point on segment
+    const closestX = x1 + t * dx;
+    const closestY = y1 + t * dy;
+
+    // Calculate distance
+    const distX = px - closestX;
+    const distY = py - closestY;
+    return Math.sqrt(distX * distX + distY * distY);
+}
+
+/**
+ * Uniform grid of polyline segments
+ *
+ * Every segment is bucketed into each cell its bounding box overlaps.
+ * Queries search outward ring by ring from the query cell and stop as soon
+ * as no unvisited cell can hold a closer segment, so results match a
+ * brute-force scan over all segments exactly.
+ */
+export class SegmentGrid {
+    /**
+     * @param {Array<{x: number, y: number}>} points - Polyline points
+     * @param {number} [cellSize] - Grid cell size (defaults to the mean segment length)
+     */
+    constructor(points, cellSize) {
+        this.points = points;
+
+        // Bounding box of the whole polyline
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        let totalLength = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            if (p.x < minX) minX = p.x;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y < minY) minY = p.y;
+            if (p.y > maxY) maxY = p.y;
+
+            if (i > 0) {
+                totalLength += Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y);
+            }
+        }
+
+        const segmentCount = Math.max(1, points.length - 1);
+        const meanLength = totalLength / segmentCount;
+
+        this.cellSize = cellSize || Math.max(meanLength, 1e-6);
+        this.minX = minX;
+        this.minY = minY;
+        this.cols = Math.max(1, Math.floor((maxX - minX) / this.cellSize) + 1);
+        this.rows = Math.max(1, Math.floor((maxY - minY) / this.cellSize) + 1);
+
+        this.buildCells();
+        this.setHalfWidths(null);
+    }
+
+    /**
+     * Bucket segment indices into cells (CSR layout: cellStart + segmentIndices)
+     */
+    buildCells() {
+        const { points, cols, rows } = this;
+        const cellCount = cols * rows;
+        const counts = new Uint32Array(cellCount + 1);
+
+        // First pass: count segments per cell
+        this.forEachSegmentCell((cell) => {
+            counts[cell + 1]++;
+        });
+
+        // Prefix sum into start offsets
+        for (let i = 0; i < cellCount; i++) {
+            counts[i + 1] += counts[i];
+        }
+
+        this.cellStart = counts;
+        this.segmentIndices = new Uint32Array(counts[cellCount]);
+
+        // Second pass: fill segment indices
+        const cursor = counts.slice(0, cellCount);
+        this.forEachSegmentCell((cell, segment) => {
+            this.segmentIndices[cursor[cell]++] = segment;
+        });
+
+        // Flatten coordinates for the hot loop
+        this.coords = new Float64Array(points.length * 2);
+        for (let i = 0; i < points.length; i++) {
+            this.coords[i * 2] = points[i].x;
+            this.coords[i * 2 + 1] = points[i].y;
+        }
+    }
+
+    /**
+     * Give each segment a half width, turning distances into signed distances
+     * to a variable-width stroke (negative inside); nearestDistance() then
+     * returns the smallest distance minus half width over all segments
+     * @param {Float64Array|null} halfWidths - Half width per segment, or null for a zero-width line
+     */
+    setHalfWidths(halfWidths) {
+        this.halfWidths = halfWidths;
+        this.maxHalfWidth = 0;
+
+        if (halfWidths) {
+            for (let i = 0; i < halfWidths.length; i++) {
+                this.maxHalfWidth = Math.max(this.maxHalfWidth, halfWidths[i]);
+            }
+        }
+    }
+
+    /**
+     * Visit every (cell, segment) pair covered by segment bounding boxes
+     * @param {Function} callback - Called with (cellIndex, segmentIndex)
+     */
+    forEachSegmentCell(callback) {
+        const { points, cols } = this;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const p1 = points[i];
+            const p2 = points[i + 1];
+
+            const c0 = this.cellX(Math.min(p1.x, p2.x));
+            const c1 = this.cellX(Math.max(p1.x, p2.x));
+            const r0 = this.cellY(Math.min(p1.y, p2.y));
+            const r1 = this.cellY(Math.max(p1.y, p2.y));
+
+            for (let r = r0; r <= r1; r++) {
+                for (let c = c0; c <= c1; c++) {
+                    callback(r * cols + c, i);
+                }
+            }
+        }
+    }
+
+    /**
+     * Column index of x coordinate, clamped to the grid
+     */
+    cellX(x) {
+        return Math.max(0, Math.min(this.cols - 1, Math.floor((x - this.minX) / this.cellSize)));
+    }
+
+    /**
+     * Row index of y coordinate, clamped to the grid
+     */
+    cellY(y) {
+        return Math.max(0, Math.min(this.rows - 1, Math.floor((y - this.minY) / this.cellSize)));
+    }
+
+    /**
+     * Find the distance from a point to the nearest segment
+     *
+     * When maxDist is given the search stops once every remaining segment is
+     * known to be at least maxDist away; the returned value is then only
+     * guaranteed to be >= maxDist, which is all callers that clamp need.
+     *
+     * @param {number} px - Point x
+     * @param {number} py - Point y
+     * @param {number} [maxDist=Infinity] - Distance beyond which the exact value is not needed
+     * @returns {number} Distance to nearest segment (less its half width, see setHalfWidths)
+     */
+    nearestDistance(px, py, maxDist = Infinity) {
+        const { cols, rows, cellSize, cellStart, segmentIndices, coords, halfWidths, maxHalfWidth } = this;
+
+        // Query cell, unclamped so points outside the grid search correctly
+        const qc = Math.floor((px - this.minX) / cellSize);
+        const qr = Math.floor((py - this.minY) / cellSize);
+
+        let minDist = Infinity;
+
+        for (let ring = 0; ; ring++) {
+            const r0 = qr - ring;
+            const r1 = qr + ring;
+            const c0 = qc - ring;
+            const c1 = qc + ring;
+
+            // Ring lies entirely outside the grid: nothing left to visit
+            if (r0 < 0 && r1 >= rows && c0 < 0 && c1 >= cols) {
+                break;
+            }
+
+            for (let r = Math.max(0, r0); r <= Math.min(rows - 1, r1); r++) {
+                // Interior rows of the ring only contribute their two edge cells
+                const onEdgeRow = r === r0 || r === r1;
+                const step = onEdgeRow ? 1 : c1 - c0;
+
+                for (let c = c0; c <= c1; c += step) {
+                    if (c < 0 || c >= cols) continue;
+
+                    const cell = r * cols + c;
+                    for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                        const segment = segmentIndices[k];
+                        const s = segment * 2;
+                        let dist = distanceToSegment(
+                            px, py,
+                            coords[s], coords[s + 1],
+                            coords[s + 2], coords[s + 3]
+                        );
+
+                        if (halfWidths) {
+                            dist -= halfWidths[segment];
+                        }
+
+                        if (dist < minDist) {
+                            minDist = dist;
+                        }
+                    }
+                }
+            }
+
+            // Every unvisited cell is at least ring * cellSize away from the
+            // point, less the widest stroke that could reach back from it
+            const reach = ring * cellSize - maxHalfWidth;
+            if (minDist <= reach || reach >= maxDist) {
+                break;
+            }
+        }
+
+        return minDist;
+    }
+}
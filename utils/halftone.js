@@ -0,0 +1,808 @@
+/**
+ * Halftone Algorithms
+ * Threshold, blend, error diffusion, ordered and curve halftoning of an
+ * image against a pattern, free of worker and DOM globals so the halftone
+ * worker and the Node CLI run the same code
+ */
+
+import { generateHilbertPoints } from '../patterns/hilbert-pattern.js';
+import { generatePeanoPoints } from '../patterns/peano-pattern.js';
+import { generateGosperPoints } from '../patterns/gosper-pattern.js';
+import { getPattern } from '../patterns/registry.js';
+import { createModulatedCurve, prepareModulatedCurve, DEFAULT_CURVE_WIDTH } from '../patterns/modulated-curve.js';
+import { createAdaptiveCurve, DEFAULT_ADAPTIVE_CURVE } from '../patterns/adaptive-curve.js';
+import { buildToneLUT, applyToneLUT, isIdentityToneCurve } from './tone-curve.js';
+import { createImageData } from './image-data.js';
+
+// Progress update interval in pixels
+const PROGRESS_CHUNK = 10000;
+
+/**
+ * Pattern placement on the image: unrotated, unscaled, tiled from the origin
+ */
+const IDENTITY_TRANSFORM = { angle: 0, scale: 1, offsetX: 0, offsetY: 0 };
+
+/**
+ * Error diffusion kernels
+ * Each tap is [dx, dy, weight] relative to the current pixel (dx mirrored on
+ * right-to-left rows); weights are divided by the divisor. Atkinson only
+ * passes on 6/8 of the error, which keeps highlights and shadows clean.
+ */
+const DIFFUSION_KERNELS = {
+    'floyd-steinberg': {
+        divisor: 16,
+        taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    },
+    'jarvis-judice-ninke': {
+        divisor: 48,
+        taps: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    'stucki': {
+        divisor: 42,
+        taps: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    'atkinson': {
+        divisor: 8,
+        taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+    },
+    'sierra': {
+        divisor: 32,
+        taps: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    }
+};
+
+/**
+ * Error diffusion options: pattern threshold (as the app's checkbox defaults),
+ * full strength, left-to-right rows
+ */
+const DEFAULT_DIFFUSION = { usePattern: true, strength: 1, serpentine: false };
+
+/**
+ * Riemersma dithering options: Hilbert order, 16-entry history whose newest
+ * error weighs 16× the oldest
+ */
+const DEFAULT_RIEMERSMA = { curve: 'hilbert', historyLength: 16, decay: 16 };
+
+/**
+ * Highest Gosper iteration used for traversal (7^7 segments); pixels the
+ * curve passes over are visited in curve order, any it skips afterwards
+ */
+const MAX_GOSPER_ITERATIONS = 7;
+
+/**
+ * CMYK plate names in separation order
+ */
+export const CMYK_CHANNELS = ['cyan', 'magenta', 'yellow', 'black'];
+
+/**
+ * Conventional screen angles in degrees, keeping moiré between plates low
+ */
+export const DEFAULT_SCREEN_ANGLES = { cyan: 15, magenta: 75, yellow: 0, black: 45 };
+
+/**
+ * Every halftone method id accepted by halftoneImage()
+ */
+export const HALFTONE_METHODS = [
+    'threshold', 'blend', ...Object.keys(DIFFUSION_KERNELS),
+    'ordered', 'riemersma', 'curve-width', 'adaptive-curve'
+];
+
+/**
+ * Halftone an image
+ * @param {Object} request - Halftone request (the halftone worker's 'apply' message)
+ * @param {ImageData} request.imageData - Source image
+ * @param {ImageData|import('../patterns/rasterizer.js').FloatPattern} request.patternData - Pattern tile (grayscale mode)
+ * @param {string} request.method - Halftoning method (see HALFTONE_METHODS)
+ * @param {number} request.contrast - Contrast adjustment (-100 to 100)
+ * @param {number} request.brightness - Brightness adjustment (-100 to 100)
+ * @param {Object} [request.transform] - Pattern placement {angle, scale, offsetX, offsetY}
+ * @param {Object} [request.diffusion] - Error diffusion options {usePattern, strength, serpentine}
+ * @param {Object} [request.riemersma] - Curve dithering options {curve, historyLength, decay}
+ * @param {Object} [request.curveWidth] - Variable-width curve options {pattern, params, minWidth, maxWidth}
+ * @param {Object} [request.adaptiveCurve] - Adaptive curve options {curve, minIterations, maxIterations, lineWidth, detail}
+ * @param {Object} [request.toneCurve] - Tone curve applied before halftoning (see tone-curve.js)
+ * @param {'gray'|'cmyk'} [request.colorMode] - Grayscale or CMYK separation
+ * @param {Array<{patternData: ImageData|Object, angle: number}>} [request.channels] - Screens for C, M, Y, K (CMYK mode)
+ * @param {number} [request.gcr] - Gray component replacement (0-1, CMYK mode)
+ * @param {number} [request.ucr] - Under color removal (0-1, CMYK mode)
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} [cancelToken] - Cancellation token {cancelled: boolean}
+ * @returns {Promise<{imageData: ImageData, separations?: Array<{name: string, imageData: ImageData}>}>} Halftoned image, plus the plates in CMYK mode
+ */
+export async function halftoneImage(request, onProgress, cancelToken = { cancelled: false }) {
+    const { imageData, patternData, method, contrast, brightness, colorMode, channels, gcr, ucr } = request;
+    const transform = { ...IDENTITY_TRANSFORM, ...request.transform };
+    const diffusion = { ...DEFAULT_DIFFUSION, ...request.diffusion };
+    const riemersma = { ...DEFAULT_RIEMERSMA, ...request.riemersma };
+    const curveWidth = { ...DEFAULT_CURVE_WIDTH, ...request.curveWidth };
+    const adaptiveCurve = { ...DEFAULT_ADAPTIVE_CURVE, ...request.adaptiveCurve };
+
+    // Tone curve applies to the source lightness, before any halftoning
+    const toneLUT = request.toneCurve && !isIdentityToneCurve(request.toneCurve) ? buildToneLUT(request.toneCurve) : null;
+
+    if (colorMode === 'cmyk') {
+        const { composite, separations } = await applyCMYKHalftone(
+            imageData, channels, method, { gcr, ucr, toneLUT, contrast, brightness, transform, diffusion, riemersma, curveWidth, adaptiveCurve }, onProgress, cancelToken
+        );
+
+        return { imageData: composite, separations };
+    }
+
+    let gray = toLuminance(imageData);
+    if (toneLUT) {
+        gray = applyToneLUT(gray, toneLUT);
+    }
+    let plate = await applyHalftone(gray, imageData.width, imageData.height, patternData, method, { transform, diffusion, riemersma, curveWidth, adaptiveCurve }, onProgress, cancelToken);
+
+    // Apply contrast and brightness adjustments if needed
+    if (contrast !== 0 || brightness !== 0) {
+        plate = applyContrastBrightness(plate, contrast, brightness);
+    }
+
+    return { imageData: plateToImageData(plate, imageData.width, imageData.height) };
+}
+
+/**
+ * Report progress after a finished row
+ * Only every PROGRESS_CHUNK pixels are reported to limit message traffic
+ */
+function reportRowProgress(y, width, height, onProgress) {
+    const processedPixels = (y + 1) * width;
+    if (processedPixels % PROGRESS_CHUNK === 0) {
+        onProgress(processedPixels / (width * height));
+    }
+}
+
+/**
+ * Convert source image to grayscale
+ * @param {ImageData} imageData - Source image
+ * @returns {Float64Array} Luminance (0-255) per pixel
+ */
+function toLuminance(imageData) {
+    const data = imageData.data;
+    const gray = new Float64Array(imageData.width * imageData.height);
+
+    for (let i = 0; i < gray.length; i++) {
+        const idx = i * 4;
+        gray[i] = 0.299 * data[idx] +
+                  0.587 * data[idx + 1] +
+                  0.114 * data[idx + 2];
+    }
+
+    return gray;
+}
+
+/**
+ * Separate an RGB image into C, M, Y, K ink coverage
+ * Black generation (GCR) replaces that fraction of the gray component common
+ * to C, M and Y with black ink; under color removal (UCR) then takes that
+ * fraction of the black back out of C, M and Y
+ * @param {ImageData} imageData - Source image
+ * @param {number} gcr - Gray component replacement (0-1)
+ * @param {number} ucr - Under color removal (0-1)
+ * @returns {Array<Float32Array>} Channels [C, M, Y, K] as lightness (255 = no ink, 0 = full ink)
+ */
+function separateCMYK(imageData, gcr, ucr) {
+    const data = imageData.data;
+    const pixelCount = imageData.width * imageData.height;
+    const channels = [0, 1, 2, 3].map(() => new Float32Array(pixelCount));
+
+    for (let i = 0; i < pixelCount; i++) {
+        const idx = i * 4;
+        const c = 1 - data[idx] / 255;
+        const m = 1 - data[idx + 1] / 255;
+        const y = 1 - data[idx + 2] / 255;
+
+        // Black generation from the gray component
+        const k = gcr * Math.min(c, m, y);
+        const removal = ucr * k;
+
+        // Store as lightness so every halftone method treats ink as dark
+        channels[0][i] = 255 * (1 - Math.max(0, c - removal));
+        channels[1][i] = 255 * (1 - Math.max(0, m - removal));
+        channels[2][i] = 255 * (1 - Math.max(0, y - removal));
+        channels[3][i] = 255 * (1 - k);
+    }
+
+    return channels;
+}
+
+/**
+ * Halftone each CMYK channel with its own pattern and screen angle
+ * Channel angles add to the pattern transform's angle
+ * @param {ImageData} imageData - Source image
+ * @param {Array<{patternData: ImageData|Object, angle: number}>} channels - Screens for C, M, Y, K
+ * @param {string} method - Halftoning method
+ * @param {Object} options
+ * @param {number} options.gcr - Gray component replacement (0-1)
+ * @param {number} options.ucr - Under color removal (0-1)
+ * @param {Float32Array|null} options.toneLUT - Tone curve applied to each channel's lightness (see tone-curve.js)
+ * @param {number} options.contrast - Contrast adjustment per plate
+ * @param {number} options.brightness - Brightness adjustment per plate
+ * @param {Object} options.transform - Pattern transform shared by all channels
+ * @param {Object} options.diffusion - Error diffusion options
+ * @param {Object} options.riemersma - Curve dithering options
+ * @param {Object} options.curveWidth - Variable-width curve options
+ * @param {Object} options.adaptiveCurve - Adaptive curve options
+ * @param {Function} onProgress - Progress callback (0-1) over all four plates
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Promise<{composite: ImageData, separations: Array<{name: string, imageData: ImageData}>}>}
+ */
+async function applyCMYKHalftone(imageData, channels, method, { gcr, ucr, toneLUT, contrast, brightness, transform, ...methodOptions }, onProgress, cancelToken) {
+    const width = imageData.width;
+    const height = imageData.height;
+    let lightness = separateCMYK(imageData, gcr, ucr);
+
+    if (toneLUT) {
+        lightness = lightness.map(channel => applyToneLUT(channel, toneLUT));
+    }
+    const plates = [];
+
+    for (let i = 0; i < CMYK_CHANNELS.length; i++) {
+        const { patternData, angle } = channels[i];
+        const channelTransform = { ...transform, angle: transform.angle + angle };
+        const onPlateProgress = (progress) => onProgress((i + progress) / CMYK_CHANNELS.length);
+
+        let plate = await applyHalftone(lightness[i], width, height, patternData, method, { ...methodOptions, transform: channelTransform }, onPlateProgress, cancelToken);
+
+        if (contrast !== 0 || brightness !== 0) {
+            plate = applyContrastBrightness(plate, contrast, brightness);
+        }
+
+        plates.push(plate);
+    }
+
+    // Composite preview: each plate absorbs its complementary RGB primary,
+    // black absorbs all three
+    const composite = createImageData(width, height);
+    const [cPlate, mPlate, yPlate, kPlate] = plates;
+
+    for (let i = 0; i < kPlate.length; i++) {
+        const idx = i * 4;
+        const k = kPlate[i] / 255;
+        composite.data[idx] = cPlate[i] * k;
+        composite.data[idx + 1] = mPlate[i] * k;
+        composite.data[idx + 2] = yPlate[i] * k;
+        composite.data[idx + 3] = 255;
+    }
+
+    const separations = plates.map((plate, i) => ({
+        name: CMYK_CHANNELS[i],
+        imageData: plateToImageData(plate, width, height)
+    }));
+
+    return { composite, separations };
+}
+
+/**
+ * Apply contrast and brightness adjustments
+ * @param {Uint8ClampedArray} plate - Plate values to adjust (modified in place)
+ * @param {number} contrast - Contrast adjustment (-100 to 100)
+ * @param {number} brightness - Brightness adjustment (-100 to 100)
+ * @returns {Uint8ClampedArray} Adjusted plate
+ */
+function applyContrastBrightness(plate, contrast, brightness) {
+    // Convert -100 to 100 range to multiplier
+    const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+    const brightnessFactor = brightness * 2.55; // Convert to 0-255 range
+
+    for (let i = 0; i < plate.length; i++) {
+        // Apply contrast (centered at 128)
+        let r = plate[i];
+        r = contrastFactor * (r - 128) + 128;
+
+        // Apply brightness
+        r += brightnessFactor;
+
+        // Clamp to 0-255
+        plate[i] = Math.max(0, Math.min(255, r));
+    }
+
+    return plate;
+}
+
+/**
+ * Expand single-channel plate values to grayscale RGBA
+ * @param {Uint8ClampedArray} plate - Plate values
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {ImageData}
+ */
+function plateToImageData(plate, width, height) {
+    const result = createImageData(width, height);
+
+    for (let i = 0; i < plate.length; i++) {
+        const pixelIndex = i * 4;
+        result.data[pixelIndex] = plate[i];
+        result.data[pixelIndex + 1] = plate[i];
+        result.data[pixelIndex + 2] = plate[i];
+        result.data[pixelIndex + 3] = 255;
+    }
+
+    return result;
+}
+
+/**
+ * Apply halftone effect with pattern tiling
+ * @param {Float64Array|Float32Array} gray - Source lightness (0-255) per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {ImageData|Object} patternData - Halftone pattern, 8-bit or float (will be tiled if smaller)
+ * @param {string} method - Halftoning method ('threshold', 'blend', 'ordered', 'riemersma', 'curve-width', 'adaptive-curve' or an error diffusion kernel name)
+ * @param {Object} options
+ * @param {Object} options.transform - Pattern placement (pattern methods only)
+ * @param {number} options.transform.angle - Screen angle in degrees
+ * @param {number} options.transform.scale - Pattern scale relative to the image
+ * @param {number} options.transform.offsetX - Pattern origin x in image pixels
+ * @param {number} options.transform.offsetY - Pattern origin y in image pixels
+ * @param {Object} options.diffusion - Error diffusion options
+ * @param {boolean} options.diffusion.usePattern - Threshold against the pattern instead of 128
+ * @param {number} options.diffusion.strength - Fraction of the kernel's error passed on (0-1)
+ * @param {boolean} options.diffusion.serpentine - Alternate row direction
+ * @param {Object} options.riemersma - Curve dithering options {curve, historyLength, decay}
+ * @param {Object} options.curveWidth - Variable-width curve options {pattern, params, minWidth, maxWidth}
+ * @param {Object} options.adaptiveCurve - Adaptive curve options {curve, minIterations, maxIterations, lineWidth, detail}
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Promise<Uint8ClampedArray>} Halftoned plate (0 = black)
+ */
+async function applyHalftone(gray, width, height, patternData, method, { transform, diffusion, riemersma, curveWidth, adaptiveCurve }, onProgress, cancelToken) {
+    if (method === 'riemersma') {
+        return applyRiemersmaDithering(gray, width, height, riemersma, onProgress, cancelToken);
+    } else if (method === 'curve-width') {
+        return applyCurveWidth(gray, width, height, curveWidth, onProgress, cancelToken);
+    } else if (method === 'adaptive-curve') {
+        return applyAdaptiveCurve(gray, width, height, adaptiveCurve, onProgress, cancelToken);
+    } else if (DIFFUSION_KERNELS[method]) {
+        return applyErrorDiffusion(gray, width, height, patternData, DIFFUSION_KERNELS[method], transform, diffusion, onProgress, cancelToken);
+    } else if (method === 'ordered') {
+        return applyOrderedDithering(gray, width, height, onProgress, cancelToken);
+    } else {
+        return applyThresholdOrBlend(gray, width, height, patternData, method, transform, onProgress, cancelToken);
+    }
+}
+
+/**
+ * Create a tiled, bilinear pattern lookup in image coordinates
+ * The transform is applied at lookup time: image pixels are mapped back into
+ * pattern space (minus offset, rotated by -angle, divided by scale), so one
+ * generated tile can be laid at any angle and size without regenerating it.
+ * The identity transform samples exact pattern pixels (x % patWidth, y % patHeight).
+ * Generated patterns arrive as float gray levels, so thresholds keep their
+ * full precision; uploaded patterns are 8-bit ImageData (red channel)
+ * @param {ImageData|import('../patterns/rasterizer.js').FloatPattern} patternData - Pattern tile
+ * @param {Object} transform - Pattern placement {angle, scale, offsetX, offsetY}
+ * @returns {Function} (x, y) => pattern value (0-255, fractional for float patterns)
+ */
+function createPatternSampler(patternData, transform) {
+    const patWidth = patternData.width;
+    const patHeight = patternData.height;
+    const data = patternData.data;
+    const isFloat = data instanceof Float32Array;
+    const stride = isFloat ? 1 : 4;
+    const unit = isFloat ? 255 : 1;
+
+    const rad = (transform.angle * Math.PI) / 180;
+    const cos = Math.cos(rad) / transform.scale;
+    const sin = Math.sin(rad) / transform.scale;
+
+    return (x, y) => {
+        const dx = x - transform.offsetX;
+        const dy = y - transform.offsetY;
+        const u = dx * cos + dy * sin;
+        const v = dy * cos - dx * sin;
+
+        // Wrap the four neighbouring texels into the tile
+        const u0 = Math.floor(u);
+        const v0 = Math.floor(v);
+        const fx = u - u0;
+        const fy = v - v0;
+        const x0 = ((u0 % patWidth) + patWidth) % patWidth;
+        const y0 = ((v0 % patHeight) + patHeight) % patHeight;
+        const x1 = x0 + 1 === patWidth ? 0 : x0 + 1;
+        const y1 = y0 + 1 === patHeight ? 0 : y0 + 1;
+
+        const p00 = data[(y0 * patWidth + x0) * stride];
+        const p10 = data[(y0 * patWidth + x1) * stride];
+        const p01 = data[(y1 * patWidth + x0) * stride];
+        const p11 = data[(y1 * patWidth + x1) * stride];
+
+        const top = p00 * (1 - fx) + p10 * fx;
+        const bottom = p01 * (1 - fx) + p11 * fx;
+        return (top * (1 - fy) + bottom * fy) * unit;
+    };
+}
+
+/**
+ * Apply threshold or blend halftoning with pattern tiling
+ */
+async function applyThresholdOrBlend(gray, width, height, patternData, method, transform, onProgress, cancelToken) {
+    const samplePattern = createPatternSampler(patternData, transform);
+
+    const result = new Uint8ClampedArray(width * height);
+
+    for (let y = 0; y < height; y++) {
+        // Check for cancellation
+        if (cancelToken.cancelled) {
+            throw new Error('Halftone cancelled');
+        }
+
+        for (let x = 0; x < width; x++) {
+            const pixelIndex = y * width + x;
+            const value = gray[pixelIndex];
+
+            // Get pattern value with tiling
+            const patternValue = samplePattern(x, y);
+
+            // Apply halftoning method
+            let output;
+            if (method === 'threshold') {
+                // Threshold: source < pattern => black, else white
+                output = value < patternValue ? 0 : 255;
+            } else if (method === 'blend') {
+                // Multiplicative blend
+                output = Math.floor((value * patternValue) / 255);
+            } else {
+                output = value;
+            }
+
+            // Write result
+            result[pixelIndex] = output;
+        }
+
+        // Send progress updates
+        reportRowProgress(y, width, height, onProgress);
+    }
+
+    return result;
+}
+
+/**
+ * Error diffusion dithering
+ * The threshold is either the fixed 128 of traditional dithering or the
+ * pattern itself (sampled through the pattern transform), so the pattern's
+ * structure shows through the diffused error
+ * @param {Float64Array|Float32Array} gray - Source lightness (0-255) per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {ImageData|Object} patternData - Halftone pattern, 8-bit or float
+ * @param {{divisor: number, taps: Array<Array<number>>}} kernel - Diffusion kernel
+ * @param {Object} transform - Pattern placement
+ * @param {Object} diffusion - Error diffusion options {usePattern, strength, serpentine}
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Promise<Uint8ClampedArray>} Dithered plate
+ */
+async function applyErrorDiffusion(gray, width, height, patternData, kernel, transform, diffusion, onProgress, cancelToken) {
+    // Create a working copy of grayscale values (with error accumulation)
+    const grayValues = Float32Array.from(gray);
+
+    const result = new Uint8ClampedArray(width * height);
+    const samplePattern = diffusion.usePattern ? createPatternSampler(patternData, transform) : null;
+    const threshold = 128; // Fixed threshold for traditional dithering
+    const { divisor, taps } = kernel;
+    const strength = diffusion.strength;
+
+    for (let y = 0; y < height; y++) {
+        // Check for cancellation
+        if (cancelToken.cancelled) {
+            throw new Error('Halftone cancelled');
+        }
+
+        // Serpentine scanning runs odd rows right to left with a mirrored kernel
+        const reverse = diffusion.serpentine && y % 2 === 1;
+        const direction = reverse ? -1 : 1;
+
+        for (let i = 0; i < width; i++) {
+            const x = reverse ? width - 1 - i : i;
+            const idx = y * width + x;
+            const oldPixel = grayValues[idx];
+
+            // Quantize to black or white against the pattern or fixed threshold
+            const pixelThreshold = samplePattern ? samplePattern(x, y) : threshold;
+            const newPixel = oldPixel < pixelThreshold ? 0 : 255;
+
+            // Calculate error
+            const error = oldPixel - newPixel;
+
+            // Distribute error to neighboring pixels
+            for (let t = 0; t < taps.length; t++) {
+                const [dx, dy, weight] = taps[t];
+                const nx = x + dx * direction;
+                const ny = y + dy;
+
+                if (nx >= 0 && nx < width && ny < height) {
+                    grayValues[ny * width + nx] += error * strength * weight / divisor;
+                }
+            }
+
+            // Write result
+            result[idx] = newPixel;
+        }
+
+        // Send progress updates
+        reportRowProgress(y, width, height, onProgress);
+    }
+
+    return result;
+}
+
+/**
+ * Build a pixel visiting order along a space-filling curve
+ * Uses the pattern point generators on a grid at least as large as the image;
+ * points outside the image are skipped, so every pixel is visited once
+ * @param {'hilbert'|'peano'|'gosper'} curve - Curve type
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Int32Array} Pixel indices in visiting order
+ */
+function buildCurveTraversal(curve, width, height) {
+    const order = new Int32Array(width * height);
+    const visited = new Uint8Array(width * height);
+    let count = 0;
+
+    const visit = (x, y) => {
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (px < 0 || py < 0 || px >= width || py >= height) return;
+
+        const idx = py * width + px;
+        if (!visited[idx]) {
+            visited[idx] = 1;
+            order[count++] = idx;
+        }
+    };
+
+    // Stream points straight into the order instead of collecting millions of them
+    const sink = { push: ({ x, y }) => visit(x, y) };
+    const extent = Math.max(width, height, 2);
+
+    if (curve === 'peano') {
+        // 3^n cells of one pixel each
+        const iterations = Math.ceil(Math.log(extent) / Math.log(3) - 1e-9);
+        generatePeanoPoints(iterations, Math.pow(3, iterations), sink);
+    } else if (curve === 'gosper') {
+        // The Gosper island is not square: grow it past the image and
+        // step along each segment in sub-pixel increments
+        const size = extent * 1.25;
+        const iterations = Math.min(
+            MAX_GOSPER_ITERATIONS,
+            Math.ceil(Math.log(size * size) / Math.log(7))
+        );
+        const points = generateGosperPoints(iterations, size);
+        const offsetX = (size - width) / 2;
+        const offsetY = (size - height) / 2;
+
+        for (let i = 1; i < points.length; i++) {
+            const x0 = points[i - 1].x - offsetX;
+            const y0 = points[i - 1].y - offsetY;
+            const dx = points[i].x - offsetX - x0;
+            const dy = points[i].y - offsetY - y0;
+            const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) * 2));
+
+            for (let s = 0; s < steps; s++) {
+                visit(x0 + (dx * s) / steps, y0 + (dy * s) / steps);
+            }
+        }
+
+        // Pixels the curve did not pass over, in scan order
+        for (let idx = 0; idx < visited.length; idx++) {
+            if (!visited[idx]) {
+                order[count++] = idx;
+            }
+        }
+    } else {
+        // 2^n cells of one pixel each
+        const iterations = Math.ceil(Math.log2(extent) - 1e-9);
+        generateHilbertPoints(iterations, Math.pow(2, iterations), sink);
+    }
+
+    return order;
+}
+
+/**
+ * Riemersma dithering
+ * Walks the image along a space-filling curve and diffuses quantization error
+ * forward along the curve through a history of the last errors, weighted so
+ * that older errors fade out (the newest weighs `decay` times the oldest)
+ * Uses fixed threshold (128) - ignores pattern
+ * @param {Float64Array|Float32Array} gray - Source lightness (0-255) per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - {curve, historyLength, decay}
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Promise<Uint8ClampedArray>} Dithered plate
+ */
+async function applyRiemersmaDithering(gray, width, height, { curve, historyLength, decay }, onProgress, cancelToken) {
+    const order = buildCurveTraversal(curve, width, height);
+    const result = new Uint8ClampedArray(width * height);
+    const threshold = 128;
+
+    // Exponentially growing weights, oldest first, normalized to sum to 1
+    const weights = new Float64Array(historyLength);
+    let weightSum = 0;
+    for (let i = 0; i < historyLength; i++) {
+        weights[i] = Math.pow(decay, historyLength > 1 ? i / (historyLength - 1) : 1);
+        weightSum += weights[i];
+    }
+    for (let i = 0; i < historyLength; i++) {
+        weights[i] /= weightSum;
+    }
+
+    // Ring buffer of past errors; head is the oldest entry
+    const history = new Float64Array(historyLength);
+    let head = 0;
+
+    for (let n = 0; n < order.length; n++) {
+        // Check for cancellation periodically
+        if (n % PROGRESS_CHUNK === 0) {
+            if (cancelToken.cancelled) {
+                throw new Error('Halftone cancelled');
+            }
+            onProgress(n / order.length);
+        }
+
+        const idx = order[n];
+
+        let error = 0;
+        for (let i = 0; i < historyLength; i++) {
+            error += history[(head + i) % historyLength] * weights[i];
+        }
+
+        const value = gray[idx] + error;
+        const output = value < threshold ? 0 : 255;
+
+        // Replace the oldest error with this pixel's
+        history[head] = value - output;
+        head = (head + 1) % historyLength;
+
+        result[idx] = output;
+    }
+
+    return result;
+}
+
+/**
+ * Variable-width curve halftone
+ * Draws the selected curve pattern as one continuous stroke whose width
+ * follows the image (dark = thick)
+ * Ignores the pattern image; the curve is rebuilt from its parameters
+ * @param {Float64Array|Float32Array} gray - Source lightness (0-255) per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - {pattern, params, minWidth, maxWidth}
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Promise<Uint8ClampedArray>} Rendered plate
+ */
+async function applyCurveWidth(gray, width, height, { pattern, params, minWidth, maxWidth }, onProgress, cancelToken) {
+    const descriptor = getPattern(pattern);
+
+    if (!descriptor || !descriptor.sdf) {
+        throw new Error(`Unknown pattern type: ${pattern}`);
+    }
+
+    const darkness = createDarknessLookup(gray, width, height);
+    const curve = createModulatedCurve(descriptor.sdf, params, width, height, darkness, { minWidth, maxWidth });
+
+    return renderStrokeCurve(curve, onProgress, cancelToken);
+}
+
+/**
+ * Adaptive curve halftone
+ * Hilbert or Peano curve subdivided only where the image is dark or
+ * detailed, drawn with a constant line width
+ * Ignores the pattern image
+ * @param {Float64Array|Float32Array} gray - Source lightness (0-255) per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - {curve, minIterations, maxIterations, lineWidth, detail}
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Promise<Uint8ClampedArray>} Rendered plate
+ */
+async function applyAdaptiveCurve(gray, width, height, options, onProgress, cancelToken) {
+    const curve = createAdaptiveCurve(createDarknessLookup(gray, width, height), width, height, options);
+    return renderStrokeCurve(curve, onProgress, cancelToken);
+}
+
+/**
+ * Darkness lookup over a lightness plate
+ * @param {Float64Array|Float32Array} gray - Lightness (0-255) per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Function} (x, y) => 0 (white) .. 1 (black), clamped to the image
+ */
+function createDarknessLookup(gray, width, height) {
+    return (x, y) => {
+        const px = Math.max(0, Math.min(width - 1, Math.floor(x)));
+        const py = Math.max(0, Math.min(height - 1, Math.floor(y)));
+        return 1 - gray[py * width + px] / 255;
+    };
+}
+
+/**
+ * Render a stroke curve from its signed distance with one pixel of anti-aliasing
+ * @param {Object} curve - Stroke curve (see modulated-curve.js)
+ * @param {Function} onProgress - Progress callback (0-1)
+ * @param {Object} cancelToken - Cancellation token {cancelled: boolean}
+ * @returns {Uint8ClampedArray} Rendered plate
+ */
+function renderStrokeCurve(curve, onProgress, cancelToken) {
+    const { width, height } = curve;
+    const sdf = prepareModulatedCurve(curve);
+    const result = new Uint8ClampedArray(width * height);
+
+    for (let y = 0; y < height; y++) {
+        // Check for cancellation
+        if (cancelToken.cancelled) {
+            throw new Error('Halftone cancelled');
+        }
+
+        for (let x = 0; x < width; x++) {
+            // Coverage of the pixel by the stroke, exact beyond half a pixel
+            const distance = sdf(x, y, 0.5);
+            const coverage = Math.max(0, Math.min(1, 0.5 - distance));
+            result[y * width + x] = Math.round(255 * (1 - coverage));
+        }
+
+        reportRowProgress(y, width, height, onProgress);
+    }
+
+    return result;
+}
+
+/**
+ * Ordered dithering using Bayer matrix
+ * Uses traditional Bayer threshold - ignores pattern
+ */
+async function applyOrderedDithering(gray, width, height, onProgress, cancelToken) {
+    // 8x8 Bayer matrix (normalized to 0-63)
+    const bayerMatrix = [
+        [0,  48, 12, 60, 3,  51, 15, 63],
+        [32, 16, 44, 28, 35, 19, 47, 31],
+        [8,  56, 4,  52, 11, 59, 7,  55],
+        [40, 24, 36, 20, 43, 27, 39, 23],
+        [2,  50, 14, 62, 1,  49, 13, 61],
+        [34, 18, 46, 30, 33, 17, 45, 29],
+        [10, 58, 6,  54, 9,  57, 5,  53],
+        [42, 26, 38, 22, 41, 25, 37, 21]
+    ];
+
+    const result = new Uint8ClampedArray(width * height);
+
+    for (let y = 0; y < height; y++) {
+        // Check for cancellation
+        if (cancelToken.cancelled) {
+            throw new Error('Halftone cancelled');
+        }
+
+        for (let x = 0; x < width; x++) {
+            const pixelIndex = y * width + x;
+
+            // Get Bayer threshold (0-255 range)
+            const bayerThreshold = (bayerMatrix[y % 8][x % 8] / 64) * 255;
+
+            // Apply threshold
+            result[pixelIndex] = gray[pixelIndex] < bayerThreshold ? 0 : 255;
+        }
+
+        // Send progress updates
+        reportRowProgress(y, width, height, onProgress);
+    }
+
+    return result;
+}
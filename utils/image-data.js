@@ -0,0 +1,20 @@
+/**
+ * Image Data
+ * RGBA pixel buffers that work both in the browser and in Node
+ */
+
+/**
+ * Allocate a blank RGBA image
+ * Browsers and workers get a real ImageData, drawable with putImageData();
+ * elsewhere (the Node CLI) a plain object of the same shape
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {ImageData} Transparent black pixels
+ */
+export function createImageData(width, height) {
+    if (typeof ImageData !== 'undefined') {
+        return new ImageData(width, height);
+    }
+
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
@@ -0,0 +1,277 @@
+/**
+ * Pattern Worker Pool
+ * Renders a pattern in parallel row bands across several pattern workers
+ */
+
+import { getDefaultParams } from '../patterns/registry.js';
+import { createFloatPattern } from '../patterns/rasterizer.js';
+
+/**
+ * Minimum rows per band; smaller bands cost more in per-band setup
+ * (curve point generation, segment grid) than they gain in balance
+ */
+const MIN_BAND_ROWS = 16;
+
+/**
+ * Bands per worker; more bands than workers keeps every worker busy when
+ * some rows are much cheaper than others (e.g. margins around a curve)
+ */
+const BANDS_PER_WORKER = 4;
+
+/**
+ * Get default pool size from the browser's reported core count
+ * @returns {number}
+ */
+export function getDefaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    return Math.max(1, Math.min(16, cores));
+}
+
+/**
+ * Split canvas height into row bands
+ * @param {number} height - Canvas height in pixels
+ * @param {number} count - Desired number of bands
+ * @returns {Array<{y: number, height: number}>}
+ */
+export function splitIntoBands(height, count) {
+    const bandCount = Math.max(1, Math.min(count, Math.floor(height / MIN_BAND_ROWS)));
+    const bands = [];
+
+    for (let i = 0; i < bandCount; i++) {
+        const y0 = Math.round((i * height) / bandCount);
+        const y1 = Math.round(((i + 1) * height) / bandCount);
+        bands.push({ y: y0, height: y1 - y0 });
+    }
+
+    return bands;
+}
+
+/**
+ * Replace unset seeds with random ones, including in composite children
+ * @param {Object} params - Pattern parameters
+ * @returns {Object} Parameters with every seed set (copied only where changed)
+ */
+export function resolveSeeds(params) {
+    let resolved = params;
+
+    if ('seed' in params && params.seed === undefined) {
+        resolved = { ...resolved, seed: Math.floor(Math.random() * 0x100000000) };
+    }
+
+    if (Array.isArray(params.children)) {
+        resolved = {
+            ...resolved,
+            children: params.children.map(child => ({
+                ...child,
+                params: resolveSeeds({ ...getDefaultParams(child.pattern), ...child.params })
+            }))
+        };
+    }
+
+    return resolved;
+}
+
+export class PatternWorkerPool {
+    /**
+     * @param {number} [size] - Number of workers (defaults to hardwareConcurrency)
+     */
+    constructor(size = getDefaultPoolSize()) {
+        this.size = size;
+        this.workers = [];
+        this.job = null;
+    }
+
+    /**
+     * Create workers on first use (and again after cancellation)
+     */
+    ensureWorkers() {
+        while (this.workers.length < this.size) {
+            this.workers.push(new Worker('./workers/pattern-worker.js', { type: 'module' }));
+        }
+    }
+
+    /**
+     * Render a pattern across the pool
+     * @param {string} pattern - Pattern type
+     * @param {Object} params - Pattern parameters
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Combined progress callback (0-1)
+     * @returns {Promise<import('../patterns/rasterizer.js').FloatPattern>} Full-size pattern as float gray levels
+     */
+    render(pattern, params, width, height, options = {}) {
+        if (this.job) {
+            return Promise.reject(new Error('Generation already in progress'));
+        }
+
+        const { onProgress } = options;
+
+        // Every band must draw from the same random sequence, so an unseeded
+        // pattern gets one seed for the whole canvas instead of one per worker
+        params = resolveSeeds(params);
+
+        this.ensureWorkers();
+
+        const bands = splitIntoBands(height, this.size * BANDS_PER_WORKER);
+        const bandProgress = new Float32Array(bands.length);
+        const result = createFloatPattern(width, height);
+
+        return new Promise((resolve, reject) => {
+            const job = { reject, cancelled: false };
+            this.job = job;
+
+            let nextBand = 0;
+            let completed = 0;
+
+            const finish = (error) => {
+                this.workers.forEach(worker => {
+                    worker.onmessage = null;
+                    worker.onerror = null;
+                });
+                this.job = null;
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            const reportProgress = () => {
+                if (!onProgress) return;
+
+                let rows = 0;
+                for (let i = 0; i < bands.length; i++) {
+                    rows += bandProgress[i] * bands[i].height;
+                }
+                onProgress(rows / height);
+            };
+
+            const dispatch = (worker) => {
+                if (job.cancelled || nextBand >= bands.length) {
+                    return;
+                }
+
+                const bandIndex = nextBand++;
+                const band = bands[bandIndex];
+
+                worker.onmessage = (e) => {
+                    const { type, progress, levels, message } = e.data;
+
+                    if (type === 'progress') {
+                        bandProgress[bandIndex] = progress;
+                        reportProgress();
+                    } else if (type === 'complete') {
+                        result.data.set(levels.data, band.y * width);
+                        bandProgress[bandIndex] = 1;
+                        reportProgress();
+
+                        completed++;
+                        if (completed === bands.length) {
+                            finish();
+                        } else {
+                            dispatch(worker);
+                        }
+                    } else if (type === 'error') {
+                        this.cancelWorkers(job);
+                        finish(new Error(message));
+                    }
+                };
+
+                worker.onerror = (error) => {
+                    this.cancelWorkers(job);
+                    finish(new Error('Worker error: ' + error.message));
+                };
+
+                worker.postMessage({
+                    type: 'render',
+                    pattern,
+                    params,
+                    width,
+                    height,
+                    band
+                });
+            };
+
+            this.workers.forEach(dispatch);
+        });
+    }
+
+    /**
+     * Equalize a rendered pattern's histogram on one pool worker
+     * (see linearize.js); the whole pattern is needed, so this is not banded
+     * @param {import('../patterns/rasterizer.js').FloatPattern} levels - Pattern (transferred to the worker)
+     * @returns {Promise<import('../patterns/rasterizer.js').FloatPattern>} Linearized pattern
+     */
+    linearize(levels) {
+        if (this.job) {
+            return Promise.reject(new Error('Generation already in progress'));
+        }
+
+        this.ensureWorkers();
+        const worker = this.workers[0];
+
+        return new Promise((resolve, reject) => {
+            const job = { reject, cancelled: false };
+            this.job = job;
+
+            const finish = () => {
+                worker.onmessage = null;
+                worker.onerror = null;
+                this.job = null;
+            };
+
+            worker.onmessage = (e) => {
+                const { type, levels: result, message } = e.data;
+
+                if (type === 'complete') {
+                    finish();
+                    resolve(result);
+                } else if (type === 'error') {
+                    finish();
+                    reject(new Error(message));
+                }
+            };
+
+            worker.onerror = (error) => {
+                this.cancelWorkers(job);
+                finish();
+                reject(new Error('Worker error: ' + error.message));
+            };
+
+            worker.postMessage({ type: 'linearize', levels }, [levels.data.buffer]);
+        });
+    }
+
+    /**
+     * Cancel all bands of the current render at once
+     */
+    cancel() {
+        const job = this.job;
+        if (!job) return;
+
+        this.cancelWorkers(job);
+        this.job = null;
+        job.reject(new Error('Generation cancelled'));
+    }
+
+    /**
+     * Stop every worker of a job immediately
+     * Generators run synchronously inside the worker, so a 'cancel' message
+     * would only be seen after the band finished; terminating is immediate
+     * @param {Object} job - Job being cancelled
+     */
+    cancelWorkers(job) {
+        job.cancelled = true;
+        this.terminate();
+    }
+
+    /**
+     * Terminate all workers (they are recreated on the next render)
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+    }
+}
@@ -3,29 +3,62 @@
  * Handles PDF generation with embedded pattern images and metadata
  */
 
+import { getPattern, getPatternName } from '../patterns/registry.js';
+import { SizeCalculator } from './size-calculator.js';
+import { groupPolylinesByWidth } from './svg-export.js';
+import { createRecipe, parseRecipe } from './recipe.js';
+
+/**
+ * XMP namespace of the embedded recipe; PDF.js reports it as 'jspdf:metadata'
+ */
+const RECIPE_NAMESPACE = 'https://github.com/quinkennedy/halftonish/recipe/';
+
 /**
  * Export canvas as PDF
+ * With a geometry the pattern is drawn as vector paths instead of an
+ * embedded PNG: crisp at any print resolution and far smaller for
+ * high-iteration curves
  * @param {HTMLCanvasElement} canvas - Canvas containing the pattern
  * @param {Object} metadata - Pattern metadata
  * @param {string} metadata.patternType - Pattern type (e.g., "Hilbert Curve")
- * @param {number} metadata.iterations - Pattern iterations
- * @param {number} metadata.lineWidth - Pattern line width
+ * @param {Array<{label: string, value: *}>} metadata.parameters - Pattern parameters for display
+ * @param {import('./recipe.js').Recipe} [metadata.recipe] - Regeneration recipe, stored as XMP metadata
  * @param {number} metadata.widthPx - Width in pixels
  * @param {number} metadata.heightPx - Height in pixels
  * @param {number} [metadata.dpi] - DPI (if physical mode)
  * @param {number} [metadata.physicalWidth] - Physical width
  * @param {number} [metadata.physicalHeight] - Physical height
  * @param {string} [metadata.unit] - Physical unit (in/mm)
+ * @param {string} [metadata.creator] - Creating application (defaults to the web app)
  * @param {string} filename - Output filename
+ * @param {import('../patterns/base.js').VectorGeometry} [geometry] - Vector geometry in pixels (vector mode)
  */
-export async function exportPatternToPDF(canvas, metadata, filename) {
+export async function exportPatternToPDF(canvas, metadata, filename, geometry = null) {
     // Check if jsPDF is available
     if (typeof window.jspdf === 'undefined') {
         throw new Error('jsPDF library not loaded');
     }
 
-    const { jsPDF } = window.jspdf;
+    // Convert canvas to data URL (high quality PNG)
+    const image = geometry ? null : canvas.toDataURL('image/png', 1.0);
+    const pdf = buildPatternPDF(window.jspdf.jsPDF, metadata, { image, geometry });
 
+    // Save PDF
+    pdf.save(filename);
+}
+
+/**
+ * Lay out a pattern PDF: the pattern page followed by a metadata page
+ * Takes the jsPDF constructor so the browser (CDN script) and the Node CLI
+ * (npm package) share the layout
+ * @param {Function} jsPDF - jsPDF constructor
+ * @param {Object} metadata - Pattern metadata (see exportPatternToPDF)
+ * @param {Object} content - What to draw on the pattern page
+ * @param {string|Uint8Array} [content.image] - PNG as a data URL or file bytes (raster mode)
+ * @param {import('../patterns/base.js').VectorGeometry} [content.geometry] - Vector geometry in pixels (vector mode)
+ * @returns {Object} jsPDF document
+ */
+export function buildPatternPDF(jsPDF, metadata, { image = null, geometry = null }) {
     // Calculate page size in mm (jsPDF uses mm)
     let widthMM, heightMM;
 
@@ -35,15 +68,14 @@ export async function exportPatternToPDF(canvas, metadata, filename) {
             widthMM = metadata.physicalWidth;
             heightMM = metadata.physicalHeight;
         } else {
-            // Convert inches to mm (1 inch = 25.4mm)
-            widthMM = metadata.physicalWidth * 25.4;
-            heightMM = metadata.physicalHeight * 25.4;
+            widthMM = SizeCalculator.inchesToMm(metadata.physicalWidth);
+            heightMM = SizeCalculator.inchesToMm(metadata.physicalHeight);
         }
     } else {
         // Calculate from pixels assuming 72 DPI as default
-        const dpi = metadata.dpi || 72;
-        widthMM = (metadata.widthPx / dpi) * 25.4;
-        heightMM = (metadata.heightPx / dpi) * 25.4;
+        const dpi = metadata.dpi || SizeCalculator.DEFAULT_DPI;
+        widthMM = SizeCalculator.pixelsToPhysical(metadata.widthPx, dpi, 'mm');
+        heightMM = SizeCalculator.pixelsToPhysical(metadata.heightPx, dpi, 'mm');
     }
 
     // Create PDF with custom page size
@@ -51,14 +83,19 @@ export async function exportPatternToPDF(canvas, metadata, filename) {
     const pdf = new jsPDF({
         orientation,
         unit: 'mm',
-        format: [widthMM, heightMM]
+        format: [widthMM, heightMM],
+        // Deflate content streams; vector curves are long runs of path operators
+        compress: true
     });
 
-    // Convert canvas to data URL (high quality PNG)
-    const imgData = canvas.toDataURL('image/png', 1.0);
-
-    // Add image to PDF (full page)
-    pdf.addImage(imgData, 'PNG', 0, 0, widthMM, heightMM, undefined, 'FAST');
+    if (geometry) {
+        // One pixel is 1/dpi inch, so vectors keep their physical size
+        const mmPerPixel = SizeCalculator.pixelsToPhysical(1, metadata.dpi || SizeCalculator.DEFAULT_DPI, 'mm');
+        drawGeometry(pdf, geometry, mmPerPixel, widthMM, heightMM);
+    } else {
+        // Add image to PDF (full page)
+        pdf.addImage(image, 'PNG', 0, 0, widthMM, heightMM, undefined, 'FAST');
+    }
 
     // Set PDF metadata/properties
     pdf.setProperties({
@@ -66,9 +103,14 @@ export async function exportPatternToPDF(canvas, metadata, filename) {
         subject: 'SDF Halftone Pattern',
         author: 'Halftonish',
         keywords: `${metadata.patternType}, halftone, pattern, SDF`,
-        creator: 'Halftonish Web App'
+        creator: metadata.creator || 'Halftonish Web App'
     });
 
+    // The recipe goes in the XMP metadata as JSON; readPatternRecipe() restores it
+    if (metadata.recipe) {
+        pdf.addMetadata(escapeXML(JSON.stringify(metadata.recipe)), RECIPE_NAMESPACE);
+    }
+
     // Add metadata page
     pdf.addPage();
     pdf.setFontSize(14);
@@ -83,13 +125,8 @@ export async function exportPatternToPDF(canvas, metadata, filename) {
     pdf.text(`Pattern Type: ${metadata.patternType}`, 10, y);
     y += lineHeight;
 
-    if (metadata.iterations !== undefined) {
-        pdf.text(`Iterations: ${metadata.iterations}`, 10, y);
-        y += lineHeight;
-    }
-
-    if (metadata.lineWidth !== undefined) {
-        pdf.text(`Line Width: ${metadata.lineWidth}`, 10, y);
+    for (const { label, value } of metadata.parameters || []) {
+        pdf.text(`${label}: ${value}`, 10, y);
         y += lineHeight;
     }
 
@@ -112,8 +149,68 @@ export async function exportPatternToPDF(canvas, metadata, filename) {
 
     pdf.text(`Created with Halftonish`, 10, y);
 
-    // Save PDF
-    pdf.save(filename);
+    return pdf;
+}
+
+/**
+ * Draw pattern geometry with jsPDF path operators
+ * @param {Object} pdf - jsPDF document (unit: mm)
+ * @param {import('../patterns/base.js').VectorGeometry} geometry - Geometry in pixels
+ * @param {number} mmPerPixel - Physical size of one pixel
+ * @param {number} widthMM - Page width
+ * @param {number} heightMM - Page height
+ */
+function drawGeometry(pdf, geometry, mmPerPixel, widthMM, heightMM) {
+    // White background, as in the raster export
+    pdf.setFillColor(255, 255, 255);
+    pdf.rect(0, 0, widthMM, heightMM, 'F');
+
+    // Dots spill past the page edge like they do past the canvas edge
+    pdf.saveGraphicsState();
+    pdf.rect(0, 0, widthMM, heightMM, null);
+    pdf.clip();
+    pdf.discardPath();
+
+    pdf.setFillColor(0, 0, 0);
+    pdf.setDrawColor(0, 0, 0);
+
+    pdf.setLineCap('round');
+    pdf.setLineJoin('round');
+
+    for (const [strokeWidth, polylines] of groupPolylinesByWidth(geometry)) {
+        pdf.setLineWidth(strokeWidth * mmPerPixel);
+
+        for (const polyline of polylines) {
+            polyline.forEach((p, i) => {
+                if (i === 0) {
+                    pdf.moveTo(p.x * mmPerPixel, p.y * mmPerPixel);
+                } else {
+                    pdf.lineTo(p.x * mmPerPixel, p.y * mmPerPixel);
+                }
+            });
+        }
+        pdf.stroke();
+    }
+
+    for (const { x, y, r } of geometry.circles) {
+        pdf.circle(x * mmPerPixel, y * mmPerPixel, r * mmPerPixel, 'F');
+    }
+
+    if (geometry.polygons.length > 0) {
+        for (const polygon of geometry.polygons) {
+            polygon.forEach((p, i) => {
+                if (i === 0) {
+                    pdf.moveTo(p.x * mmPerPixel, p.y * mmPerPixel);
+                } else {
+                    pdf.lineTo(p.x * mmPerPixel, p.y * mmPerPixel);
+                }
+            });
+            pdf.close();
+        }
+        pdf.fill();
+    }
+
+    pdf.restoreGraphicsState();
 }
 
 /**
@@ -123,9 +220,9 @@ export async function exportPatternToPDF(canvas, metadata, filename) {
  */
 export function getMetadataFromState(state) {
     const metadata = {
-        patternType: capitalizePattern(state.currentPattern),
-        iterations: state.parameters.iterations,
-        lineWidth: state.parameters.lineWidth,
+        patternType: getPatternName(state.currentPattern),
+        parameters: describeParameters(state.currentPattern, state.patternParams[state.currentPattern]),
+        recipe: createRecipe(state),
         widthPx: state.sizeConfig.finalWidthPx,
         heightPx: state.sizeConfig.finalHeightPx
     };
@@ -142,18 +239,76 @@ export function getMetadataFromState(state) {
 }
 
 /**
- * Capitalize pattern name for display
- * @param {string} pattern - Pattern name (e.g., "hilbert")
- * @returns {string} Capitalized name (e.g., "Hilbert Curve")
+ * Describe pattern parameters for display using the pattern's schema
+ * Child patterns of a composite are listed as one line each
+ * @param {string} patternId - Pattern id
+ * @param {Object} params - Parameter values
+ * @returns {Array<{label: string, value: *}>} Visible parameters that have a value
  */
-function capitalizePattern(pattern) {
-    const patternNames = {
-        'hilbert': 'Hilbert Curve',
-        'peano': 'Peano Curve',
-        'zorder': 'Z-Order Curve',
-        'morton': 'Morton Curve',
-        'gosper': 'Gosper Curve'
-    };
+function describeParameters(patternId, params = {}) {
+    const descriptor = getPattern(patternId);
+    if (!descriptor) return [];
+
+    const lines = [];
+
+    for (const entry of descriptor.params) {
+        const value = params[entry.key];
+        if (entry.hidden || value === undefined) continue;
+
+        if (entry.type === 'patterns') {
+            value.forEach((child, index) => {
+                const details = [
+                    ...describeParameters(child.pattern, child.params),
+                    ...describeItemParameters(entry.itemParams, child)
+                ].map(({ label, value }) => `${label}: ${value}`);
+
+                lines.push({
+                    label: `${entry.label} ${index + 1}`,
+                    value: `${getPatternName(child.pattern)} (${details.join(', ')})`
+                });
+            });
+            continue;
+        }
 
-    return patternNames[pattern] || pattern.charAt(0).toUpperCase() + pattern.slice(1);
+        const option = entry.options && entry.options.find(o => o.value === value);
+        lines.push({
+            label: entry.label.replace(/\s*\(optional\)$/, ''),
+            value: option ? option.label : value
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Describe the per-item parameters of a pattern list entry (e.g. weight)
+ * @param {Array<import('../patterns/schema.js').ParamSchema>} [itemParams] - Item schema
+ * @param {Object} item - Item values
+ * @returns {Array<{label: string, value: *}>}
+ */
+function describeItemParameters(itemParams = [], item) {
+    return itemParams
+        .filter(entry => item[entry.key] !== undefined)
+        .map(entry => ({ label: entry.label, value: item[entry.key] }));
+}
+
+/**
+ * Read the pattern recipe from a PDF loaded with PDF.js
+ * PDFs from before XMP recipes kept {pattern, params} in the subject
+ * @param {Object} pdf - PDF.js document
+ * @returns {Promise<ReturnType<typeof parseRecipe>>}
+ */
+export async function readPatternRecipe(pdf) {
+    const { info, metadata } = await pdf.getMetadata();
+    const xmp = metadata && metadata.get('jspdf:metadata');
+    return parseRecipe(xmp) || parseRecipe(info && info.Subject);
+}
+
+/**
+ * Escape XML markup characters (jsPDF writes XMP values as given)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
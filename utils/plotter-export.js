@@ -0,0 +1,356 @@
+/**
+ * Plotter Export Utility
+ * Turns curve pattern polylines into pen plotter programs (G-code and HPGL),
+ * optionally clipped and speed-modulated by an image's darkness
+ */
+
+import { SizeCalculator } from './size-calculator.js';
+
+/**
+ * Default plotter settings
+ * Pen commands are G-code only; HPGL always uses PU/PD
+ */
+export const DEFAULT_PLOTTER_OPTIONS = {
+    penUp: 'G0 Z5',
+    penDown: 'G1 Z0',
+    feedRate: 1500,      // mm/min while drawing
+    travelRate: 3000,    // mm/min with the pen up
+    penLiftTime: 0.2,    // Seconds per pen up or down
+    clipThreshold: 0,    // Darkness (0-1) below which the pen stays up
+    modulate: false      // Draw light areas faster (less ink)
+};
+
+/**
+ * Longest piece (in pixels) a segment is split into when sampling the image
+ */
+const SAMPLE_STEP = 4;
+
+/**
+ * Drawing speed in the lightest areas relative to feedRate when modulating
+ */
+const MAX_MODULATED_SPEEDUP = 4;
+
+/**
+ * Modulated speeds are quantized so neighbouring segments share a stroke
+ */
+const MODULATION_LEVELS = 8;
+
+/**
+ * HPGL plotter units per millimeter
+ */
+const HPGL_UNITS_PER_MM = 40;
+
+/**
+ * Pen-down run of the plot in millimeters, origin bottom-left
+ * @typedef {Object} PlotterStroke
+ * @property {Array<{x: number, y: number}>} points - Stroke vertices in mm
+ * @property {number} speed - Drawing speed in mm/min
+ * @property {boolean} continues - Starts where the previous stroke ended (speed change, pen stays down)
+ */
+
+/**
+ * Create a darkness lookup for an image stretched over the plot
+ * @param {ImageData} imageData - Source image
+ * @param {number} width - Plot width in pixels
+ * @param {number} height - Plot height in pixels
+ * @returns {Function} (x, y) in plot pixels => darkness 0 (white) .. 1 (black)
+ */
+export function createDarknessSampler(imageData, width, height) {
+    const { data } = imageData;
+    const scaleX = imageData.width / width;
+    const scaleY = imageData.height / height;
+
+    return (x, y) => {
+        const px = Math.min(imageData.width - 1, Math.max(0, Math.floor(x * scaleX)));
+        const py = Math.min(imageData.height - 1, Math.max(0, Math.floor(y * scaleY)));
+        const idx = (py * imageData.width + px) * 4;
+        const gray = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        return 1 - gray / 255;
+    };
+}
+
+/**
+ * Convert curve geometry into plotter strokes
+ * Without a darkness sampler every polyline becomes one stroke at feedRate.
+ * With one, segments are sampled every few pixels: pieces lighter than the
+ * clip threshold are skipped (pen up) and, when modulating, lighter pieces
+ * are drawn faster.
+ * @param {import('../patterns/base.js').VectorGeometry} geometry - Pattern geometry in pixels
+ * @param {Object} options
+ * @param {number} options.heightPx - Plot height in pixels (for the y flip)
+ * @param {number} options.mmPerPixel - Physical size of one pixel
+ * @param {number} options.feedRate - Drawing speed in mm/min
+ * @param {Function} [options.darkness] - Darkness sampler (see createDarknessSampler)
+ * @param {number} [options.clipThreshold] - Darkness below which the pen stays up
+ * @param {boolean} [options.modulate] - Scale speed with lightness
+ * @returns {Array<PlotterStroke>}
+ */
+export function buildPlotterStrokes(geometry, { heightPx, mmPerPixel, feedRate, darkness = null, clipThreshold = 0, modulate = false }) {
+    const strokes = [];
+    let current = null;
+    let currentSegment = -1;
+
+    // Pen up (null) or drawing speed at a point
+    const sampleSpeed = (x, y) => {
+        if (!darkness) return feedRate;
+
+        const value = darkness(x, y);
+        if (value < clipThreshold) return null;
+        if (!modulate) return feedRate;
+
+        const level = Math.round(value * (MODULATION_LEVELS - 1)) / (MODULATION_LEVELS - 1);
+        return feedRate * (1 + (1 - level) * (MAX_MODULATED_SPEEDUP - 1));
+    };
+
+    const finish = () => {
+        if (current && current.points.length > 1) {
+            strokes.push(current);
+        }
+        current = null;
+    };
+
+    const toMM = (x, y) => ({ x: x * mmPerPixel, y: (heightPx - y) * mmPerPixel });
+
+    for (const polyline of geometry.polylines) {
+        finish();
+
+        for (let i = 1; i < polyline.length; i++) {
+            const a = polyline[i - 1];
+            const b = polyline[i];
+            const pieces = darkness
+                ? Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / SAMPLE_STEP))
+                : 1;
+
+            for (let s = 0; s < pieces; s++) {
+                const t0 = s / pieces;
+                const t1 = (s + 1) / pieces;
+                const tm = (t0 + t1) / 2;
+                const speed = sampleSpeed(a.x + (b.x - a.x) * tm, a.y + (b.y - a.y) * tm);
+
+                if (speed === null) {
+                    finish();
+                    continue;
+                }
+
+                const end = toMM(a.x + (b.x - a.x) * t1, a.y + (b.y - a.y) * t1);
+
+                if (!current || current.speed !== speed) {
+                    const continues = current !== null && current.points.length > 1;
+                    finish();
+                    current = { points: [toMM(a.x + (b.x - a.x) * t0, a.y + (b.y - a.y) * t0)], speed, continues };
+                } else if (s > 0 && currentSegment === i && current.points.length > 1) {
+                    // Still on the same straight segment: move its end instead of adding a vertex
+                    current.points[current.points.length - 1] = end;
+                    continue;
+                }
+
+                current.points.push(end);
+                currentSegment = i;
+            }
+        }
+    }
+    finish();
+
+    return strokes;
+}
+
+/**
+ * Estimate plot length and time
+ * Travel starts and ends at the origin
+ * @param {Array<PlotterStroke>} strokes - Plot strokes
+ * @param {Object} options - Plotter options (travelRate, penLiftTime)
+ * @returns {{drawLength: number, travelLength: number, penLifts: number, seconds: number}} Lengths in mm
+ */
+export function estimatePlotTime(strokes, { travelRate, penLiftTime }) {
+    let drawLength = 0;
+    let travelLength = 0;
+    let minutes = 0;
+    let penLifts = 0;
+    let position = { x: 0, y: 0 };
+
+    for (const { points, speed, continues } of strokes) {
+        if (!continues) {
+            travelLength += Math.hypot(points[0].x - position.x, points[0].y - position.y);
+            penLifts++;
+        }
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        drawLength += length;
+        minutes += length / speed;
+
+        position = points[points.length - 1];
+    }
+    travelLength += Math.hypot(position.x, position.y);
+    minutes += travelLength / travelRate;
+
+    return {
+        drawLength,
+        travelLength,
+        penLifts,
+        seconds: minutes * 60 + penLifts * 2 * penLiftTime
+    };
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds
+ * @returns {string} e.g. "1 h 05 min" or "12 min 30 s"
+ */
+export function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+
+    if (hours > 0) {
+        return `${hours} h ${String(minutes).padStart(2, '0')} min`;
+    }
+    return `${minutes} min ${String(total % 60).padStart(2, '0')} s`;
+}
+
+/**
+ * Write strokes as G-code
+ * Pen-up moves use G1 at the travel rate so the time estimate holds on
+ * machines whose rapid rate differs
+ * @param {Array<PlotterStroke>} strokes - Plot strokes
+ * @param {Object} options - Plotter options (penUp, penDown, travelRate)
+ * @param {string} [title] - Comment written in the header
+ * @returns {string} G-code program
+ */
+export function strokesToGCode(strokes, { penUp, penDown, travelRate }, title = 'Halftonish') {
+    const lines = [
+        `; ${title}`,
+        'G21 ; millimeters',
+        'G90 ; absolute positioning',
+        penUp
+    ];
+
+    strokes.forEach(({ points, speed, continues }, index) => {
+        if (!continues) {
+            if (index > 0) {
+                lines.push(penUp);
+            }
+            lines.push(`G1 X${formatMM(points[0].x)} Y${formatMM(points[0].y)} F${Math.round(travelRate)}`);
+            lines.push(penDown);
+        }
+        lines.push(`G1 X${formatMM(points[1].x)} Y${formatMM(points[1].y)} F${Math.round(speed)}`);
+        for (let i = 2; i < points.length; i++) {
+            lines.push(`G1 X${formatMM(points[i].x)} Y${formatMM(points[i].y)}`);
+        }
+    });
+
+    if (strokes.length > 0) {
+        lines.push(penUp);
+    }
+
+    lines.push(`G1 X0 Y0 F${Math.round(travelRate)}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write strokes as HPGL
+ * Speeds are set with VS (cm/s) whenever they change, without lifting the pen
+ * @param {Array<PlotterStroke>} strokes - Plot strokes
+ * @returns {string} HPGL program
+ */
+export function strokesToHPGL(strokes) {
+    const commands = ['IN', 'SP1'];
+    let speed = null;
+
+    const toUnits = p => `${Math.round(p.x * HPGL_UNITS_PER_MM)},${Math.round(p.y * HPGL_UNITS_PER_MM)}`;
+
+    for (const { points, speed: strokeSpeed, continues } of strokes) {
+        if (strokeSpeed !== speed) {
+            speed = strokeSpeed;
+            commands.push(`VS${(speed / 600).toFixed(1)}`);
+        }
+        if (!continues) {
+            commands.push(`PU${toUnits(points[0])}`);
+        }
+        commands.push(`PD${points.slice(1).map(toUnits).join(',')}`);
+    }
+
+    commands.push('PU0,0', 'SP0');
+    return commands.join(';\n') + ';\n';
+}
+
+/**
+ * Draw the plot onto a canvas: strokes in black, pen-up travel in red
+ * @param {HTMLCanvasElement} canvas - Preview canvas (keeps its width)
+ * @param {Array<PlotterStroke>} strokes - Plot strokes
+ * @param {number} widthMM - Plot width
+ * @param {number} heightMM - Plot height
+ */
+export function drawPlotterPreview(canvas, strokes, widthMM, heightMM) {
+    const scale = canvas.width / widthMM;
+    canvas.height = Math.round(heightMM * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Plot coordinates have y up
+    const toCanvas = p => [p.x * scale, canvas.height - p.y * scale];
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(220, 38, 38, 0.35)';
+    ctx.beginPath();
+    let position = { x: 0, y: 0 };
+    for (const { points, continues } of strokes) {
+        if (!continues) {
+            ctx.moveTo(...toCanvas(position));
+            ctx.lineTo(...toCanvas(points[0]));
+        }
+        position = points[points.length - 1];
+    }
+    ctx.moveTo(...toCanvas(position));
+    ctx.lineTo(...toCanvas({ x: 0, y: 0 }));
+    ctx.stroke();
+
+    ctx.strokeStyle = '#000000';
+    ctx.beginPath();
+    for (const { points } of strokes) {
+        ctx.moveTo(...toCanvas(points[0]));
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(...toCanvas(points[i]));
+        }
+    }
+    ctx.stroke();
+}
+
+/**
+ * Physical size of one output pixel in mm
+ * Pixel-mode sizes are taken at the default DPI, as in the PDF export
+ * @param {Object} metadata - Export metadata (see getMetadataFromState in pdf-export.js)
+ * @returns {number}
+ */
+export function getMillimetersPerPixel(metadata) {
+    return SizeCalculator.pixelsToPhysical(1, metadata.dpi || SizeCalculator.DEFAULT_DPI, 'mm');
+}
+
+/**
+ * Download a plotter program
+ * @param {string} program - G-code or HPGL text
+ * @param {string} filename - Output filename
+ */
+export function exportPlotterFile(program, filename) {
+    const blob = new Blob([program], { type: 'text/plain' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Format a coordinate in mm (1 µm resolution)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatMM(value) {
+    return String(Number(value.toFixed(3)));
+}
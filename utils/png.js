@@ -0,0 +1,411 @@
+/**
+ * PNG Encoding and Decoding
+ * Minimal PNG support on top of the platform's CompressionStream, so images
+ * can be written and read where no canvas exists (workers, the Node CLI)
+ */
+
+import { createImageData } from './image-data.js';
+
+export const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * PNG color types
+ */
+const GRAY = 0;
+const RGB = 2;
+const PALETTE = 3;
+const GRAY_ALPHA = 4;
+const RGBA = 6;
+
+/**
+ * Samples per pixel of each color type
+ */
+const CHANNELS = { [GRAY]: 1, [RGB]: 3, [PALETTE]: 1, [GRAY_ALPHA]: 2, [RGBA]: 4 };
+
+/**
+ * pHYs records resolution in pixels per metre
+ */
+const METRES_PER_INCH = 0.0254;
+
+/**
+ * Encode 8-bit image data as a PNG
+ * Opaque gray images are written as grayscale and opaque color images as
+ * RGB, so halftones and patterns take a quarter of the RGBA size
+ * @param {ImageData} imageData - Image
+ * @param {number} [dpi] - Resolution to record (pHYs)
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+export async function encodePNG(imageData, dpi = null) {
+    const { width, height, data } = imageData;
+
+    let opaque = true;
+    let gray = true;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] !== 255) opaque = false;
+        if (data[i] !== data[i + 1] || data[i] !== data[i + 2]) gray = false;
+    }
+
+    const colorType = opaque ? (gray ? GRAY : RGB) : RGBA;
+    const channels = CHANNELS[colorType];
+    const rowBytes = width * channels;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1);
+        raw[row] = 1; // Sub filter
+
+        for (let x = 0; x < width; x++) {
+            const source = (y * width + x) * 4;
+            for (let c = 0; c < channels; c++) {
+                const value = colorType === GRAY ? data[source] : data[source + c];
+                const previous = x > 0 ? (colorType === GRAY ? data[source - 4] : data[source - 4 + c]) : 0;
+                raw[row + 1 + x * channels + c] = (value - previous) & 0xff;
+            }
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // Bit depth
+    header[9] = colorType;
+
+    return concatBytes([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        ...(dpi ? [pngResolutionChunk(dpi)] : []),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Decode a PNG to 8-bit RGBA image data
+ * Handles every color type and bit depth (16-bit samples keep their high
+ * byte); interlaced files are rejected
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Promise<ImageData>}
+ */
+export async function decodePNG(bytes) {
+    const chunks = readPNGChunks(bytes);
+    const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+
+    if (!ihdr) {
+        throw new Error('Missing PNG header');
+    }
+
+    const header = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.length);
+    const width = header.getUint32(0);
+    const height = header.getUint32(4);
+    const bitDepth = ihdr.data[8];
+    const colorType = ihdr.data[9];
+
+    if (!(colorType in CHANNELS)) {
+        throw new Error(`Unsupported PNG color type ${colorType}`);
+    }
+    if (ihdr.data[12] !== 0) {
+        throw new Error('Interlaced PNGs are not supported');
+    }
+
+    const palette = chunks.find(chunk => chunk.type === 'PLTE')?.data;
+    const transparency = chunks.find(chunk => chunk.type === 'tRNS')?.data;
+    const compressed = concatBytes(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    const raw = await inflate(compressed);
+
+    const channels = CHANNELS[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const pixelBytes = Math.max(1, bitsPerPixel >> 3);
+    const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+
+    const imageData = createImageData(width, height);
+    const data = imageData.data;
+    let previous = new Uint8Array(rowBytes);
+    let current = new Uint8Array(rowBytes);
+
+    for (let y = 0; y < height; y++) {
+        const offset = y * (rowBytes + 1);
+        unfilterRow(raw[offset], raw.subarray(offset + 1, offset + 1 + rowBytes), previous, current, pixelBytes);
+
+        for (let x = 0; x < width; x++) {
+            const samples = [];
+            for (let c = 0; c < channels; c++) {
+                samples.push(readSample(current, x * channels + c, bitDepth));
+            }
+
+            const idx = (y * width + x) * 4;
+            if (colorType === PALETTE) {
+                const entry = samples[0];
+                data[idx] = palette[entry * 3];
+                data[idx + 1] = palette[entry * 3 + 1];
+                data[idx + 2] = palette[entry * 3 + 2];
+                data[idx + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+                continue;
+            }
+
+            // Scale sub-byte samples up to 0-255
+            const scaled = samples.map(value => (value * 255) / maxSample);
+            const isGray = colorType === GRAY || colorType === GRAY_ALPHA;
+            data[idx] = scaled[0];
+            data[idx + 1] = isGray ? scaled[0] : scaled[1];
+            data[idx + 2] = isGray ? scaled[0] : scaled[2];
+            data[idx + 3] = colorType === GRAY_ALPHA ? scaled[1] : colorType === RGBA ? scaled[3] : 255;
+        }
+
+        [previous, current] = [current, previous];
+    }
+
+    return imageData;
+}
+
+/**
+ * Split a PNG file into its chunks
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Array<{type: string, data: Uint8Array}>} Chunks in file order
+ */
+export function readPNGChunks(bytes) {
+    if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+/**
+ * Insert chunks into a PNG file right after its header
+ * Ancillary chunks placed there precede the image data, as pHYs must
+ * @param {Uint8Array} bytes - PNG file
+ * @param {Array<Uint8Array>} chunks - Chunks built with pngChunk()
+ * @returns {Uint8Array} New PNG file
+ */
+export function insertPNGChunks(bytes, chunks) {
+    const ihdr = readPNGChunks(bytes)[0];
+    if (!ihdr || ihdr.type !== 'IHDR') {
+        throw new Error('Missing PNG header');
+    }
+
+    const end = ihdr.data.byteOffset - bytes.byteOffset + ihdr.data.length + 4;
+    return concatBytes([bytes.subarray(0, end), ...chunks, bytes.subarray(end)]);
+}
+
+/**
+ * Build a physical pixel dimensions (pHYs) chunk
+ * @param {number} dpi - Resolution in dots per inch (both axes)
+ * @returns {Uint8Array}
+ */
+export function pngResolutionChunk(dpi) {
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    const pixelsPerMetre = Math.round(dpi / METRES_PER_INCH);
+
+    view.setUint32(0, pixelsPerMetre);
+    view.setUint32(4, pixelsPerMetre);
+    data[8] = 1; // Unit: metre
+
+    return pngChunk('pHYs', data);
+}
+
+/**
+ * Read the resolution recorded in a PNG's pHYs chunk
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {number|null} Horizontal resolution in dots per inch, or null if not recorded
+ */
+export function readPNGResolution(bytes) {
+    const phys = readPNGChunks(bytes).find(chunk => chunk.type === 'pHYs');
+
+    // Unit 0 only gives the pixel aspect ratio
+    if (!phys || phys.data.length < 9 || phys.data[8] !== 1) return null;
+
+    const pixelsPerMetre = new DataView(phys.data.buffer, phys.data.byteOffset, 9).getUint32(0);
+    return pixelsPerMetre > 0 ? Math.round(pixelsPerMetre * METRES_PER_INCH) : null;
+}
+
+/**
+ * Build an uncompressed international text (iTXt) chunk
+ * @param {string} keyword - Keyword (1-79 Latin-1 characters)
+ * @param {string} text - UTF-8 text
+ * @returns {Uint8Array}
+ */
+export function pngTextChunk(keyword, text) {
+    const encoder = new TextEncoder();
+
+    // keyword \0, compression flag and method, empty language tag \0, empty translated keyword \0
+    return pngChunk('iTXt', concatBytes([
+        encoder.encode(keyword),
+        new Uint8Array([0, 0, 0, 0, 0]),
+        encoder.encode(text)
+    ]));
+}
+
+/**
+ * Read the text chunks of a PNG file
+ * Covers tEXt and uncompressed iTXt; compressed text is skipped
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Object<string, string>} Text by keyword
+ */
+export function readPNGText(bytes) {
+    const text = {};
+
+    for (const { type, data } of readPNGChunks(bytes)) {
+        const separator = data.indexOf(0);
+        if (separator < 1) continue;
+
+        const keyword = new TextDecoder('latin1').decode(data.subarray(0, separator));
+
+        if (type === 'tEXt') {
+            text[keyword] = new TextDecoder('latin1').decode(data.subarray(separator + 1));
+        } else if (type === 'iTXt' && data[separator + 1] === 0) {
+            // Skip the language tag and translated keyword
+            const language = data.indexOf(0, separator + 3);
+            const translated = data.indexOf(0, language + 1);
+            if (language === -1 || translated === -1) continue;
+
+            text[keyword] = new TextDecoder().decode(data.subarray(translated + 1));
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Reverse a row's PNG filter
+ * @param {number} filter - Filter type (0 none, 1 sub, 2 up, 3 average, 4 Paeth)
+ * @param {Uint8Array} filtered - Filtered row bytes
+ * @param {Uint8Array} previous - Previous unfiltered row (zeros for the first)
+ * @param {Uint8Array} current - Output row
+ * @param {number} pixelBytes - Bytes per pixel (at least 1)
+ */
+function unfilterRow(filter, filtered, previous, current, pixelBytes) {
+    for (let i = 0; i < filtered.length; i++) {
+        const left = i >= pixelBytes ? current[i - pixelBytes] : 0;
+        const up = previous[i];
+        const upLeft = i >= pixelBytes ? previous[i - pixelBytes] : 0;
+        let predictor = 0;
+
+        if (filter === 1) {
+            predictor = left;
+        } else if (filter === 2) {
+            predictor = up;
+        } else if (filter === 3) {
+            predictor = (left + up) >> 1;
+        } else if (filter === 4) {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left);
+            const pb = Math.abs(p - up);
+            const pc = Math.abs(p - upLeft);
+            predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        }
+
+        current[i] = (filtered[i] + predictor) & 0xff;
+    }
+}
+
+/**
+ * Read one sample from an unfiltered row
+ * @param {Uint8Array} row - Row bytes
+ * @param {number} index - Sample index within the row
+ * @param {number} bitDepth - Bits per sample (1, 2, 4, 8 or 16)
+ * @returns {number} Sample value (high byte for 16-bit samples)
+ */
+function readSample(row, index, bitDepth) {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return row[index * 2];
+
+    const bit = index * bitDepth;
+    const shift = 8 - bitDepth - (bit & 7);
+    return (row[bit >> 3] >> shift) & ((1 << bitDepth) - 1);
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC of type and data)
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+    return chunk;
+}
+
+/**
+ * zlib-compress bytes with the platform's CompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * zlib-decompress bytes with the platform's DecompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
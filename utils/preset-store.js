@@ -0,0 +1,188 @@
+/**
+ * Preset Store
+ * Named settings snapshots (see url-state.js) kept in IndexedDB, with a
+ * JSON file format for sharing a house style between browsers
+ */
+
+import { getPattern, getDefaultParams } from '../patterns/registry.js';
+
+const DB_NAME = 'halftonish';
+const DB_VERSION = 1;
+const STORE_NAME = 'presets';
+
+/**
+ * Preset file identification; the version changes only with the layout
+ */
+const FILE_FORMAT = 'halftonish-presets';
+const FILE_VERSION = 1;
+
+/**
+ * Saved settings
+ * @typedef {Object} Preset
+ * @property {string} name - Unique name
+ * @property {import('./url-state.js').Settings} settings - Settings snapshot
+ * @property {string} savedAt - ISO timestamp
+ */
+
+export class PresetStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Open the database (once), creating the preset store on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.db;
+    }
+
+    /**
+     * All presets, sorted by name
+     * @returns {Promise<Array<Preset>>}
+     */
+    async list() {
+        const presets = await this.run('readonly', store => store.getAll());
+        return presets.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * One preset by name
+     * @param {string} name
+     * @returns {Promise<Preset|undefined>}
+     */
+    get(name) {
+        return this.run('readonly', store => store.get(name));
+    }
+
+    /**
+     * Save presets, replacing any with the same names
+     * @param {...Preset} presets
+     * @returns {Promise<void>}
+     */
+    async save(...presets) {
+        await this.run('readwrite', store => {
+            for (const preset of presets) {
+                store.put(preset);
+            }
+        });
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async delete(name) {
+        await this.run('readwrite', store => store.delete(name));
+    }
+
+    /**
+     * Run an operation in a transaction
+     * @param {'readonly'|'readwrite'} mode - Transaction mode
+     * @param {Function} operation - (store) => IDBRequest|void
+     * @returns {Promise<*>} The request's result once the transaction completes
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Preset transaction aborted'));
+        });
+    }
+}
+
+/**
+ * Create a preset from the current settings
+ * @param {string} name - Preset name
+ * @param {import('./url-state.js').Settings} settings - Settings snapshot
+ * @returns {Preset}
+ */
+export function createPreset(name, settings) {
+    return { name, settings, savedAt: new Date().toISOString() };
+}
+
+/**
+ * Serialize presets for export
+ * @param {Array<Preset>} presets
+ * @returns {string} JSON text
+ */
+export function serializePresets(presets) {
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Read a preset file written by serializePresets()
+ * @param {string} text - File contents
+ * @returns {Array<Preset>} Presets with their settings checked (see checkPresetSettings)
+ * @throws {Error} When the file is not a preset file or a preset is unusable
+ */
+export function parsePresetFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+
+    if (!file || file.format !== FILE_FORMAT || !Array.isArray(file.presets)) {
+        throw new Error('Not a Halftonish preset file');
+    }
+    if (file.version > FILE_VERSION) {
+        throw new Error(`Preset file version ${file.version} is newer than this app supports`);
+    }
+
+    return file.presets.map((preset, index) => {
+        if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+            throw new Error(`Preset ${index + 1} has no name`);
+        }
+
+        return {
+            name: preset.name.trim(),
+            settings: checkPresetSettings(preset.name, preset.settings),
+            savedAt: typeof preset.savedAt === 'string' ? preset.savedAt : new Date().toISOString()
+        };
+    });
+}
+
+/**
+ * Check a preset's pattern and fill in parameters added since it was saved
+ * @param {string} name - Preset name (for the error message)
+ * @param {Object} settings - Stored settings
+ * @returns {import('./url-state.js').Settings} Settings with pattern defaults filled in
+ * @throws {Error} When the settings or their pattern are unusable
+ */
+export function checkPresetSettings(name, settings) {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error(`Preset "${name}" has no settings`);
+    }
+    if (!getPattern(settings.pattern)) {
+        throw new Error(`Preset "${name}" uses an unknown pattern: ${settings.pattern}`);
+    }
+
+    return {
+        ...settings,
+        params: { ...getDefaultParams(settings.pattern), ...settings.params }
+    };
+}
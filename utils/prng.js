@@ -37,6 +37,17 @@ export class SeededRandom {
         return z0 * stddev + mean;
     }
 
+    /**
+     * Advance the sequence as if next() had been called n times
+     * Steps one increment at a time so the state matches sequential draws exactly
+     * @param {number} n - Number of draws to skip
+     */
+    skip(n) {
+        for (let i = 0; i < n; i++) {
+            this.seed += 0x6D2B79F5;
+        }
+    }
+
     /**
      * Reset seed
      */
@@ -53,3 +64,29 @@ export class SeededRandom {
 export function createSeededRandom(seed) {
     return new SeededRandom(seed);
 }
+
+/**
+ * Mulberry32 output mix of a 32-bit state
+ */
+function mix32(t) {
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return (t ^ t >>> 14) >>> 0;
+}
+
+/**
+ * Stateless random number for an integer lattice point [0, 1)
+ * The same seed and coordinates always give the same value, so a pattern
+ * can be sampled in any order (bands, transforms) without replaying a sequence
+ * @param {number} seed - Seed value
+ * @param {number} x - Integer x coordinate
+ * @param {number} y - Integer y coordinate
+ * @param {number} [salt] - Extra input for several independent values per point
+ * @returns {number}
+ */
+export function hashRandom(seed, x, y, salt = 0) {
+    let t = mix32((seed >>> 0) + Math.imul(x | 0, 0x27D4EB2D));
+    t = mix32(t + Math.imul(y | 0, 0x165667B1) + 0x6D2B79F5);
+    t = mix32(t + Math.imul(salt | 0, 0x9E3779B9));
+    return t / 4294967296;
+}
@@ -0,0 +1,187 @@
+/**
+ * High Bit Depth Raster Export
+ * Writes float patterns (see rasterizer.js) without 8-bit quantization:
+ * 16-bit grayscale PNG, 32-bit float TIFF and PFM (portable float map, the
+ * simplest raw float format EXR tools read)
+ */
+
+import { PNG_SIGNATURE, pngChunk, pngResolutionChunk, deflate, concatBytes } from './png.js';
+import { embedPNGRecipe } from './recipe.js';
+
+/**
+ * Export formats offered for float patterns
+ */
+export const RASTER_FORMATS = {
+    png16: { extension: 'png', mimeType: 'image/png', encode: encodePNG16 },
+    'tiff-float': { extension: 'tif', mimeType: 'image/tiff', encode: encodeFloatTIFF },
+    pfm: { extension: 'pfm', mimeType: 'application/octet-stream', encode: encodePFM }
+};
+
+/**
+ * Export a float pattern in a high bit depth format
+ * @param {import('../patterns/rasterizer.js').FloatPattern} pattern - Float pattern
+ * @param {'png16'|'tiff-float'|'pfm'} format - Output format (see RASTER_FORMATS)
+ * @param {string} filename - Output filename
+ * @param {Object} [options]
+ * @param {import('./recipe.js').Recipe} [options.recipe] - Regeneration recipe, embedded in PNG files
+ * @param {number} [options.dpi] - Resolution to record (PNG and TIFF)
+ */
+export async function exportFloatPattern(pattern, format, filename, { recipe = null, dpi = null } = {}) {
+    const { mimeType, encode } = RASTER_FORMATS[format];
+    let bytes = await encode(pattern, dpi);
+
+    if (recipe && mimeType === 'image/png') {
+        bytes = embedPNGRecipe(bytes, recipe);
+    }
+    const blob = new Blob([bytes], { type: mimeType });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Encode a float pattern as a 16-bit grayscale PNG
+ * Rows use the Sub filter, which suits smooth distance gradients
+ * @param {import('../patterns/rasterizer.js').FloatPattern} pattern - Float pattern
+ * @param {number} [dpi] - Resolution to record (pHYs)
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+export async function encodePNG16(pattern, dpi = null) {
+    const { width, height, data } = pattern;
+    const rowBytes = width * 2;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * (rowBytes + 1);
+        raw[row] = 1; // Sub filter
+
+        let prevHigh = 0;
+        let prevLow = 0;
+        for (let x = 0; x < width; x++) {
+            const value = Math.round(Math.max(0, Math.min(1, data[y * width + x])) * 65535);
+            const high = value >> 8;
+            const low = value & 0xff;
+
+            raw[row + 1 + x * 2] = (high - prevHigh) & 0xff;
+            raw[row + 2 + x * 2] = (low - prevLow) & 0xff;
+            prevHigh = high;
+            prevLow = low;
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 16; // Bit depth
+    header[9] = 0;  // Grayscale
+
+    return concatBytes([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        ...(dpi ? [pngResolutionChunk(dpi)] : []),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Encode a float pattern as an uncompressed 32-bit float grayscale TIFF
+ * @param {import('../patterns/rasterizer.js').FloatPattern} pattern - Float pattern
+ * @param {number} [dpi] - Resolution to record (XResolution/YResolution)
+ * @returns {Uint8Array} TIFF file (little-endian)
+ */
+export function encodeFloatTIFF(pattern, dpi = null) {
+    const { width, height, data } = pattern;
+    const byteCount = width * height * 4;
+
+    // [tag, type (3 = SHORT, 4 = LONG, 5 = RATIONAL), value]; strip offset is
+    // filled in below. Tags must stay in ascending order
+    const entries = [
+        [256, 4, width],      // ImageWidth
+        [257, 4, height],     // ImageLength
+        [258, 3, 32],         // BitsPerSample
+        [259, 3, 1],          // Compression: none
+        [262, 3, 1],          // PhotometricInterpretation: BlackIsZero
+        [273, 4, 0],          // StripOffsets
+        [277, 3, 1],          // SamplesPerPixel
+        [278, 4, height],     // RowsPerStrip
+        [279, 4, byteCount],  // StripByteCounts
+        ...(dpi ? [
+            [282, 5, dpi],    // XResolution
+            [283, 5, dpi]     // YResolution
+        ] : []),
+        [284, 3, 1],          // PlanarConfiguration: chunky
+        ...(dpi ? [[296, 3, 2]] : []), // ResolutionUnit: inch
+        [339, 3, 3]           // SampleFormat: IEEE float
+    ];
+
+    // Rationals don't fit in an entry; they follow the IFD
+    const ifdOffset = 8;
+    const rationalOffset = ifdOffset + 2 + entries.length * 12 + 4;
+    const dataOffset = rationalOffset + entries.filter(([, type]) => type === 5).length * 8;
+    entries[5][2] = dataOffset;
+
+    const bytes = new Uint8Array(dataOffset + byteCount);
+    const view = new DataView(bytes.buffer);
+
+    // Header: "II", 42, first IFD offset
+    view.setUint16(0, 0x4949, true);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+
+    view.setUint16(ifdOffset, entries.length, true);
+    let nextRational = rationalOffset;
+    entries.forEach(([tag, type, value], i) => {
+        const offset = ifdOffset + 2 + i * 12;
+        view.setUint16(offset, tag, true);
+        view.setUint16(offset + 2, type, true);
+        view.setUint32(offset + 4, 1, true);
+        if (type === 3) {
+            view.setUint16(offset + 8, value, true);
+        } else if (type === 5) {
+            // Thousandths keep fractional resolutions
+            view.setUint32(offset + 8, nextRational, true);
+            view.setUint32(nextRational, Math.round(value * 1000), true);
+            view.setUint32(nextRational + 4, 1000, true);
+            nextRational += 8;
+        } else {
+            view.setUint32(offset + 8, value, true);
+        }
+    });
+    view.setUint32(rationalOffset - 4, 0, true); // No further IFDs
+
+    for (let i = 0; i < data.length; i++) {
+        view.setFloat32(dataOffset + i * 4, data[i], true);
+    }
+
+    return bytes;
+}
+
+/**
+ * Encode a float pattern as a grayscale PFM
+ * The negative scale marks little-endian samples; rows run bottom to top
+ * @param {import('../patterns/rasterizer.js').FloatPattern} pattern - Float pattern
+ * @returns {Uint8Array} PFM file
+ */
+export function encodePFM(pattern) {
+    const { width, height, data } = pattern;
+    const header = new TextEncoder().encode(`Pf\n${width} ${height}\n-1.0\n`);
+
+    const bytes = new Uint8Array(header.length + width * height * 4);
+    bytes.set(header);
+    const view = new DataView(bytes.buffer, header.length);
+
+    for (let y = 0; y < height; y++) {
+        const source = (height - 1 - y) * width;
+        for (let x = 0; x < width; x++) {
+            view.setFloat32((y * width + x) * 4, data[source + x], true);
+        }
+    }
+
+    return bytes;
+}
@@ -0,0 +1,142 @@
+/**
+ * Pattern Recipes
+ * Everything needed to regenerate an exported pattern (pattern id,
+ * parameters with their seeds, inversion, size and the app version) as JSON
+ * embedded in PNG and PDF exports
+ */
+
+import { encodeSettings, decodeSettings } from './url-state.js';
+import { insertPNGChunks, pngTextChunk, readPNGText } from './png.js';
+
+/**
+ * Version recorded in recipes (matches package.json)
+ */
+export const APP_VERSION = '0.1.0-dev';
+
+/**
+ * Keyword of the PNG text chunk holding the recipe
+ */
+const PNG_KEYWORD = 'Halftonish Recipe';
+
+/**
+ * Regeneration recipe; the settings snapshot (see url-state.js) without
+ * halftone and analysis controls
+ * @typedef {Object} Recipe
+ * @property {string} version - App version that wrote it
+ * @property {string} pattern - Pattern id
+ * @property {Object} params - Pattern parameters, seeds included
+ * @property {boolean} invert - Pattern was inverted
+ * @property {boolean} linearize - Pattern histogram was equalized
+ * @property {Object} size - Size configuration (see SizeCalculator)
+ * @property {number} [screenAngle] - Screen angle, for a CMYK plate's screen
+ */
+
+/**
+ * Recipe for the current pattern settings
+ * Unset seeds are filled with the ones the generated pattern was drawn with.
+ * The app keeps the recipe taken when generating (state.generatedRecipe) for
+ * exports, so they describe the rendered pattern, not later control changes
+ * @param {Object} state - Application state (or the CLI's equivalent)
+ * @returns {Recipe}
+ */
+export function createRecipe(state) {
+    const { mode, widthPx, heightPx, widthPhysical, heightPhysical, unit, dpi } = state.sizeConfig;
+    const params = structuredClone(state.patternParams[state.currentPattern]);
+    const generated = state.generatedRecipe;
+
+    if (generated && generated.pattern === state.currentPattern) {
+        fillSeeds(params, generated.params);
+    }
+
+    return {
+        version: APP_VERSION,
+        pattern: state.currentPattern,
+        params,
+        invert: Boolean(state.parameters && state.parameters.invert),
+        linearize: Boolean(state.parameters && state.parameters.linearize),
+        size: { mode, widthPx, heightPx, widthPhysical, heightPhysical, unit, dpi }
+    };
+}
+
+/**
+ * Fill unset seeds from resolved parameters, including composite children
+ * @param {Object} params - Parameters (modified)
+ * @param {Object} resolved - Parameters with seeds drawn (see resolveSeeds)
+ * @returns {Object} params
+ */
+function fillSeeds(params, resolved) {
+    if ('seed' in params && params.seed === undefined) {
+        params.seed = resolved.seed;
+    }
+
+    if (Array.isArray(params.children) && Array.isArray(resolved.children)) {
+        params.children.forEach((child, i) => {
+            const source = resolved.children[i];
+            if (source && source.pattern === child.pattern) {
+                fillSeeds(child.params, source.params);
+            }
+        });
+    }
+
+    return params;
+}
+
+/**
+ * Parse a stored recipe
+ * Values are checked as for a shared link; recipes from before versioning
+ * ({pattern, params} only) are accepted
+ * @param {string} [text] - Recipe JSON
+ * @returns {{version: string|undefined, settings: Partial<import('./url-state.js').Settings>, errors: Array<string>}|null}
+ *          Settings to apply and values skipped, or null if absent or unusable
+ */
+export function parseRecipe(text) {
+    if (!text) return null;
+
+    let recipe;
+    try {
+        recipe = JSON.parse(text);
+    } catch (error) {
+        // Not a recipe (e.g. a free-text PDF subject)
+        return null;
+    }
+
+    if (!recipe || typeof recipe.params !== 'object' || typeof recipe.pattern !== 'string') {
+        return null;
+    }
+
+    const { settings, errors } = decodeSettings(encodeSettings(recipe));
+    if (!settings.pattern) {
+        return null;
+    }
+
+    // Link encoding leaves out false flags; a recipe records them
+    for (const key of ['invert', 'linearize']) {
+        if (typeof recipe[key] === 'boolean') settings[key] = recipe[key];
+    }
+
+    return { version: recipe.version, settings, errors };
+}
+
+/**
+ * Embed a recipe in a PNG file as an iTXt chunk
+ * @param {Uint8Array} bytes - PNG file
+ * @param {Recipe} recipe
+ * @returns {Uint8Array} New PNG file
+ */
+export function embedPNGRecipe(bytes, recipe) {
+    return insertPNGChunks(bytes, [pngTextChunk(PNG_KEYWORD, JSON.stringify(recipe))]);
+}
+
+/**
+ * Read the recipe embedded in a PNG file
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {ReturnType<typeof parseRecipe>}
+ */
+export function readPNGRecipe(bytes) {
+    try {
+        return parseRecipe(readPNGText(bytes)[PNG_KEYWORD]);
+    } catch (error) {
+        // Malformed files are reported by the image loader
+        return null;
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Image Resolution
+ * Reads the resolution recorded in image files, so a pattern exported at a
+ * physical size is analyzed at the DPI it was made for
+ */
+
+import { PNG_SIGNATURE, readPNGResolution } from './png.js';
+
+/**
+ * JFIF density units
+ */
+const DOTS_PER_INCH = 1;
+const DOTS_PER_CM = 2;
+
+/**
+ * Resolution recorded in a PNG (pHYs) or JPEG (JFIF) file
+ * @param {Uint8Array} bytes - Image file
+ * @returns {number|null} Horizontal resolution in dots per inch, or null if not recorded
+ */
+export function readImageResolution(bytes) {
+    try {
+        if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+            return readPNGResolution(bytes);
+        }
+        if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+            return readJFIFResolution(bytes);
+        }
+    } catch (error) {
+        // Truncated files are reported by the image loader
+    }
+
+    return null;
+}
+
+/**
+ * Resolution from a JPEG's JFIF (APP0) segment
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {number|null}
+ */
+function readJFIFResolution(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+
+    // APP0 directly follows the start of image marker
+    if (view.getUint16(2) !== 0xffe0 || String.fromCharCode(...bytes.subarray(6, 11)) !== 'JFIF\0') {
+        return null;
+    }
+
+    const units = bytes[13];
+    const density = view.getUint16(14);
+
+    if (density === 0) return null;
+    if (units === DOTS_PER_INCH) return density;
+    if (units === DOTS_PER_CM) return Math.round(density * 2.54);
+
+    // Unit 0 only gives the pixel aspect ratio
+    return null;
+}
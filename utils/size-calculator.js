@@ -23,6 +23,11 @@ export class SizeCalculator {
      */
     static MM_PER_INCH = 25.4;
 
+    /**
+     * Resolution assumed when a size is given in pixels only
+     */
+    static DEFAULT_DPI = 72;
+
     /**
      * Minimum and maximum dimensions in pixels
      */
@@ -0,0 +1,144 @@
+/**
+ * SVG Export Utility
+ * Writes a pattern's vector geometry (curve polylines, Ben-Day dots) as SVG
+ * for plotter and laser workflows
+ */
+
+/**
+ * Decimal places kept for coordinates (1/1000 px)
+ */
+const PRECISION = 3;
+
+/**
+ * Export pattern geometry as an SVG file
+ * The viewBox is in output pixels; in physical mode the document size is set
+ * in the physical unit so the file opens at the intended print size
+ * @param {import('../patterns/base.js').VectorGeometry} geometry - Pattern geometry in pixels
+ * @param {Object} metadata - Pattern metadata (see getMetadataFromState in pdf-export.js)
+ * @param {string} filename - Output filename
+ */
+export function exportPatternToSVG(geometry, metadata, filename) {
+    const svg = patternToSVG(geometry, metadata);
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Build an SVG document from pattern geometry
+ * @param {import('../patterns/base.js').VectorGeometry} geometry - Pattern geometry in pixels
+ * @param {Object} metadata - Pattern metadata
+ * @returns {string} SVG markup
+ */
+export function patternToSVG(geometry, metadata) {
+    const { widthPx, heightPx } = metadata;
+    let width = widthPx;
+    let height = heightPx;
+
+    if (metadata.dpi && metadata.physicalWidth && metadata.physicalHeight && metadata.unit) {
+        // 'in' and 'mm' are both SVG length units
+        width = `${metadata.physicalWidth}${metadata.unit}`;
+        height = `${metadata.physicalHeight}${metadata.unit}`;
+    }
+
+    const description = [
+        `Pattern Type: ${metadata.patternType}`,
+        ...(metadata.parameters || []).map(({ label, value }) => `${label}: ${value}`),
+        `Dimensions: ${widthPx} × ${heightPx} pixels`
+    ].join('\n');
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${widthPx} ${heightPx}">`,
+        `<title>${escapeXML(`Halftonish - ${metadata.patternType}`)}</title>`,
+        `<desc>${escapeXML(description)}</desc>`
+    ];
+
+    if (metadata.recipe) {
+        // Same recipe JSON as the PDF subject, so the pattern can be regenerated
+        lines.push(`<metadata id="halftonish-recipe">${escapeXML(JSON.stringify(metadata.recipe))}</metadata>`);
+    }
+
+    lines.push(`<rect width="${widthPx}" height="${heightPx}" fill="white"/>`);
+
+    for (const [strokeWidth, polylines] of groupPolylinesByWidth(geometry)) {
+        const d = polylines.map(polylineToPath).join(' ');
+        lines.push(
+            `<path d="${d}" fill="none" stroke="black" stroke-width="${formatNumber(strokeWidth)}" ` +
+            'stroke-linecap="round" stroke-linejoin="round"/>'
+        );
+    }
+
+    if (geometry.circles.length > 0 || geometry.polygons.length > 0) {
+        lines.push('<g fill="black">');
+        for (const { x, y, r } of geometry.circles) {
+            lines.push(`<circle cx="${formatNumber(x)}" cy="${formatNumber(y)}" r="${formatNumber(r)}"/>`);
+        }
+        for (const polygon of geometry.polygons) {
+            const points = polygon.map(p => `${formatNumber(p.x)},${formatNumber(p.y)}`).join(' ');
+            lines.push(`<polygon points="${points}"/>`);
+        }
+        lines.push('</g>');
+    }
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Group polylines by stroke width, so each width is written as one path
+ * @param {import('../patterns/base.js').VectorGeometry} geometry
+ * @returns {Map<number, Array<Array<{x: number, y: number}>>>} Polylines per stroke width
+ */
+export function groupPolylinesByWidth(geometry) {
+    const groups = new Map();
+
+    geometry.polylines.forEach((polyline, index) => {
+        const width = geometry.polylineWidths ? geometry.polylineWidths[index] : geometry.strokeWidth;
+
+        if (!groups.has(width)) {
+            groups.set(width, []);
+        }
+        groups.get(width).push(polyline);
+    });
+
+    return groups;
+}
+
+/**
+ * Path data for an open polyline
+ * @param {Array<{x: number, y: number}>} points - Polyline vertices
+ * @returns {string}
+ */
+function polylineToPath(points) {
+    return points
+        .map((p, i) => `${i === 0 ? 'M' : 'L'}${formatNumber(p.x)} ${formatNumber(p.y)}`)
+        .join('');
+}
+
+/**
+ * Format a coordinate without trailing zeros
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return String(Number(value.toFixed(PRECISION)));
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,176 @@
+/**
+ * Tone Curve Editor
+ * Canvas widget for the spline points of a tone curve: click to add a point,
+ * drag to move it, double-click to remove it. The end points can only move
+ * vertically. The composed curve (levels, gamma, dot gain) is drawn behind
+ * the spline so the effective transfer function is always visible.
+ */
+
+import { buildToneLUT, createMonotoneSpline } from './tone-curve.js';
+
+/**
+ * Pointer distance (canvas pixels) within which a point is picked up
+ */
+const HIT_RADIUS = 8;
+
+export class ToneCurveEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Editor canvas (square)
+     * @param {Function} onChange - Called with the new points after every edit
+     */
+    constructor(canvas, onChange) {
+        this.canvas = canvas;
+        this.onChange = onChange;
+        this.curve = null;
+        this.dragIndex = -1;
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => { this.dragIndex = -1; });
+        canvas.addEventListener('pointercancel', () => { this.dragIndex = -1; });
+        canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+    }
+
+    /**
+     * Show a curve
+     * @param {Object} curve - Tone curve (see DEFAULT_TONE_CURVE in tone-curve.js)
+     */
+    setCurve(curve) {
+        this.curve = curve;
+        this.draw();
+    }
+
+    /**
+     * Curve coordinates (0-255) of a pointer event
+     */
+    toCurve(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 255;
+        const y = (1 - (e.clientY - rect.top) / rect.height) * 255;
+        return [Math.round(Math.max(0, Math.min(255, x))), Math.round(Math.max(0, Math.min(255, y)))];
+    }
+
+    /**
+     * Index of the point under a pointer event, or -1
+     */
+    hitTest(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = rect.width / 255;
+        const [x, y] = this.toCurve(e);
+
+        return this.curve.points.findIndex(([px, py]) =>
+            Math.hypot(px - x, py - y) * scale <= HIT_RADIUS
+        );
+    }
+
+    handlePointerDown(e) {
+        if (!this.curve) return;
+
+        let index = this.hitTest(e);
+        if (index === -1) {
+            // Add a point on the spot; points stay sorted by input
+            const point = this.toCurve(e);
+            const points = [...this.curve.points, point].sort((a, b) => a[0] - b[0]);
+            index = points.indexOf(point);
+            this.update(points);
+        }
+
+        this.dragIndex = index;
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (this.dragIndex === -1) return;
+
+        const points = this.curve.points.map(p => [...p]);
+        const last = points.length - 1;
+        let [x, y] = this.toCurve(e);
+
+        // End points keep their input; inner points stay between their neighbours
+        if (this.dragIndex === 0) {
+            x = points[0][0];
+        } else if (this.dragIndex === last) {
+            x = points[last][0];
+        } else {
+            x = Math.max(points[this.dragIndex - 1][0] + 1, Math.min(points[this.dragIndex + 1][0] - 1, x));
+        }
+
+        points[this.dragIndex] = [x, y];
+        this.update(points);
+    }
+
+    handleDoubleClick(e) {
+        if (!this.curve) return;
+
+        const index = this.hitTest(e);
+        if (index > 0 && index < this.curve.points.length - 1) {
+            this.update(this.curve.points.filter((_, i) => i !== index));
+        }
+    }
+
+    /**
+     * Report edited points and redraw
+     * @param {Array<Array<number>>} points - New spline points
+     */
+    update(points) {
+        this.curve = { ...this.curve, points };
+        this.onChange(points);
+        this.draw();
+    }
+
+    /**
+     * Draw grid, composed curve, spline and points
+     */
+    draw() {
+        const { canvas, curve } = this;
+        const ctx = canvas.getContext('2d');
+        const size = canvas.width;
+        const toX = x => (x / 255) * size;
+        const toY = y => size - (y / 255) * size;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, size, size);
+
+        // Quarter grid and identity diagonal
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) {
+            ctx.moveTo((i * size) / 4, 0);
+            ctx.lineTo((i * size) / 4, size);
+            ctx.moveTo(0, (i * size) / 4);
+            ctx.lineTo(size, (i * size) / 4);
+        }
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+        ctx.stroke();
+
+        if (!curve) return;
+
+        // Effective transfer function
+        const lut = buildToneLUT(curve);
+        ctx.strokeStyle = 'rgba(220, 38, 38, 0.6)';
+        ctx.beginPath();
+        for (let i = 0; i < 256; i++) {
+            ctx[i === 0 ? 'moveTo' : 'lineTo'](toX(i), toY(lut[i]));
+        }
+        ctx.stroke();
+
+        // Spline through the editable points
+        const spline = createMonotoneSpline(curve.points);
+        ctx.strokeStyle = '#111827';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < 256; i++) {
+            ctx[i === 0 ? 'moveTo' : 'lineTo'](toX(i), toY(spline(i)));
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#2563eb';
+        for (const [x, y] of curve.points) {
+            ctx.beginPath();
+            ctx.arc(toX(x), toY(y), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
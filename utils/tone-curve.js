@@ -0,0 +1,177 @@
+/**
+ * Tone Curve
+ * Transfer function applied to the source lightness before halftoning:
+ * input levels, gamma, a monotone spline through editor points, output
+ * levels and dot gain compensation, composed into one 256-entry lookup table
+ */
+
+/**
+ * Identity tone curve
+ * Lightness values are 0 (black) .. 255 (white); spline points are
+ * [input, output] pairs in the same range and always include both ends
+ */
+export const DEFAULT_TONE_CURVE = {
+    gamma: 1,
+    inputBlack: 0,
+    inputWhite: 255,
+    outputBlack: 0,
+    outputWhite: 255,
+    points: [[0, 0], [255, 255]],
+    dotGain: 'none'
+};
+
+/**
+ * Dot gain compensation presets
+ * gain is the extra ink coverage printed at a 50% dot (e.g. 0.2 = 50% prints as 70%);
+ * the model in compensateDotGain() holds up to 25%
+ */
+export const DOT_GAIN_PRESETS = {
+    none: { label: 'None', gain: 0 },
+    laser: { label: 'Laser printer (8%)', gain: 0.08 },
+    coated: { label: 'Coated offset (12%)', gain: 0.12 },
+    uncoated: { label: 'Uncoated offset (18%)', gain: 0.18 },
+    newsprint: { label: 'Newsprint (22%)', gain: 0.22 },
+    inkjet: { label: 'Inkjet on plain paper (25%)', gain: 0.25 }
+};
+
+/**
+ * Whether a curve leaves every lightness unchanged
+ * @param {Object} curve - Tone curve (see DEFAULT_TONE_CURVE)
+ * @returns {boolean}
+ */
+export function isIdentityToneCurve(curve) {
+    const { gamma, inputBlack, inputWhite, outputBlack, outputWhite, points, dotGain } = { ...DEFAULT_TONE_CURVE, ...curve };
+
+    return gamma === 1 &&
+        inputBlack === 0 && inputWhite === 255 &&
+        outputBlack === 0 && outputWhite === 255 &&
+        points.every(([x, y]) => x === y) &&
+        (DOT_GAIN_PRESETS[dotGain]?.gain ?? 0) === 0;
+}
+
+/**
+ * Compose a tone curve into a lookup table
+ * @param {Object} curve - Tone curve (see DEFAULT_TONE_CURVE)
+ * @returns {Float32Array} Output lightness (0-255) for each input lightness 0..255
+ */
+export function buildToneLUT(curve) {
+    const { gamma, inputBlack, inputWhite, outputBlack, outputWhite, points, dotGain } = { ...DEFAULT_TONE_CURVE, ...curve };
+    const spline = createMonotoneSpline(points);
+    const gain = DOT_GAIN_PRESETS[dotGain]?.gain ?? 0;
+    const inputSpan = Math.max(1, inputWhite - inputBlack);
+    const lut = new Float32Array(256);
+
+    for (let i = 0; i < 256; i++) {
+        // Levels and gamma work on 0-1 lightness
+        let value = Math.max(0, Math.min(1, (i - inputBlack) / inputSpan));
+        value = Math.pow(value, 1 / gamma);
+
+        value = spline(value * 255) / 255;
+        value = outputBlack / 255 + value * (outputWhite - outputBlack) / 255;
+
+        if (gain > 0) {
+            value = 1 - compensateDotGain(1 - value, gain);
+        }
+
+        lut[i] = Math.max(0, Math.min(255, value * 255));
+    }
+
+    return lut;
+}
+
+/**
+ * Map lightness values through a lookup table, interpolating between entries
+ * @param {Float64Array|Float32Array} gray - Lightness (0-255) per pixel
+ * @param {Float32Array} lut - Lookup table from buildToneLUT()
+ * @returns {Float32Array} Mapped lightness
+ */
+export function applyToneLUT(gray, lut) {
+    const result = new Float32Array(gray.length);
+
+    for (let i = 0; i < gray.length; i++) {
+        const value = Math.max(0, Math.min(255, gray[i]));
+        const index = Math.min(254, Math.floor(value));
+        const t = value - index;
+        result[i] = lut[index] * (1 - t) + lut[index + 1] * t;
+    }
+
+    return result;
+}
+
+/**
+ * Ink coverage to request so that the printed coverage comes out as wanted
+ * Printed dots are modelled as growing by gain · 4a(1 - a), which peaks at
+ * the 50% dot; this inverts that model. Gains above 25% would make printed
+ * coverage exceed 100%, so they are capped there
+ * @param {number} coverage - Wanted coverage (0-1)
+ * @param {number} gain - Dot gain at 50%
+ * @returns {number} Coverage to print (0-1)
+ */
+export function compensateDotGain(coverage, gain) {
+    const k = 4 * Math.min(gain, 0.25);
+    const b = 1 + k;
+    return (b - Math.sqrt(b * b - 4 * k * coverage)) / (2 * k);
+}
+
+/**
+ * Monotone cubic interpolation (Fritsch–Carlson) through curve points
+ * Monotone points never overshoot, so a rising curve stays rising
+ * @param {Array<Array<number>>} points - [x, y] pairs
+ * @returns {Function} x => y, clamped to the end points outside their range
+ */
+export function createMonotoneSpline(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0]);
+    const n = sorted.length;
+
+    if (n === 0) return x => x;
+    if (n === 1) return () => sorted[0][1];
+
+    const xs = sorted.map(p => p[0]);
+    const ys = sorted.map(p => p[1]);
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        const dx = xs[i + 1] - xs[i];
+        slopes.push(dx === 0 ? 0 : (ys[i + 1] - ys[i]) / dx);
+    }
+
+    // Tangents: averaged secants, zeroed at extrema, limited to avoid overshoot
+    const tangents = new Array(n);
+    tangents[0] = slopes[0];
+    tangents[n - 1] = slopes[n - 2];
+    for (let i = 1; i < n - 1; i++) {
+        tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    }
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / slopes[i];
+        const b = tangents[i + 1] / slopes[i];
+        const h = Math.hypot(a, b);
+        if (h > 3) {
+            tangents[i] = (3 * a / h) * slopes[i];
+            tangents[i + 1] = (3 * b / h) * slopes[i];
+        }
+    }
+
+    return (x) => {
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[n - 1]) return ys[n - 1];
+
+        let i = 0;
+        while (x > xs[i + 1]) i++;
+
+        const dx = xs[i + 1] - xs[i];
+        if (dx === 0) return ys[i + 1];
+
+        const t = (x - xs[i]) / dx;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * ys[i] +
+            (t3 - 2 * t2 + t) * dx * tangents[i] +
+            (-2 * t3 + 3 * t2) * ys[i + 1] +
+            (t3 - t2) * dx * tangents[i + 1];
+    };
+}
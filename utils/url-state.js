@@ -0,0 +1,218 @@
+/**
+ * URL State
+ * Settings snapshots encoded in the URL hash, so a link reproduces a plate:
+ * pattern and parameters as plain keys (#pattern=hilbert&iterations=6),
+ * everything else under a group prefix (size.dpi=300, halftone.method=ordered)
+ */
+
+import { getPattern, getDefaultParams, getPatternName } from '../patterns/registry.js';
+import { parseParamValue } from '../patterns/schema.js';
+
+/**
+ * Snapshot of everything that decides a pattern and its halftone
+ * @typedef {Object} Settings
+ * @property {string} pattern - Pattern id
+ * @property {Object} params - Pattern parameters
+ * @property {boolean} invert - Invert the pattern
+ * @property {boolean} linearize - Equalize the pattern's histogram
+ * @property {Object} size - Size configuration (see SizeCalculator), without the derived final size
+ * @property {Object} halftone - Halftone control values by name
+ * @property {Object} analysis - Darkness analysis control values by name
+ * @property {Object|null} toneCurve - Tone curve (null for identity)
+ */
+
+/**
+ * Groups stored under a "group." prefix; halftone and analysis values are
+ * kept as strings for the app to check against its controls
+ */
+const GROUPS = ['size', 'halftone', 'analysis'];
+
+/**
+ * Size configuration fields and how to read them
+ */
+const SIZE_FIELDS = {
+    mode: ['pixel', 'physical'],
+    widthPx: 'number',
+    heightPx: 'number',
+    widthPhysical: 'number',
+    heightPhysical: 'number',
+    unit: ['in', 'mm'],
+    dpi: 'number'
+};
+
+/**
+ * Encode settings as a URL hash
+ * Parameters left undefined (e.g. an empty seed) are omitted
+ * @param {Settings} settings - Settings snapshot
+ * @returns {string} Hash without the leading '#'
+ */
+export function encodeSettings(settings) {
+    const query = new URLSearchParams();
+    query.set('pattern', settings.pattern);
+
+    for (const [key, value] of Object.entries(settings.params)) {
+        if (value !== undefined) query.set(key, encodeValue(value));
+    }
+
+    if (settings.invert) query.set('invert', '1');
+    if (settings.linearize) query.set('linearize', '1');
+
+    for (const group of GROUPS) {
+        for (const [key, value] of Object.entries(settings[group] || {})) {
+            if (value !== undefined) query.set(`${group}.${key}`, encodeValue(value));
+        }
+    }
+
+    if (settings.toneCurve) {
+        query.set('tone', JSON.stringify(settings.toneCurve));
+    }
+
+    return query.toString();
+}
+
+/**
+ * Decode settings from a URL hash
+ * Pattern parameters are checked against the pattern's schema and missing
+ * ones take their defaults; anything invalid is skipped and reported
+ * @param {string} hash - location.hash (with or without '#')
+ * @returns {{settings: Partial<Settings>|null, errors: Array<string>}} Settings (null for an empty hash) and problems found
+ */
+export function decodeSettings(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const errors = [];
+
+    if ([...query.keys()].length === 0) {
+        return { settings: null, errors };
+    }
+
+    const settings = {};
+    const patternId = query.get('pattern');
+    const descriptor = patternId && getPattern(patternId);
+
+    if (patternId && !descriptor) {
+        errors.push(`Unknown pattern "${patternId}"`);
+    } else if (descriptor) {
+        settings.pattern = patternId;
+        settings.params = getDefaultParams(patternId);
+
+        for (const entry of descriptor.params) {
+            if (!query.has(entry.key)) continue;
+
+            try {
+                settings.params[entry.key] = decodeParam(entry, query.get(entry.key));
+            } catch (error) {
+                errors.push(`${getPatternName(patternId)}: ${error.message}`);
+            }
+        }
+    }
+
+    for (const key of ['invert', 'linearize']) {
+        if (query.has(key)) settings[key] = decodeBoolean(query.get(key));
+    }
+
+    if (query.has('tone')) {
+        try {
+            settings.toneCurve = JSON.parse(query.get('tone'));
+        } catch (error) {
+            errors.push('Tone curve is not valid JSON');
+        }
+    }
+
+    for (const [name, raw] of query) {
+        const dot = name.indexOf('.');
+
+        if (dot === -1) {
+            const known = ['pattern', 'invert', 'linearize', 'tone'].includes(name) ||
+                (descriptor && descriptor.params.some(entry => entry.key === name));
+            if (!known && descriptor) {
+                errors.push(`${getPatternName(patternId)} has no parameter "${name}"`);
+            }
+            continue;
+        }
+
+        const group = name.slice(0, dot);
+        const key = name.slice(dot + 1);
+
+        if (!GROUPS.includes(group)) {
+            errors.push(`Unknown setting "${name}"`);
+            continue;
+        }
+
+        settings[group] = settings[group] || {};
+
+        if (group === 'size') {
+            const field = SIZE_FIELDS[key];
+            const value = field === 'number' ? parseFloat(raw) : raw;
+
+            if (!field) {
+                errors.push(`Unknown setting "${name}"`);
+            } else if (field === 'number' ? !(value > 0) : !field.includes(value)) {
+                errors.push(`Invalid ${name}: "${raw}"`);
+            } else {
+                settings.size[key] = value;
+            }
+        } else {
+            settings[group][key] = raw;
+        }
+    }
+
+    return { settings, errors };
+}
+
+/**
+ * Decode one pattern parameter
+ * @param {import('../patterns/schema.js').ParamSchema} entry - Schema entry
+ * @param {string} raw - Hash value
+ * @returns {*} Typed value
+ * @throws {Error} When the value does not fit the schema
+ */
+function decodeParam(entry, raw) {
+    switch (entry.type) {
+        case 'checkbox':
+            return parseParamValue(entry, decodeBoolean(raw));
+        case 'select':
+            if (!entry.options.some(option => option.value === raw)) {
+                throw new Error(`${entry.label} must be one of ${entry.options.map(o => o.value).join(', ')}`);
+            }
+            return raw;
+        case 'patterns': {
+            const items = JSON.parse(raw);
+            if (!Array.isArray(items) || items.some(item => !getPattern(item.pattern))) {
+                throw new Error(`${entry.label} must be a list of known patterns`);
+            }
+            return items.map(item => ({ ...item, params: { ...getDefaultParams(item.pattern), ...item.params } }));
+        }
+        default: {
+            if (raw === '' && entry.optional) return undefined;
+
+            const value = parseParamValue(entry, raw);
+            if (!Number.isFinite(parseFloat(raw)) ||
+                (entry.min !== undefined && value < entry.min) ||
+                (entry.max !== undefined && value > entry.max)) {
+                const range = entry.min !== undefined && entry.max !== undefined ? ` between ${entry.min} and ${entry.max}` : '';
+                throw new Error(`${entry.label} must be a number${range}, not "${raw}"`);
+            }
+            return value;
+        }
+    }
+}
+
+/**
+ * Hash form of a value: booleans as 1/0, objects as JSON
+ * @param {*} value
+ * @returns {string}
+ */
+function encodeValue(value) {
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (typeof value === 'object' && value !== null) return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Read a boolean hash value (1/0 or true/false)
+ * @param {string} raw
+ * @returns {boolean}
+ */
+function decodeBoolean(raw) {
+    return raw === '1' || raw === 'true';
+}
@@ -8,7 +8,21 @@ let cancelRequested = false;
 self.addEventListener('message', async (e) => {
     const { type, imageData, config } = e.data;
 
-    if (type === 'analyze') {
+    if (type === 'step-wedge') {
+        try {
+            const coverage = measureStepWedge(imageData, e.data.steps, e.data.patchSize);
+            self.postMessage({ type: 'complete', coverage }, [coverage.buffer]);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    } else if (type === 'tone-response') {
+        try {
+            const coverage = measureToneResponse(e.data.pattern, e.data.steps);
+            self.postMessage({ type: 'complete', coverage }, [coverage.buffer]);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    } else if (type === 'analyze') {
         cancelRequested = false;
         try {
             await analyzeDarkness(imageData, config);
@@ -184,3 +198,72 @@ function calculateLocalDarkness(data, width, height, cx, cy, radius, mask) {
 
     return totalCount > 0 ? darkCount / totalCount : 0;
 }
+
+/**
+ * Measure the tone response of thresholding against a pattern
+ * A flat gray of lightness L turns a pixel black where the pattern is above
+ * L, so the ink coverage at L is the share of pattern values above it
+ * @param {ImageData|{width: number, height: number, data: Float32Array}} pattern - 8-bit or float pattern
+ * @param {number} steps - Number of lightness steps (the curve has steps + 1 points)
+ * @returns {Float32Array} Ink coverage (0-1) at lightness i / steps
+ */
+function measureToneResponse(pattern, steps) {
+    const isFloat = pattern.data instanceof Float32Array;
+    const count = pattern.width * pattern.height;
+    const bins = 4096;
+    const histogram = new Float64Array(bins + 1);
+
+    for (let i = 0; i < count; i++) {
+        const value = isFloat ? pattern.data[i] : pattern.data[i * 4] / 255;
+        histogram[Math.round(Math.max(0, Math.min(1, value)) * bins)]++;
+    }
+
+    // Pixels at or above each bin
+    const above = new Float64Array(bins + 2);
+    for (let b = bins; b >= 0; b--) {
+        above[b] = above[b + 1] + histogram[b];
+    }
+
+    const coverage = new Float32Array(steps + 1);
+    for (let i = 0; i <= steps; i++) {
+        const bin = Math.floor((i / steps) * bins) + 1;
+        coverage[i] = above[Math.min(bins + 1, bin)] / count;
+    }
+
+    return coverage;
+}
+
+/**
+ * Measure ink coverage per patch of a halftoned step wedge
+ * A margin of each patch is skipped, where the neighbouring step (or the
+ * error carried across from it by diffusion) still shows
+ * @param {ImageData} imageData - Halftoned wedge (see step-wedge.js)
+ * @param {number} steps - Number of steps (patches are steps + 1)
+ * @param {number} patchSize - Patch size in pixels
+ * @returns {Float32Array} Dark pixel fraction per patch
+ */
+function measureStepWedge(imageData, steps, patchSize) {
+    const { width, height, data } = imageData;
+    const margin = Math.floor(patchSize / 8);
+    const coverage = new Float32Array(steps + 1);
+
+    for (let i = 0; i <= steps; i++) {
+        const x0 = i * patchSize + margin;
+        const x1 = Math.min(width, (i + 1) * patchSize - margin);
+        let dark = 0;
+        let total = 0;
+
+        for (let y = margin; y < height - margin; y++) {
+            for (let x = x0; x < x1; x++) {
+                total++;
+                if (data[(y * width + x) * 4] < 128) {
+                    dark++;
+                }
+            }
+        }
+
+        coverage[i] = total > 0 ? dark / total : 0;
+    }
+
+    return coverage;
+}
@@ -3,45 +3,38 @@
  * Generates halftone patterns without blocking the main thread
  */
 
-import { generateRandomPattern } from '../patterns/random-pattern.js';
-import { generateNoisePattern } from '../patterns/noise-pattern.js';
-import { generateBendayPattern } from '../patterns/benday-pattern.js';
-import { generateHilbertPattern } from '../patterns/hilbert-pattern.js';
-import { generatePeanoPattern } from '../patterns/peano-pattern.js';
-import { generateZOrderPattern } from '../patterns/zorder-pattern.js';
-import { generateGosperPattern } from '../patterns/gosper-pattern.js';
+import { getPattern } from '../patterns/registry.js';
+import { linearizePattern } from '../patterns/linearize.js';
 
-// Cancellation state
-let cancelToken = { cancelled: false };
+// Renders are cancelled by terminating the worker (see PatternWorkerPool.cancel),
+// so generators get a token that is never set
+const cancelToken = { cancelled: false };
 
 self.addEventListener('message', async (e) => {
-    const { type, pattern, params, width, height } = e.data;
+    const { type, pattern, params, width, height, band } = e.data;
 
     if (type === 'render') {
-        // Reset cancellation
-        cancelToken.cancelled = false;
-
         try {
-            const imageData = await renderPattern(pattern, params, width, height);
+            const levels = await renderPattern(pattern, params, width, height, band);
 
-            // Send completed result
+            // Send completed result as float gray levels (see rasterizer.js)
             self.postMessage({
                 type: 'complete',
-                imageData: imageData
-            }, [imageData.data.buffer]);
+                levels: levels
+            }, [levels.data.buffer]);
+        } catch (error) {
+            self.postMessage({
+                type: 'error',
+                message: error.message
+            });
+        }
+    } else if (type === 'linearize') {
+        try {
+            const levels = linearizePattern(e.data.levels, cancelToken);
+            self.postMessage({ type: 'complete', levels }, [levels.data.buffer]);
         } catch (error) {
-            if (error.message === 'Generation cancelled') {
-                self.postMessage({ type: 'cancelled' });
-            } else {
-                self.postMessage({
-                    type: 'error',
-                    message: error.message
-                });
-            }
+            self.postMessage({ type: 'error', message: error.message });
         }
-    } else if (type === 'cancel') {
-        // Set cancellation flag
-        cancelToken.cancelled = true;
     }
 });
 
@@ -57,42 +50,17 @@ function onProgress(progress) {
 
 /**
  * Render pattern based on type
+ * Generators are looked up in the pattern registry; curve patterns honour
+ * params.renderMode ('exact' or 'edt', see distance-transform.js)
+ * When a band is given only those rows of the width × height canvas are rendered
+ * @returns {Promise<import('../patterns/rasterizer.js').FloatPattern>}
  */
-async function renderPattern(patternType, params, width, height) {
-    let imageData;
-
-    switch (patternType) {
-        case 'random':
-            imageData = generateRandomPattern(width, height, params, onProgress, cancelToken);
-            break;
-
-        case 'noise':
-            imageData = generateNoisePattern(width, height, params, onProgress, cancelToken);
-            break;
-
-        case 'benday':
-            imageData = generateBendayPattern(width, height, params, onProgress, cancelToken);
-            break;
-
-        case 'hilbert':
-            imageData = generateHilbertPattern(width, height, params, onProgress, cancelToken);
-            break;
-
-        case 'peano':
-            imageData = generatePeanoPattern(width, height, params, onProgress, cancelToken);
-            break;
-
-        case 'zorder':
-            imageData = generateZOrderPattern(width, height, params, onProgress, cancelToken);
-            break;
-
-        case 'gosper':
-            imageData = generateGosperPattern(width, height, params, onProgress, cancelToken);
-            break;
+async function renderPattern(patternType, params, width, height, band = { y: 0, height }) {
+    const descriptor = getPattern(patternType);
 
-        default:
-            throw new Error(`Unknown pattern type: ${patternType}`);
+    if (!descriptor) {
+        throw new Error(`Unknown pattern type: ${patternType}`);
     }
 
-    return imageData;
+    return descriptor.generate(width, height, params, onProgress, cancelToken, band);
 }